@@ -2,6 +2,7 @@
 REM Game Server Auto-Scaling Cluster Management Script (Windows)
 
 setlocal enabledelayedexpansion
+REM ADMIN_API_KEY: one of the keys in ADMIN_API_KEYS, for /api/servers
 
 REM ASCII Art Header
 :show_header
@@ -16,6 +17,7 @@ exit /b 0
 REM Start the auto-scaling cluster
 :start_cluster
 echo [INFO] Starting Player-Dedicated Auto-Scaling Cluster...
+if "%ADMIN_API_KEYS%"=="" echo [WARNING] ADMIN_API_KEYS is not set: admin APIs and the dashboard stay locked
 
 echo [INFO] Building Docker images...
 docker-compose -f docker-compose.cluster.yml build
@@ -71,7 +73,11 @@ echo 📊 Container Status:
 docker ps --filter "name=procgen" --format "table {{.Names}}\t{{.Status}}\t{{.Ports}}"
 echo.
 echo 🎯 Load Balancer Stats:
-curl -s http://localhost:80/api/servers 2>nul || echo Load balancer not accessible
+if "%ADMIN_API_KEY%"=="" (
+    echo [WARNING] Set ADMIN_API_KEY to an operator or viewer key to see load balancer stats
+    exit /b 0
+)
+curl -s -H "X-API-Key: %ADMIN_API_KEY%" http://localhost:80/api/servers 2>nul || echo Load balancer not accessible
 exit /b 0
 
 REM Stop cluster
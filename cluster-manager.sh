@@ -12,6 +12,8 @@ BLUE='\033[0;34m'
 PURPLE='\033[0;35m'
 NC='\033[0m' # No Color
 
+ADMIN_API_KEY="${ADMIN_API_KEY:-}"  # One of the keys in ADMIN_API_KEYS, for /api/servers
+
 print_status() { echo -e "${BLUE}[INFO]${NC} $1"; }
 print_success() { echo -e "${GREEN}[SUCCESS]${NC} $1"; }
 print_warning() { echo -e "${YELLOW}[WARNING]${NC} $1"; }
@@ -33,6 +35,10 @@ EOF
 start_cluster() {
     print_status "Starting Auto-Scaling Game Server Cluster..."
     
+    if [ -z "${ADMIN_API_KEYS}" ]; then
+        print_warning "ADMIN_API_KEYS is not set: admin APIs and the dashboard stay locked"
+    fi
+    
     # Build images first
     print_status "Building Docker images..."
     docker-compose -f docker-compose.cluster.yml build
@@ -80,7 +86,11 @@ show_status() {
     
     echo ""
     echo -e "${BLUE}🎯 Load Balancer Stats:${NC}"
-    curl -s http://localhost:80/api/servers 2>/dev/null | python3 -m json.tool || echo "Load balancer not accessible"
+    if [ -z "${ADMIN_API_KEY}" ]; then
+        print_warning "Set ADMIN_API_KEY to an operator or viewer key to see load balancer stats"
+        return
+    fi
+    curl -s -H "X-API-Key: ${ADMIN_API_KEY}" http://localhost:80/api/servers 2>/dev/null | python3 -m json.tool || echo "Load balancer not accessible"
 }
 
 # Stop all cluster services
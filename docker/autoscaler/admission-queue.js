@@ -0,0 +1,217 @@
+const { v4: uuidv4 } = require('uuid');
+const { DEFAULT_PROFILE } = require('./server-profiles');
+
+/**
+ * AdmissionQueue - matchmaking queue for joins that arrive while the cluster is full.
+ *
+ * A queued join gets a ticket; the player polls it until the autoscaler admits
+ * it (a session has been created), rejects it (admission failed) or it
+ * expires because nobody polled it for ticketTtlSeconds. Tickets are admitted
+ * by tier priority (higher first), then in arrival order.
+ *
+ * Tiers are configured as "name:priority" pairs, e.g. "premium:10,standard:0".
+ * Each ticket also records the server profile it waits for; a ticket whose
+ * profile has no room yet doesn't hold back tickets for other profiles.
+ *
+ * The wait estimate is the ticket's position times the average interval between
+ * recent admissions (or fallbackAdmitSeconds before there is any history).
+ */
+class AdmissionQueue {
+    /**
+     * @param {object} options
+     * @param {string} options.tiers - "name:priority,name:priority"
+     * @param {string} options.defaultTier - Tier for joins that don't ask for one
+     * @param {number} options.maxLength - Waiting tickets beyond this are refused
+     * @param {number} options.ticketTtlSeconds - Tickets not polled for this long are dropped
+     * @param {number} options.fallbackAdmitSeconds - Assumed seconds per admission until there is history
+     */
+    constructor(options) {
+        this.defaultTier = options.defaultTier;
+        this.tiers = this.parseTiers(options.tiers || '');
+        this.maxLength = options.maxLength;
+        this.ticketTtlSeconds = options.ticketTtlSeconds;
+        this.fallbackAdmitSeconds = options.fallbackAdmitSeconds;
+        this.tickets = new Map(); // ticketId -> ticket
+        this.admitTimestamps = [];
+    }
+
+    parseTiers(spec) {
+        const tiers = new Map(); // name -> priority
+        for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+            const [name, priority] = entry.split(':');
+            const value = parseInt(priority);
+            if (!name || isNaN(value)) {
+                throw new Error(`Invalid queue tier "${entry}" (expected name:priority)`);
+            }
+            tiers.set(name, value);
+        }
+        if (!tiers.has(this.defaultTier)) {
+            tiers.set(this.defaultTier, 0);
+        }
+        return tiers;
+    }
+
+    /**
+     * True if joining with this tier would skip ahead of default-tier players.
+     */
+    isPrivileged(tier) {
+        return this.tiers.get(tier) > this.tiers.get(this.defaultTier);
+    }
+
+    /**
+     * Queue a player. A player that is already waiting keeps their ticket (and place).
+     * @returns {object|null} The ticket, or null when the queue is full
+     */
+    enqueue(playerId, tier = this.defaultTier, profile = DEFAULT_PROFILE, now = Date.now()) {
+        for (const ticket of this.tickets.values()) {
+            if (ticket.playerId === playerId && ticket.status === 'waiting') {
+                ticket.lastSeenAt = now;
+                return ticket;
+            }
+        }
+
+        if (this.waiting().length >= this.maxLength) return null;
+
+        const ticket = {
+            ticketId: uuidv4(),
+            playerId,
+            tier,
+            profile,
+            priority: this.tiers.get(tier),
+            status: 'waiting',
+            enqueuedAt: now,
+            lastSeenAt: now,
+            admittedAt: null,
+            admission: null,
+            error: null
+        };
+        this.tickets.set(ticket.ticketId, ticket);
+        return ticket;
+    }
+
+    /**
+     * Look up a ticket on behalf of its player (counts as a poll).
+     */
+    get(ticketId, now = Date.now()) {
+        const ticket = this.tickets.get(ticketId);
+        if (ticket) {
+            ticket.lastSeenAt = now;
+        }
+        return ticket || null;
+    }
+
+    remove(ticketId) {
+        return this.tickets.delete(ticketId);
+    }
+
+    /**
+     * Waiting tickets in admission order.
+     */
+    waiting() {
+        return Array.from(this.tickets.values())
+            .filter(ticket => ticket.status === 'waiting')
+            .sort((a, b) => b.priority - a.priority || a.enqueuedAt - b.enqueuedAt);
+    }
+
+    /**
+     * The ticket to admit next, or null.
+     */
+    next() {
+        return this.waiting()[0] || null;
+    }
+
+    /**
+     * Mark a ticket admitted; the player collects the admission with their next poll.
+     * @returns {number} Seconds the ticket waited
+     */
+    admit(ticket, admission, now = Date.now()) {
+        ticket.status = 'admitted';
+        ticket.admittedAt = now;
+        ticket.lastSeenAt = now;
+        ticket.admission = admission;
+
+        this.admitTimestamps.push(now);
+        if (this.admitTimestamps.length > 20) {
+            this.admitTimestamps.shift();
+        }
+
+        return (now - ticket.enqueuedAt) / 1000;
+    }
+
+    /**
+     * Mark a ticket rejected: admitting it failed. The player learns why with their next poll.
+     */
+    reject(ticket, error, now = Date.now()) {
+        ticket.status = 'rejected';
+        ticket.lastSeenAt = now;
+        ticket.error = error;
+    }
+
+    /**
+     * Drop tickets nobody has polled within ticketTtlSeconds.
+     * @returns {Array<object>} The expired tickets (admitted ones still hold a session)
+     */
+    expire(now = Date.now()) {
+        const expired = [];
+        for (const [ticketId, ticket] of this.tickets.entries()) {
+            if (now - ticket.lastSeenAt > this.ticketTtlSeconds * 1000) {
+                this.tickets.delete(ticketId);
+                expired.push(ticket);
+            }
+        }
+        return expired;
+    }
+
+    averageAdmitSeconds() {
+        const timestamps = this.admitTimestamps;
+        if (timestamps.length < 2) return this.fallbackAdmitSeconds;
+        return (timestamps[timestamps.length - 1] - timestamps[0]) / 1000 / (timestamps.length - 1);
+    }
+
+    /**
+     * Public view of a ticket: position is 1-based among waiting tickets.
+     */
+    describe(ticket, now = Date.now()) {
+        const position = ticket.status === 'waiting' ? this.waiting().indexOf(ticket) + 1 : 0;
+
+        return {
+            ticketId: ticket.ticketId,
+            playerId: ticket.playerId,
+            tier: ticket.tier,
+            profile: ticket.profile,
+            status: ticket.status,
+            position,
+            estimatedWaitSeconds: Math.ceil(position * this.averageAdmitSeconds()),
+            waitedSeconds: Math.round(((ticket.admittedAt || now) - ticket.enqueuedAt) / 1000)
+        };
+    }
+
+    getStats(now = Date.now()) {
+        const waiting = this.waiting();
+        const byTier = {};
+        const byProfile = {};
+        for (const tier of this.tiers.keys()) {
+            byTier[tier] = 0;
+        }
+        for (const ticket of waiting) {
+            byTier[ticket.tier]++;
+            byProfile[ticket.profile] = (byProfile[ticket.profile] || 0) + 1;
+        }
+
+        const oldest = waiting.reduce((min, ticket) => Math.min(min, ticket.enqueuedAt), now);
+
+        return {
+            length: waiting.length,
+            maxLength: this.maxLength,
+            byTier,
+            byProfile,
+            tiers: Object.fromEntries(this.tiers),
+            oldestWaitSeconds: Math.round((now - oldest) / 1000),
+            averageAdmitSeconds: Math.round(this.averageAdmitSeconds()),
+            // What a join arriving now would be told if it has to queue
+            estimatedWaitSeconds: Math.ceil((waiting.length + 1) * this.averageAdmitSeconds())
+        };
+    }
+}
+
+module.exports = { AdmissionQueue };
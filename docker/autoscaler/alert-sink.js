@@ -0,0 +1,40 @@
+const http = require('http');
+
+/**
+ * Minimal webhook receiver for trying out alert rules locally:
+ *
+ *   node alert-sink.js 9099
+ *   ALERT_WEBHOOK_URL=http://localhost:9099/alerts
+ *
+ * Prints every notification and serves the ones received so far at GET /.
+ */
+
+const port = parseInt(process.argv[2] || process.env.PORT) || 9099;
+const received = [];
+
+const server = http.createServer((req, res) => {
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(received, null, 2));
+        return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        try {
+            const notification = JSON.parse(body);
+            received.push({ receivedAt: new Date().toISOString(), ...notification });
+            console.log(`${notification.status === 'firing' ? '🚨' : '✅'} [${notification.severity}] ${notification.alert} ${notification.status}: ${notification.summary}`);
+            res.writeHead(204);
+        } catch (error) {
+            console.error('❌ Not a JSON notification:', body);
+            res.writeHead(400);
+        }
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`📥 Alert sink listening on http://localhost:${port}`);
+});
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'alerting' });
+
+/**
+ * Alerting - rules evaluated against the cluster stats and the event stream,
+ * with notifications to webhooks.
+ *
+ * Rules are loaded from a JSON file on the config volume:
+ *
+ *   {
+ *     "webhooks": ["http://alert-sink:9099/alerts"],
+ *     "rules": [
+ *       { "name": "server-limit", "type": "metric", "metric": "totalServers",
+ *         "operator": ">=", "threshold": "config.maxServers", "forSeconds": 60, "severity": "warning" },
+ *       { "name": "create-failures", "type": "event", "event": "server.create-failed",
+ *         "count": 3, "windowSeconds": 300, "severity": "critical" }
+ *     ]
+ *   }
+ *
+ * metric rules compare a value from getServerStats() (dot path) with a threshold,
+ * which is a number or another dot path. event rules count event log entries of a
+ * type (or subject, e.g. "player") within a sliding window against `count`.
+ *
+ * A rule has to hold for forSeconds before it fires. Firing sends one "firing"
+ * notification (again every repeatSeconds while it keeps firing, if set) and one
+ * "resolved" notification once the condition clears, so a webhook sees each
+ * incident once instead of on every evaluation.
+ */
+
+const RULE_TYPES = ['metric', 'event'];
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+/**
+ * Read "queue.length" style paths out of the stats object.
+ */
+function readPath(object, dotPath) {
+    return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+class AlertManager {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Rule file (missing file = no rules)
+     * @param {Array<string>} [options.webhooks] - Webhook URLs in addition to the file's (ALERT_WEBHOOK_URL)
+     * @param {number} [options.historySize=100] - Notifications kept for the admin endpoint
+     * @param {number} [options.deliveryAttempts=3] - Tries per notification before giving up
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.extraWebhooks = options.webhooks || [];
+        this.historySize = options.historySize || 100;
+        this.deliveryAttempts = options.deliveryAttempts || 3;
+        this.rules = [];
+        this.webhooks = [...this.extraWebhooks];
+        this.state = new Map(); // rule name -> { pendingSince, firing, firedAt, lastNotifiedAt, value, events }
+        this.history = [];
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            const rules = Array.isArray(data.rules) ? data.rules : [];
+
+            for (const rule of rules) {
+                this.validate(rule);
+            }
+            if (new Set(rules.map(rule => rule.name)).size !== rules.length) {
+                throw new Error('Alert rule names must be unique');
+            }
+
+            this.rules = rules;
+            this.webhooks = [...(data.webhooks || []), ...this.extraWebhooks];
+
+            // Keep the state of rules that still exist, so a reload doesn't re-fire them
+            const previous = this.state;
+            this.state = new Map(rules.map(rule => [rule.name, previous.get(rule.name) || this.emptyState()]));
+            log.info('Loaded alert rules', { file: this.filePath, rules: rules.length, webhooks: this.webhooks.length });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info('No alert rule file, alerting is off', { file: this.filePath });
+            } else {
+                log.error('Failed to load alert rules', { file: this.filePath, error: error.message });
+            }
+        }
+
+        return this.rules;
+    }
+
+    validate(rule) {
+        if (!rule.name) {
+            throw new Error('Every alert rule needs a name');
+        }
+        if (!RULE_TYPES.includes(rule.type)) {
+            throw new Error(`Unknown alert rule type "${rule.type}" in ${rule.name}`);
+        }
+        if (rule.type === 'metric') {
+            if (!rule.metric || rule.threshold === undefined || !OPERATORS[rule.operator || '>']) {
+                throw new Error(`Alert rule ${rule.name} needs a metric, a threshold and a valid operator`);
+            }
+        } else if (!rule.event || !(rule.count > 0) || !(rule.windowSeconds > 0)) {
+            throw new Error(`Alert rule ${rule.name} needs an event, a count and a windowSeconds`);
+        }
+    }
+
+    emptyState() {
+        return { pendingSince: null, firing: false, firedAt: null, lastNotifiedAt: null, value: null, events: [] };
+    }
+
+    /**
+     * Feed an event log entry to the event rules.
+     */
+    recordEvent(entry) {
+        for (const rule of this.rules) {
+            if (rule.type === 'event' && (entry.type === rule.event || entry.type.startsWith(`${rule.event}.`))) {
+                this.state.get(rule.name).events.push(entry.timestamp);
+            }
+        }
+    }
+
+    /**
+     * Evaluate every rule and send the notifications that result.
+     * @param {object} stats - getServerStats()
+     */
+    async evaluate(stats, now = Date.now()) {
+        const notifications = [];
+
+        for (const rule of this.rules) {
+            const state = this.state.get(rule.name);
+            const { active, value, threshold } = this.check(rule, state, stats, now);
+            state.value = value;
+
+            if (!active) {
+                state.pendingSince = null;
+                if (state.firing) {
+                    state.firing = false;
+                    notifications.push(this.notification(rule, 'resolved', value, threshold, state, now));
+                    state.firedAt = null;
+                }
+                continue;
+            }
+
+            if (state.pendingSince === null) {
+                state.pendingSince = now;
+            }
+            if (!state.firing && now - state.pendingSince >= (rule.forSeconds || 0) * 1000) {
+                state.firing = true;
+                state.firedAt = now;
+                notifications.push(this.notification(rule, 'firing', value, threshold, state, now));
+            } else if (state.firing && rule.repeatSeconds && now - state.lastNotifiedAt >= rule.repeatSeconds * 1000) {
+                notifications.push(this.notification(rule, 'firing', value, threshold, state, now));
+            }
+        }
+
+        await Promise.all(notifications.map(notification => this.deliver(notification)));
+        return notifications;
+    }
+
+    check(rule, state, stats, now) {
+        if (rule.type === 'event') {
+            state.events = state.events.filter(timestamp => now - timestamp <= rule.windowSeconds * 1000);
+            return { active: state.events.length >= rule.count, value: state.events.length, threshold: rule.count };
+        }
+
+        const value = readPath(stats, rule.metric);
+        const threshold = typeof rule.threshold === 'string' ? readPath(stats, rule.threshold) : rule.threshold;
+        const compare = OPERATORS[rule.operator || '>'];
+        const numeric = typeof value === 'string' ? parseFloat(value) : value;
+
+        // A metric that isn't in the stats (yet) never fires
+        if (numeric === undefined || numeric === null || Number.isNaN(numeric) || threshold === undefined) {
+            return { active: false, value: null, threshold };
+        }
+        return { active: compare(numeric, threshold), value: numeric, threshold };
+    }
+
+    notification(rule, status, value, threshold, state, now) {
+        state.lastNotifiedAt = now;
+
+        const notification = {
+            status,
+            alert: rule.name,
+            fingerprint: `${rule.name}@${state.firedAt}`,
+            severity: rule.severity || 'warning',
+            summary: rule.summary || this.describe(rule, value, threshold),
+            value,
+            threshold,
+            startsAt: new Date(state.firedAt).toISOString(),
+            endsAt: status === 'resolved' ? new Date(now).toISOString() : null
+        };
+
+        this.history.push({ timestamp: now, ...notification });
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        log[status === 'firing' ? 'warn' : 'info'](`Alert ${status}`, { alert: rule.name, severity: notification.severity, summary: notification.summary });
+        return notification;
+    }
+
+    describe(rule, value, threshold) {
+        if (rule.type === 'event') {
+            return `${value} ${rule.event} event(s) in the last ${rule.windowSeconds}s (threshold ${threshold})`;
+        }
+        return `${rule.metric} is ${value} (${rule.operator || '>'} ${threshold})`;
+    }
+
+    /**
+     * POST a notification to every webhook, retrying with backoff. Failures are
+     * logged; they never stop the evaluation loop.
+     */
+    async deliver(notification) {
+        await Promise.all(this.webhooks.map(async url => {
+            for (let attempt = 1; attempt <= this.deliveryAttempts; attempt++) {
+                try {
+                    await axios.post(url, notification, { timeout: 5000 });
+                    return;
+                } catch (error) {
+                    if (attempt === this.deliveryAttempts) {
+                        log.error('Could not deliver alert', { alert: notification.alert, url, attempts: attempt, error: error.message });
+                        return;
+                    }
+                    await new Promise(resolve => setTimeout(resolve, 500 * 2 ** (attempt - 1)));
+                }
+            }
+        }));
+    }
+
+    /**
+     * Rules with their current state, for the admin endpoint.
+     */
+    describeRules() {
+        return this.rules.map(rule => {
+            const state = this.state.get(rule.name);
+            return {
+                name: rule.name,
+                type: rule.type,
+                severity: rule.severity || 'warning',
+                status: state.firing ? 'firing' : (state.pendingSince ? 'pending' : 'ok'),
+                value: state.value,
+                pendingSince: state.pendingSince,
+                firedAt: state.firedAt
+            };
+        });
+    }
+
+    getActive() {
+        return this.describeRules().filter(rule => rule.status === 'firing');
+    }
+
+    recentNotifications(limit = 50) {
+        return this.history.slice(-limit).reverse();
+    }
+}
+
+module.exports = { AlertManager };
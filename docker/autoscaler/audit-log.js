@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'audit' });
+
+/**
+ * AuditLog - who did what to which server, for operator actions.
+ *
+ * Entries are appended as JSON lines to a file on the config volume (the
+ * durable record) and the most recent ones are kept in memory for
+ * GET /api/audit and the dashboard.
+ *
+ * Entry: { timestamp, actor, role, action, target, outcome, details }
+ */
+class AuditLog {
+    /**
+     * @param {object} options
+     * @param {string|null} options.filePath - JSONL file to append to (null = memory only)
+     * @param {number} options.historySize - Entries kept in memory
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.historySize = options.historySize || 200;
+        this.entries = [];
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Record an action. Writes are serialized so lines never interleave;
+     * a failed write is logged but never fails the action itself.
+     */
+    record(admin, action, target, outcome, details = {}) {
+        const entry = {
+            timestamp: Date.now(),
+            actor: admin ? admin.subject : 'system',
+            role: admin ? admin.role : null,
+            action,
+            target,
+            outcome,
+            details
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.historySize) {
+            this.entries.shift();
+        }
+
+        log.info('Operator action', { actor: entry.actor, role: entry.role, action, target, outcome });
+
+        if (this.filePath) {
+            this.writeChain = this.writeChain
+                .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+                .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'))
+                .catch(error => log.error('Failed to write audit log', { file: this.filePath, error: error.message }));
+        }
+
+        return entry;
+    }
+
+    /**
+     * Most recent entries first.
+     */
+    recent(limit = 50) {
+        return this.entries.slice(-limit).reverse();
+    }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'auth' });
+
+/**
+ * Admin authentication and role-based access.
+ *
+ * Credentials:
+ *   - API keys from ADMIN_API_KEYS ("key:role,key:role"), sent as X-API-Key
+ *     or "Authorization: Bearer <key>".
+ *   - Signed tokens minted from an API key via POST /api/auth/token. They are
+ *     what browsers use (e.g. ?token= on the 8090 WebSocket, which can't carry headers).
+ *
+ * Roles are ordered: viewer (read-only stats) < operator (may change cluster state).
+ */
+
+const ROLE_LEVELS = { viewer: 1, operator: 2 };
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function fromBase64url(text) {
+    return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Sign a JSON payload as "<base64url(payload)>.<base64url(hmac-sha256)>".
+ */
+function signPayload(payload, secret) {
+    const body = base64url(JSON.stringify(payload));
+    const signature = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    return `${body}.${signature}`;
+}
+
+/**
+ * Verify a token produced by signPayload(). Returns the payload, or null when the
+ * signature is wrong, the token is malformed or its exp (ms timestamp) has passed.
+ */
+function verifySignedPayload(token, secret, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+
+    const [body, signature] = token.split('.');
+    if (!body || !signature) return null;
+
+    const expected = base64url(crypto.createHmac('sha256', secret).update(body).digest());
+    if (!safeEqual(signature, expected)) return null;
+
+    try {
+        const payload = JSON.parse(fromBase64url(body).toString('utf8'));
+        if (payload.exp && payload.exp < now) return null;
+        return payload;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Shorten a session ID for admin payloads: enough to correlate log lines,
+ * not enough to hijack the session.
+ */
+function redactSessionId(sessionId) {
+    return sessionId ? `${String(sessionId).substring(0, 8)}…` : sessionId;
+}
+
+class AdminAuth {
+    /**
+     * @param {object} options
+     * @param {string} options.apiKeys - "key:role,key:role"
+     * @param {string} options.secret - HMAC secret for admin tokens (random per process if empty)
+     * @param {number} options.tokenTtlSeconds - Lifetime of minted tokens
+     * @param {boolean} options.disabled - Skip all checks (local development only)
+     */
+    constructor(options) {
+        this.disabled = options.disabled;
+        this.tokenTtlSeconds = options.tokenTtlSeconds;
+        this.apiKeys = this.parseApiKeys(options.apiKeys || '');
+
+        if (options.secret) {
+            this.secret = options.secret;
+        } else {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            log.warn('AUTH_SECRET not set, admin tokens will not survive a restart');
+        }
+
+        if (this.disabled) {
+            log.warn('Admin authentication is DISABLED (AUTH_DISABLED=true)');
+        } else if (this.apiKeys.size === 0) {
+            log.warn('No ADMIN_API_KEYS configured, admin APIs and the dashboard WebSocket are locked');
+        }
+    }
+
+    parseApiKeys(spec) {
+        const keys = new Map(); // key -> role
+        for (const entry of spec.split(',').map(e => e.trim()).filter(Boolean)) {
+            const separator = entry.lastIndexOf(':');
+            const key = separator > 0 ? entry.substring(0, separator) : entry;
+            const role = separator > 0 ? entry.substring(separator + 1) : 'viewer';
+
+            if (!ROLE_LEVELS[role]) {
+                throw new Error(`Unknown role "${role}" in ADMIN_API_KEYS`);
+            }
+            keys.set(key, role);
+        }
+        return keys;
+    }
+
+    /**
+     * Look up the role for an API key (constant-time comparison per key).
+     */
+    roleForApiKey(candidate) {
+        if (!candidate) return null;
+        for (const [key, role] of this.apiKeys.entries()) {
+            if (safeEqual(candidate, key)) return role;
+        }
+        return null;
+    }
+
+    /**
+     * Opaque, stable name for an API key in token subjects, the audit log and events:
+     * a short sha256 fingerprint, which gives nothing of the key away.
+     */
+    keyId(apiKey) {
+        return `key:${crypto.createHash('sha256').update(apiKey).digest('hex').substring(0, 12)}`;
+    }
+
+    issueToken(subject, role) {
+        const expiresAt = Date.now() + this.tokenTtlSeconds * 1000;
+        const token = signPayload({ typ: 'admin', sub: subject, role, exp: expiresAt }, this.secret);
+        return { token, role, expiresAt };
+    }
+
+    /**
+     * Resolve a credential (API key or admin token) to { role, subject, via }.
+     */
+    authenticate(credential) {
+        if (this.disabled) {
+            return { role: 'operator', subject: 'anonymous', via: 'disabled' };
+        }
+        if (!credential) return null;
+
+        const keyRole = this.roleForApiKey(credential);
+        if (keyRole) {
+            return { role: keyRole, subject: this.keyId(credential), via: 'api-key' };
+        }
+
+        const payload = verifySignedPayload(credential, this.secret);
+        if (payload && payload.typ === 'admin' && ROLE_LEVELS[payload.role]) {
+            return { role: payload.role, subject: payload.sub, via: 'token' };
+        }
+
+        return null;
+    }
+
+    getCredential(headers, query = {}) {
+        const authorization = headers.authorization || '';
+        if (authorization.startsWith('Bearer ')) {
+            return authorization.substring(7).trim();
+        }
+        return headers['x-api-key'] || query.token || null;
+    }
+
+    hasRole(actual, required) {
+        return (ROLE_LEVELS[actual] || 0) >= ROLE_LEVELS[required];
+    }
+
+    /**
+     * Express middleware: 401 without valid credentials, 403 when the role is too low.
+     * The resolved identity is available as req.admin.
+     */
+    requireRole(role) {
+        return (req, res, next) => {
+            const identity = this.authenticate(this.getCredential(req.headers, req.query));
+
+            if (!identity) {
+                return res.status(401).json({ success: false, error: 'Authentication required' });
+            }
+            if (!this.hasRole(identity.role, role)) {
+                return res.status(403).json({ success: false, error: `Requires ${role} role` });
+            }
+
+            req.admin = identity;
+            next();
+        };
+    }
+
+    /**
+     * ws verifyClient hook for the admin WebSocket (credential via ?token= or headers).
+     */
+    verifyWebSocketClient(role) {
+        return (info, callback) => {
+            const url = new URL(info.req.url, 'http://localhost');
+            const query = Object.fromEntries(url.searchParams.entries());
+            const identity = this.authenticate(this.getCredential(info.req.headers, query));
+
+            if (!identity) return callback(false, 401, 'Unauthorized');
+            if (!this.hasRole(identity.role, role)) return callback(false, 403, 'Forbidden');
+
+            info.req.admin = identity;
+            callback(true);
+        };
+    }
+}
+
+module.exports = {
+    AdminAuth,
+    signPayload,
+    verifySignedPayload,
+    redactSessionId
+};
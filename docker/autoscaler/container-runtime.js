@@ -0,0 +1,347 @@
+const http = require('http');
+const net = require('net');
+const Docker = require('dockerode');
+
+/**
+ * Container runtimes - everything the autoscaler does to game server containers.
+ *
+ * Every runtime implements the same async interface:
+ *   createContainer(spec)         -> { id, name, url }   spec: { name, image, env, labels, hostPort, resources }
+ *   startContainer(id)
+ *   stopContainer(id)
+ *   removeContainer(id, { force })
+ *   listContainers({ labels })    -> [ContainerInfo]     labels: ['key=value', ...]
+ *   inspectContainer(id)          -> { running, status, exitCode, health }
+ *   ping()                        -> resolves if the daemon answers
+ *   isPortFree(port)              -> false if something on the host already binds the port
+ *
+ * ContainerInfo: { id, name, state, labels, hostPort, createdAt, url }
+ * resources: { cpus, memoryMb } limits, either may be null (unlimited)
+ *
+ * `url` is where the autoscaler itself reaches the game server (readiness probes,
+ * the /gameserver proxy); players still use the published host port.
+ * One runtime talks to one Docker host; see node-registry.js for several.
+ *
+ * isPortFree() can't see everything (e.g. a host process bound to loopback only),
+ * so a start that fails on a taken port is recognized by isPortConflictError().
+ */
+
+// How long a host port probe waits for a connection before calling the port free
+const PORT_PROBE_TIMEOUT_MS = 500;
+
+/**
+ * True if a create/start failed because the host port is already bound.
+ */
+function isPortConflictError(error) {
+    return !!error && (error.code === 'EADDRINUSE' ||
+        /address already in use|port is already allocated/i.test(error.message || ''));
+}
+
+/**
+ * Try to connect to host:port. Resolves true when something accepts the connection,
+ * false when it is refused, times out or the host can't be resolved.
+ */
+function isListening(host, port, timeoutMs = PORT_PROBE_TIMEOUT_MS) {
+    return new Promise(resolve => {
+        const socket = net.connect({ host, port });
+        const finish = listening => {
+            socket.destroy();
+            resolve(listening);
+        };
+        socket.setTimeout(timeoutMs, () => finish(false));
+        socket.once('connect', () => finish(true));
+        socket.once('error', () => finish(false));
+    });
+}
+
+/**
+ * Docker runtime (default) - talks to the daemon through dockerode.
+ */
+class DockerRuntime {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.docker] - dockerode instance (defaults to the local socket)
+     * @param {string} [options.network] - Network game containers join
+     * @param {string} [options.urlHost] - Reach containers at urlHost:hostPort instead of by
+     *   container name (for remote hosts that don't share the autoscaler's network)
+     * @param {string} [options.probeHost] - Address of the Docker host itself, probed by
+     *   isPortFree() (default: urlHost)
+     */
+    constructor(options = {}) {
+        this.docker = options.docker || new Docker();
+        this.network = options.network;
+        this.urlHost = options.urlHost || null;
+        this.probeHost = options.probeHost || this.urlHost;
+    }
+
+    async createContainer(spec) {
+        const resources = spec.resources || {};
+        const hostConfig = {
+            PortBindings: {
+                '80/tcp': [{ HostPort: spec.hostPort.toString() }]
+            },
+            NetworkMode: this.network
+        };
+        if (resources.cpus) {
+            hostConfig.NanoCpus = Math.round(resources.cpus * 1e9);
+        }
+        if (resources.memoryMb) {
+            hostConfig.Memory = resources.memoryMb * 1024 * 1024;
+        }
+
+        const container = await this.docker.createContainer({
+            Image: spec.image,
+            name: spec.name,
+            Env: spec.env,
+            Labels: spec.labels,
+            HostConfig: hostConfig
+        });
+
+        return { id: container.id, name: spec.name, url: this.getUrl(spec.name, spec.hostPort) };
+    }
+
+    async startContainer(id) {
+        await this.docker.getContainer(id).start();
+    }
+
+    async stopContainer(id) {
+        await this.docker.getContainer(id).stop();
+    }
+
+    async removeContainer(id, options = {}) {
+        await this.docker.getContainer(id).remove({ force: !!options.force });
+    }
+
+    async listContainers(filter = {}) {
+        const containers = await this.docker.listContainers({
+            all: true,
+            filters: { label: filter.labels || [] }
+        });
+
+        return containers.map(info => {
+            const name = (info.Names[0] || '').replace(/^\//, '');
+            const binding = (info.Ports || []).find(p => p.PrivatePort === 80 && p.PublicPort);
+
+            return {
+                id: info.Id,
+                name,
+                state: info.State,
+                labels: info.Labels || {},
+                hostPort: binding ? binding.PublicPort : null,
+                createdAt: info.Created * 1000,
+                url: this.getUrl(name, binding ? binding.PublicPort : null)
+            };
+        });
+    }
+
+    async inspectContainer(id) {
+        const { State } = await this.docker.getContainer(id).inspect();
+
+        return {
+            running: State.Running,
+            status: State.Status,
+            exitCode: State.ExitCode,
+            health: State.Health ? State.Health.Status : null
+        };
+    }
+
+    async ping() {
+        await this.docker.ping();
+    }
+
+    /**
+     * A port is taken when a container publishes it or something on the host accepts
+     * connections on it (probed at probeHost, skipped without one).
+     */
+    async isPortFree(port) {
+        const containers = await this.docker.listContainers();
+        if (containers.some(info => (info.Ports || []).some(p => p.PublicPort === port))) {
+            return false;
+        }
+        return !(this.probeHost && await isListening(this.probeHost, port));
+    }
+
+    getUrl(name, hostPort) {
+        if (this.urlHost) {
+            return `http://${this.urlHost}:${hostPort}`;
+        }
+        // Game containers share the cluster network with the autoscaler
+        return `http://${name}:80`;
+    }
+}
+
+/**
+ * Fake runtime - each "container" is a tiny HTTP server inside this process,
+ * listening on its host port. Needs no Docker daemon, so scale-up, readiness,
+ * inactivity shutdown and cleanup-delete can run end-to-end on a plain Linux box.
+ *
+ * Test hooks: failNextCreate() makes the next createContainer() reject,
+ * crash(id) kills a running container as if its process had died, and setting
+ * `unreachable` makes ping() fail like a lost Docker host.
+ */
+class FakeRuntime {
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.containers = new Map(); // id -> { id, name, labels, env, image, resources, hostPort, createdAt, state, exitCode, server }
+        this.nextId = 1;
+        this.pendingCreateFailures = 0;
+        this.unreachable = false;
+    }
+
+    async createContainer(spec) {
+        if (this.pendingCreateFailures > 0) {
+            this.pendingCreateFailures--;
+            throw new Error(`fake runtime: create of ${spec.name} failed`);
+        }
+
+        for (const existing of this.containers.values()) {
+            if (existing.name === spec.name) {
+                throw new Error(`fake runtime: container name ${spec.name} already in use`);
+            }
+        }
+
+        const id = `fake-${this.nextId++}`;
+        this.containers.set(id, {
+            id,
+            name: spec.name,
+            labels: { ...spec.labels },
+            env: [...(spec.env || [])],
+            image: spec.image,
+            resources: { ...(spec.resources || {}) },
+            hostPort: spec.hostPort,
+            createdAt: Date.now(),
+            state: 'created',
+            exitCode: 0,
+            server: null
+        });
+
+        return { id, name: spec.name, url: this.getUrl(spec.hostPort) };
+    }
+
+    async startContainer(id) {
+        const container = this.getContainer(id);
+        if (container.state === 'running') return;
+
+        container.server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/plain' });
+            res.end(`fake game server ${container.name}\n`);
+        });
+
+        await new Promise((resolve, reject) => {
+            container.server.once('error', reject);
+            container.server.listen(container.hostPort, this.host, resolve);
+        });
+
+        container.state = 'running';
+        container.exitCode = 0;
+    }
+
+    async stopContainer(id) {
+        const container = this.getContainer(id);
+        await this.closeServer(container);
+        container.state = 'exited';
+    }
+
+    async removeContainer(id, options = {}) {
+        const container = this.getContainer(id);
+        if (container.state === 'running' && !options.force) {
+            throw new Error(`fake runtime: container ${container.name} is running, stop it or use force`);
+        }
+        await this.closeServer(container);
+        this.containers.delete(id);
+    }
+
+    async listContainers(filter = {}) {
+        const wanted = (filter.labels || []).map(label => label.split('='));
+
+        return Array.from(this.containers.values())
+            .filter(c => wanted.every(([key, value]) => value === undefined ? key in c.labels : c.labels[key] === value))
+            .map(c => ({
+                id: c.id,
+                name: c.name,
+                state: c.state,
+                labels: { ...c.labels },
+                hostPort: c.hostPort,
+                createdAt: c.createdAt,
+                url: this.getUrl(c.hostPort)
+            }));
+    }
+
+    async inspectContainer(id) {
+        const container = this.getContainer(id);
+
+        return {
+            running: container.state === 'running',
+            status: container.state,
+            exitCode: container.exitCode,
+            health: null
+        };
+    }
+
+    async ping() {
+        if (this.unreachable) {
+            throw new Error('fake runtime: daemon unreachable');
+        }
+    }
+
+    async isPortFree(port) {
+        return new Promise(resolve => {
+            const probe = net.createServer();
+            probe.once('error', () => resolve(false));
+            probe.listen(port, this.host, () => probe.close(() => resolve(true)));
+        });
+    }
+
+    failNextCreate(count = 1) {
+        this.pendingCreateFailures += count;
+    }
+
+    async crash(id, exitCode = 137) {
+        const container = this.getContainer(id);
+        await this.closeServer(container);
+        container.state = 'exited';
+        container.exitCode = exitCode;
+    }
+
+    getContainer(id) {
+        const container = this.containers.get(id);
+        if (!container) {
+            throw new Error(`fake runtime: no such container ${id}`);
+        }
+        return container;
+    }
+
+    async closeServer(container) {
+        if (!container.server) return;
+        const server = container.server;
+        container.server = null;
+        await new Promise(resolve => server.close(() => resolve()));
+    }
+
+    getUrl(hostPort) {
+        return `http://${this.host}:${hostPort}`;
+    }
+}
+
+/**
+ * Build a container runtime from config.
+ * @param {string} type - 'docker' or 'fake'
+ * @param {object} options - Runtime-specific options ({ docker, network, urlHost, probeHost } for docker, { host } for fake)
+ */
+function createContainerRuntime(type, options = {}) {
+    switch (type) {
+        case 'docker':
+            return new DockerRuntime(options);
+        case 'fake':
+            return new FakeRuntime(options);
+        default:
+            throw new Error(`Unknown container runtime: ${type}`);
+    }
+}
+
+module.exports = {
+    DockerRuntime,
+    FakeRuntime,
+    createContainerRuntime,
+    isPortConflictError
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+const { logger, getCorrelationId } = require('./logger');
+
+const log = logger.child({ component: 'event-log' });
+
+/**
+ * EventLog - what happened to servers and players, for reconstructing history.
+ *
+ * Like the audit log, events are appended as JSON lines to a file on the config
+ * volume and the most recent ones are kept in memory. On startup the tail of the
+ * file is loaded back, so queries keep working across restarts; queries that
+ * reach further back than memory read the file.
+ *
+ * Event: { timestamp, type, serverId, playerId, details, correlationId }
+ * correlationId is set for events recorded on behalf of a request (see logger.js).
+ * Types are "<subject>.<what>", e.g. server.created, player.timeout, scaling.target.
+ * Every recorded entry is also emitted as an 'event' (alert rules listen to it).
+ */
+class EventLog extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string|null} options.filePath - JSONL file to append to (null = memory only)
+     * @param {number} [options.historySize=2000] - Events kept in memory
+     */
+    constructor(options) {
+        super();
+        this.filePath = options.filePath;
+        this.historySize = options.historySize || 2000;
+        this.entries = [];
+        this.truncated = false; // memory no longer holds everything in the file
+        this.writeChain = Promise.resolve();
+    }
+
+    /**
+     * Load the most recent events from the file into memory.
+     */
+    async load() {
+        if (!this.filePath) return;
+
+        try {
+            const loaded = [];
+            await this.scanFile(entry => {
+                loaded.push(entry);
+                if (loaded.length > this.historySize) {
+                    loaded.shift();
+                    this.truncated = true;
+                }
+            });
+            // Anything recorded before load() finished is newer than the file contents
+            this.entries = loaded.concat(this.entries).slice(-this.historySize);
+            log.info('Loaded events', { file: this.filePath, events: loaded.length });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info('No event log yet, starting a new one', { file: this.filePath });
+            } else {
+                log.error('Failed to load event log', { file: this.filePath, error: error.message });
+            }
+        }
+    }
+
+    /**
+     * Record an event. serverId/playerId are lifted out of details so they can be
+     * filtered on. Like audit entries, a failed write is logged and otherwise ignored.
+     */
+    record(type, details = {}) {
+        const { serverId = null, playerId = null, ...rest } = details;
+        const entry = { timestamp: Date.now(), type, serverId, playerId, details: rest };
+        const correlationId = getCorrelationId();
+        if (correlationId) {
+            entry.correlationId = correlationId;
+        }
+
+        this.entries.push(entry);
+        if (this.entries.length > this.historySize) {
+            this.entries.shift();
+            this.truncated = true;
+        }
+
+        if (this.filePath) {
+            this.writeChain = this.writeChain
+                .then(() => fs.promises.mkdir(path.dirname(this.filePath), { recursive: true }))
+                .then(() => fs.promises.appendFile(this.filePath, JSON.stringify(entry) + '\n'))
+                .catch(error => log.error('Failed to write event log', { file: this.filePath, error: error.message }));
+        }
+
+        this.emit('event', entry);
+        return entry;
+    }
+
+    /**
+     * Events matching the filter, most recent first.
+     * @param {object} [filter]
+     * @param {number} [filter.from] - Earliest timestamp (ms, inclusive)
+     * @param {number} [filter.to] - Latest timestamp (ms, inclusive)
+     * @param {Array<string>} [filter.types] - Exact types or subjects ("player" matches player.*)
+     * @param {string} [filter.serverId]
+     * @param {string} [filter.playerId]
+     * @param {number} [filter.limit=200]
+     */
+    async query(filter = {}) {
+        const limit = filter.limit || 200;
+        const matches = entry => matchesFilter(entry, filter);
+
+        const oldestInMemory = this.entries.length > 0 ? this.entries[0].timestamp : Infinity;
+        const needsFile = this.filePath && this.truncated && (filter.from || 0) < oldestInMemory;
+
+        if (!needsFile) {
+            return this.entries.filter(matches).slice(-limit).reverse();
+        }
+
+        // Only the newest `limit` matches are kept while reading
+        const found = [];
+        await this.writeChain;
+        await this.scanFile(entry => {
+            if (matches(entry)) {
+                found.push(entry);
+                if (found.length > limit) found.shift();
+            }
+        });
+        return found.reverse();
+    }
+
+    async scanFile(onEntry) {
+        const stream = fs.createReadStream(this.filePath, 'utf8');
+
+        // createReadStream reports a missing file as an 'error' event; attach readline
+        // only afterwards so no line is emitted before the loop below listens
+        await new Promise((resolve, reject) => {
+            stream.once('open', resolve);
+            stream.once('error', reject);
+        });
+        const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                onEntry(JSON.parse(line));
+            } catch (error) {
+                // A torn last line from a crash; skip it
+            }
+        }
+    }
+}
+
+function matchesFilter(entry, filter) {
+    if (filter.from && entry.timestamp < filter.from) return false;
+    if (filter.to && entry.timestamp > filter.to) return false;
+    if (filter.serverId && entry.serverId !== filter.serverId) return false;
+    if (filter.playerId && entry.playerId !== filter.playerId) return false;
+    if (filter.types && filter.types.length > 0 &&
+        !filter.types.some(type => entry.type === type || entry.type.startsWith(`${type}.`))) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Query-string time: milliseconds since the epoch or an ISO date. Undefined when
+ * absent, NaN when unparseable.
+ */
+function parseTime(value) {
+    if (value === undefined || value === '') return undefined;
+    return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+module.exports = { EventLog, parseTime };
@@ -0,0 +1,156 @@
+const { createProxyMiddleware, fixRequestBody } = require('http-proxy-middleware');
+const { logger, CORRELATION_HEADER, withCorrelationId } = require('./logger');
+
+const log = logger.child({ component: 'game-proxy' });
+
+/**
+ * GameProxyRouter - routes /gameserver traffic to the player's dedicated server.
+ *
+ * HTTP requests go through middleware(); WebSocket upgrades for in-game real-time
+ * traffic go through handleUpgrade() from the HTTP server's 'upgrade' event. Both
+ * look the player up with `resolve` and use one proxy per game server, created on
+ * first use and dropped with forget() once the server is gone.
+ *
+ * A request that can't be routed gets a JSON error instead of a new server:
+ *   401 - missing, invalid, expired or revoked session token
+ *   410 - the session's server no longer exists (resume or join again)
+ *   503 - the server exists but isn't running (starting, unhealthy, shutting down)
+ * Upgrades get the same status and body as a plain HTTP response before the socket is closed.
+ */
+class GameProxyRouter {
+    /**
+     * @param {object} options
+     * @param {string} options.path - Mount path, stripped before forwarding (e.g. '/gameserver')
+     * @param {function} options.resolve - (req) => { sessionId, session, server } | { status, error }
+     * @param {function} options.onActivity - (sessionId) called for every routed request and upgrade
+     * @param {function} options.onError - (error, session) called when a server can't be reached
+     */
+    constructor(options) {
+        this.path = options.path;
+        this.resolve = options.resolve;
+        this.onActivity = options.onActivity;
+        this.onError = options.onError;
+        this.proxies = new Map(); // serverId -> { url, proxy }
+    }
+
+    /**
+     * Express middleware for plain HTTP requests, mounted at `path`.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const route = this.route(req);
+
+            if (route.error) {
+                return res.status(route.status).json({ success: false, error: route.error });
+            }
+
+            // Game traffic carries the correlation ID of the join that created the session
+            res.setHeader(CORRELATION_HEADER, route.correlationId);
+            withCorrelationId(route.correlationId, () => route.proxy(req, res, next));
+        };
+    }
+
+    /**
+     * HTTP server 'upgrade' handler. Returns false for paths outside `path`
+     * so other upgrade handlers can take them.
+     */
+    handleUpgrade(req, socket, head) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== this.path && !pathname.startsWith(`${this.path}/`)) return false;
+
+        const route = this.route(req);
+
+        if (route.error) {
+            rejectUpgrade(socket, route.status, { success: false, error: route.error });
+            return true;
+        }
+
+        withCorrelationId(route.correlationId, () => route.proxy.upgrade(req, socket, head));
+        return true;
+    }
+
+    route(req) {
+        const result = this.resolve(req);
+        if (result.error) {
+            return result;
+        }
+
+        const { sessionId, session, server } = result;
+        this.onActivity(sessionId);
+
+        // Read back by the proxy's request hooks, which are shared by every session on the server
+        req.gameSession = session;
+        return {
+            proxy: this.proxyFor(server),
+            correlationId: session.correlationId || req.correlationId || null
+        };
+    }
+
+    proxyFor(server) {
+        const cached = this.proxies.get(server.id);
+        if (cached && cached.url === server.url) {
+            return cached.proxy;
+        }
+
+        const proxy = createProxyMiddleware({
+            target: server.url,
+            changeOrigin: true,
+            pathRewrite: { [`^${this.path}`]: '' },
+            logLevel: 'silent',
+            onProxyReq: (proxyReq, req) => {
+                setCorrelationHeader(proxyReq, req);
+                // express.json() already consumed JSON and form bodies; write them out again
+                fixRequestBody(proxyReq, req);
+            },
+            onProxyReqWs: (proxyReq, req) => setCorrelationHeader(proxyReq, req),
+            onError: (error, req, res) => {
+                const session = req.gameSession;
+                log.error('Proxy error', { serverId: server.id, playerId: session && session.playerId, error: error.message });
+                this.onError(error, session);
+
+                // res is the raw socket for WebSocket upgrades
+                if (typeof res.status !== 'function') {
+                    res.destroy();
+                } else if (!res.headersSent) {
+                    res.status(503).json({ success: false, error: 'Your dedicated server is unavailable' });
+                }
+            }
+        });
+
+        this.proxies.set(server.id, { url: server.url, proxy });
+        return proxy;
+    }
+
+    /**
+     * Drop the cached proxy of a deleted server.
+     */
+    forget(serverId) {
+        this.proxies.delete(serverId);
+    }
+}
+
+function setCorrelationHeader(proxyReq, req) {
+    const correlationId = (req.gameSession && req.gameSession.correlationId) || req.correlationId;
+    if (correlationId) {
+        proxyReq.setHeader(CORRELATION_HEADER, correlationId);
+    }
+}
+
+// Answer an upgrade we won't proxy with a normal HTTP response, so clients see why
+function rejectUpgrade(socket, status, body) {
+    const json = JSON.stringify(body);
+    const reason = { 401: 'Unauthorized', 410: 'Gone', 503: 'Service Unavailable' }[status] || 'Error';
+
+    // Nothing else listens on the raw socket; a reset by the client must not crash the process
+    socket.on('error', () => socket.destroy());
+    socket.end(
+        `HTTP/1.1 ${status} ${reason}\r\n` +
+        'Content-Type: application/json\r\n' +
+        `Content-Length: ${Buffer.byteLength(json)}\r\n` +
+        'Connection: close\r\n' +
+        '\r\n' +
+        json
+    );
+}
+
+module.exports = { GameProxyRouter, rejectUpgrade };
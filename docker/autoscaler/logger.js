@@ -0,0 +1,119 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Structured logger - one JSON object per line:
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info","service":"autoscaler",
+ *    "msg":"Server ready","correlationId":"...","serverId":"auto-...","port":8081}
+ *
+ * LOG_LEVEL (debug, info, warn, error; default info) drops everything below it.
+ *
+ * Correlation IDs: correlationMiddleware() gives every HTTP request an ID (the
+ * caller's X-Correlation-Id if it sent a usable one) and runs the rest of the
+ * request inside it, so every line logged on its behalf - including container
+ * creation further down - carries the same correlationId without passing it around.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CORRELATION_HEADER = 'x-correlation-id';
+const context = new AsyncLocalStorage();
+
+class Logger {
+    /**
+     * @param {object} options
+     * @param {string} options.service - Name in every line
+     * @param {string} [options.level='info'] - Minimum level written (unknown levels fall back to info)
+     * @param {object} [options.fields] - Fields added to every line (see child())
+     * @param {Logger} [options.root] - Logger whose level this one follows (set by child())
+     */
+    constructor(options) {
+        this.service = options.service;
+        this.fields = options.fields || {};
+        this.root = options.root || this;
+
+        if (!options.root) {
+            this.level = LEVELS[options.level] ? options.level : 'info';
+            if (options.level && !LEVELS[options.level]) {
+                this.warn('Unknown log level, using info', { requested: options.level, levels: Object.keys(LEVELS) });
+            }
+        }
+    }
+
+    /**
+     * Logger that adds `fields` to every line, e.g. logger.child({ component: 'node-registry' }).
+     */
+    child(fields) {
+        return new Logger({ service: this.service, fields: { ...this.fields, ...fields }, root: this.root });
+    }
+
+    debug(msg, fields) { this.write('debug', msg, fields); }
+    info(msg, fields) { this.write('info', msg, fields); }
+    warn(msg, fields) { this.write('warn', msg, fields); }
+    error(msg, fields) { this.write('error', msg, fields); }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.root.level]) return;
+
+        const line = {
+            time: new Date().toISOString(),
+            level,
+            service: this.service,
+            msg,
+            ...this.fields
+        };
+        const correlationId = getCorrelationId();
+        if (correlationId) {
+            line.correlationId = correlationId;
+        }
+        for (const [key, value] of Object.entries(fields)) {
+            line[key] = value instanceof Error ? serializeError(value) : value;
+        }
+
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(JSON.stringify(line) + '\n');
+    }
+}
+
+function serializeError(error) {
+    return { name: error.name, message: error.message, stack: error.stack };
+}
+
+function getCorrelationId() {
+    const store = context.getStore();
+    return store ? store.correlationId : null;
+}
+
+/**
+ * Run fn with a correlation ID (e.g. a queued join admitted later from a background loop).
+ */
+function withCorrelationId(correlationId, fn) {
+    return context.run({ correlationId }, fn);
+}
+
+/**
+ * Express middleware: assign the request's correlation ID, echo it in the response
+ * and make it current for everything the request does. Mount it after the body
+ * parser so the parser's stream callbacks can't drop the context.
+ */
+function correlationMiddleware() {
+    return (req, res, next) => {
+        const incoming = req.headers[CORRELATION_HEADER];
+        const correlationId = typeof incoming === 'string' && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : uuidv4();
+
+        req.correlationId = correlationId;
+        res.setHeader(CORRELATION_HEADER, correlationId);
+        withCorrelationId(correlationId, next);
+    };
+}
+
+const logger = new Logger({ service: 'autoscaler', level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+    logger,
+    Logger,
+    CORRELATION_HEADER,
+    getCorrelationId,
+    withCorrelationId,
+    correlationMiddleware
+};
@@ -0,0 +1,143 @@
+const client = require('prom-client');
+
+/**
+ * AutoscalerMetrics - Prometheus metrics served on GET /metrics.
+ *
+ * Counters and histograms are updated at the call sites in server.js; gauges
+ * are computed from live autoscaler state at scrape time via getState(), so
+ * they can never drift from the server/session tables.
+ */
+class AutoscalerMetrics {
+    /**
+     * @param {function} getState - Returns { serversByStatus: {status: count}, activeSessions, playerChannels, queueLength, utilization }
+     */
+    constructor(getState) {
+        this.registry = new client.Registry();
+        client.collectDefaultMetrics({ register: this.registry, prefix: 'autoscaler_process_' });
+
+        new client.Gauge({
+            name: 'autoscaler_servers',
+            help: 'Auto-scaled game servers by status',
+            labelNames: ['status'],
+            registers: [this.registry],
+            collect() {
+                this.reset();
+                for (const [status, count] of Object.entries(getState().serversByStatus)) {
+                    this.set({ status }, count);
+                }
+            }
+        });
+
+        new client.Gauge({
+            name: 'autoscaler_active_sessions',
+            help: 'Player sessions currently tracked',
+            registers: [this.registry],
+            collect() {
+                this.set(getState().activeSessions);
+            }
+        });
+
+        new client.Gauge({
+            name: 'autoscaler_player_channels',
+            help: 'Open player session WebSockets (/ws/session)',
+            registers: [this.registry],
+            collect() {
+                this.set(getState().playerChannels);
+            }
+        });
+
+        new client.Gauge({
+            name: 'autoscaler_queue_length',
+            help: 'Joins waiting in the admission queue',
+            registers: [this.registry],
+            collect() {
+                this.set(getState().queueLength);
+            }
+        });
+
+        new client.Gauge({
+            name: 'autoscaler_utilization_ratio',
+            help: 'Active sessions divided by total player capacity (0-1)',
+            registers: [this.registry],
+            collect() {
+                this.set(getState().utilization);
+            }
+        });
+
+        this.joins = new client.Counter({
+            name: 'autoscaler_player_joins_total',
+            help: 'Players assigned to a server',
+            registers: [this.registry]
+        });
+
+        this.leaves = new client.Counter({
+            name: 'autoscaler_player_leaves_total',
+            help: 'Players that left explicitly',
+            registers: [this.registry]
+        });
+
+        this.resumes = new client.Counter({
+            name: 'autoscaler_player_resumes_total',
+            help: 'Lost sessions resumed via /api/player/resume',
+            labelNames: ['outcome'], // session-alive | same-server | new-server
+            registers: [this.registry]
+        });
+
+        this.heartbeats = new client.Counter({
+            name: 'autoscaler_heartbeats_total',
+            help: 'Accepted player heartbeats',
+            registers: [this.registry]
+        });
+
+        this.sessionTimeouts = new client.Counter({
+            name: 'autoscaler_session_timeouts_total',
+            help: 'Player sessions removed for inactivity',
+            registers: [this.registry]
+        });
+
+        this.containerFailures = new client.Counter({
+            name: 'autoscaler_container_failures_total',
+            help: 'Failed container operations',
+            labelNames: ['operation'], // create | stop | remove
+            registers: [this.registry]
+        });
+
+        this.proxyErrors = new client.Counter({
+            name: 'autoscaler_proxy_errors_total',
+            help: 'Errors proxying /gameserver traffic to a game server',
+            registers: [this.registry]
+        });
+
+        this.containerStartup = new client.Histogram({
+            name: 'autoscaler_container_startup_seconds',
+            help: 'Time from container create until the server passed its readiness probe',
+            buckets: [0.5, 1, 2, 5, 10, 20, 30, 60],
+            registers: [this.registry]
+        });
+
+        this.joinLatency = new client.Histogram({
+            name: 'autoscaler_join_duration_seconds',
+            help: 'Time to assign a server to a joining player',
+            labelNames: ['outcome'], // success | queued | error
+            buckets: [0.01, 0.05, 0.1, 0.5, 1, 2, 5, 10, 30],
+            registers: [this.registry]
+        });
+
+        this.queueWait = new client.Histogram({
+            name: 'autoscaler_queue_wait_seconds',
+            help: 'Time queued joins waited before being admitted',
+            buckets: [1, 5, 10, 30, 60, 120, 300, 600],
+            registers: [this.registry]
+        });
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    async render() {
+        return this.registry.metrics();
+    }
+}
+
+module.exports = { AutoscalerMetrics };
@@ -0,0 +1,254 @@
+const fs = require('fs');
+const Docker = require('dockerode');
+const { createContainerRuntime } = require('./container-runtime');
+const { PortAllocator } = require('./port-allocator');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'node-registry' });
+
+/**
+ * NodeRegistry - the Docker hosts game servers can be placed on.
+ *
+ * Nodes are loaded from a JSON file on the config volume:
+ *
+ *   {
+ *     "placement": "binpack",
+ *     "nodes": [
+ *       { "name": "local", "publicHost": "game1.example.com", "capacity": 20 },
+ *       { "name": "node-2", "docker": { "host": "10.0.0.12", "port": 2375 },
+ *         "publicHost": "game2.example.com", "capacity": 40, "portStart": 9000, "portEnd": 9199 }
+ *     ]
+ *   }
+ *
+ * `docker` is passed to dockerode (socketPath, or host/port/protocol/ca/cert/key);
+ * without it the node is the local socket. Containers on remote nodes are reached
+ * at `internalHost` (default: docker.host) and the published port, local ones by
+ * container name on DOCKER_NETWORK. Before a port is used, the node's host is probed
+ * for something already listening on it: at `probeHost` (default: internalHost, or
+ * HOST_PROBE_ADDRESS for the local node).
+ *
+ * Without the file there is a single "local" node, which is how the autoscaler
+ * worked before multi-host support.
+ *
+ * Placement: "binpack" fills the busiest node that still has room, so fewer hosts
+ * are in use; "spread" picks the node with the lowest load ratio. A node that fails
+ * unhealthyThreshold pings in a row gets no new servers until a ping succeeds.
+ */
+
+const PLACEMENT_STRATEGIES = ['binpack', 'spread'];
+
+class NodeRegistry {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Node file (missing file = one local node)
+     * @param {string} options.runtimeType - 'docker' or 'fake' (CONTAINER_RUNTIME)
+     * @param {object} [options.runtime] - Runtime for the default local node (tests inject a FakeRuntime)
+     * @param {string} options.network - Docker network for nodes that don't set one
+     * @param {string} options.hostProbeAddress - How the local node's host is reached for port probes
+     * @param {string} options.publicHost - Public hostname of the default local node
+     * @param {number} options.capacity - Server capacity of the default local node
+     * @param {number} options.portStart - First host port on nodes that don't set portStart
+     * @param {number} options.portEnd - Last host port on nodes that don't set portEnd
+     * @param {string} options.placement - Placement strategy when the file doesn't set one
+     * @param {number} options.unhealthyThreshold - Failed pings before a node is skipped
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.runtimeType = options.runtimeType;
+        this.network = options.network;
+        this.hostProbeAddress = options.hostProbeAddress;
+        this.portStart = options.portStart;
+        this.portEnd = options.portEnd;
+        this.unhealthyThreshold = options.unhealthyThreshold;
+        this.placement = options.placement;
+        this.nodes = new Map(); // name -> node
+
+        this.addNode({ name: 'local', publicHost: options.publicHost, capacity: options.capacity }, options.runtime);
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            const specs = Array.isArray(data.nodes) ? data.nodes : [];
+            const placement = data.placement || this.placement;
+
+            if (!PLACEMENT_STRATEGIES.includes(placement)) {
+                throw new Error(`Unknown placement strategy "${placement}"`);
+            }
+            if (specs.length === 0) {
+                throw new Error('No nodes defined');
+            }
+            for (const spec of specs) {
+                if (!spec.name || !spec.publicHost || !(spec.capacity > 0)) {
+                    throw new Error(`Node ${spec.name || '(unnamed)'} needs a name, publicHost and capacity`);
+                }
+            }
+
+            const previous = new Map(this.nodes);
+            this.nodes.clear();
+            try {
+                for (const spec of specs) {
+                    this.addNode(spec);
+                }
+            } catch (error) {
+                this.nodes = previous;
+                throw error;
+            }
+            this.placement = placement;
+            log.info('Loaded nodes', { file: this.filePath, nodes: specs.length, placement });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info('No node file, running everything on the local Docker host', { file: this.filePath });
+            } else {
+                log.error('Failed to load nodes, keeping the local node', { file: this.filePath, error: error.message });
+            }
+        }
+
+        return this.list();
+    }
+
+    addNode(spec, runtime = null) {
+        const dockerOptions = spec.docker || null;
+        const urlHost = spec.internalHost || (dockerOptions && dockerOptions.host) || null;
+        const nodeRuntime = runtime || createContainerRuntime(this.runtimeType, {
+            docker: dockerOptions ? new Docker(dockerOptions) : undefined,
+            network: spec.network || (dockerOptions ? 'bridge' : this.network),
+            urlHost,
+            probeHost: spec.probeHost || urlHost || (dockerOptions ? null : this.hostProbeAddress)
+        });
+
+        this.nodes.set(spec.name, {
+            name: spec.name,
+            publicHost: spec.publicHost,
+            capacity: spec.capacity,
+            runtime: nodeRuntime,
+            ports: new PortAllocator({
+                name: spec.name,
+                start: spec.portStart || this.portStart,
+                end: spec.portEnd || (spec.portStart ? spec.portStart + (this.portEnd - this.portStart) : this.portEnd),
+                isPortFree: port => nodeRuntime.isPortFree(port)
+            }),
+            healthy: true,
+            pingFailures: 0,
+            lastError: null,
+            lastCheckedAt: null
+        });
+    }
+
+    get(name) {
+        return this.nodes.get(name) || null;
+    }
+
+    list() {
+        return Array.from(this.nodes.values());
+    }
+
+    /**
+     * Runtime of the node a server runs on.
+     */
+    runtimeFor(server) {
+        const node = this.nodes.get(server.node);
+        if (!node) {
+            throw new Error(`Server ${server.id} is on unknown node "${server.node}"`);
+        }
+        return node.runtime;
+    }
+
+    /**
+     * Pick the node for a new server, or null when every healthy node is full.
+     * @param {Map<string, number>} serverCounts - node name -> servers currently on it
+     */
+    selectNode(serverCounts) {
+        const candidates = this.list().filter(node =>
+            node.healthy && (serverCounts.get(node.name) || 0) < node.capacity
+        );
+        if (candidates.length === 0) return null;
+
+        const load = node => (serverCounts.get(node.name) || 0) / node.capacity;
+
+        return candidates.reduce((best, node) => {
+            if (this.placement === 'spread') {
+                return load(node) < load(best) ? node : best;
+            }
+            return load(node) > load(best) ? node : best;
+        });
+    }
+
+    /**
+     * @throws {PortRangeExhaustedError} when the node has no free port left
+     */
+    async allocatePort(node) {
+        return node.ports.allocate();
+    }
+
+    /**
+     * Mark a port as taken by a container found at startup.
+     */
+    reservePort(node, port) {
+        node.ports.reserve(port);
+    }
+
+    /**
+     * Keep a port that a container failed to bind out of the node's pool for a while.
+     */
+    quarantinePort(node, port) {
+        node.ports.quarantine(port);
+    }
+
+    /**
+     * Give a deleted server's port back to its node.
+     */
+    releasePort(server) {
+        const node = this.nodes.get(server.node);
+        if (node) {
+            node.ports.release(server.port);
+        }
+    }
+
+    /**
+     * Ping every node's Docker daemon and update its health.
+     */
+    async checkHealth() {
+        await Promise.all(this.list().map(async node => {
+            node.lastCheckedAt = Date.now();
+
+            try {
+                await node.runtime.ping();
+                if (!node.healthy) {
+                    log.info('Node is reachable again', { node: node.name });
+                }
+                node.healthy = true;
+                node.pingFailures = 0;
+                node.lastError = null;
+            } catch (error) {
+                node.pingFailures++;
+                node.lastError = error.message;
+
+                if (node.healthy && node.pingFailures >= this.unhealthyThreshold) {
+                    node.healthy = false;
+                    log.warn('Node is unreachable, no new servers will be placed on it', { node: node.name, error: error.message });
+                }
+            }
+        }));
+    }
+
+    /**
+     * Node summary for the stats payload.
+     * @param {Map<string, number>} serverCounts - node name -> servers currently on it
+     */
+    describe(serverCounts) {
+        return this.list().map(node => ({
+            name: node.name,
+            publicHost: node.publicHost,
+            capacity: node.capacity,
+            servers: serverCounts.get(node.name) || 0,
+            ports: node.ports.describe(),
+            healthy: node.healthy,
+            lastError: node.lastError,
+            lastCheckedAt: node.lastCheckedAt
+        }));
+    }
+}
+
+module.exports = { NodeRegistry };
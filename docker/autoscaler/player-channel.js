@@ -0,0 +1,161 @@
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+const { rejectUpgrade } = require('./game-proxy');
+
+const log = logger.child({ component: 'player-channel' });
+
+/**
+ * PlayerChannel - one WebSocket per player session on /ws/session.
+ *
+ * The socket replaces HTTP heartbeats: while it is open and answers pings the
+ * session counts as active. The autoscaler uses it to push messages
+ * ({ type: 'notice' | 'token' | 'capacity', ... }) instead of waiting for the
+ * next heartbeat.
+ *
+ * The token is checked before the upgrade: a rejected one gets a plain 401
+ * response and never becomes a WebSocket.
+ *
+ * Close codes sent to players:
+ *   4000 - session ended on the server (left, revoked, server removed)
+ *   4001 - replaced by a newer connection for the same session
+ */
+const CLOSE_SESSION_ENDED = 4000;
+const CLOSE_REPLACED = 4001;
+
+class PlayerChannel {
+    /**
+     * @param {object} options
+     * @param {string} options.path - Upgrade path handled by this channel
+     * @param {number} options.pingIntervalMs - Ping cadence; a socket that misses one pong is dropped
+     * @param {function} options.authenticate - (token) => { sessionId, session } | { error }
+     * @param {function} options.onActivity - (sessionId) called on connect, every pong and every client message
+     */
+    constructor(options) {
+        this.path = options.path;
+        this.pingIntervalMs = options.pingIntervalMs;
+        this.authenticate = options.authenticate;
+        this.onActivity = options.onActivity;
+        this.sockets = new Map(); // sessionId -> ws
+        this.wss = new WebSocket.Server({ noServer: true });
+
+        this.pingTimer = setInterval(() => this.pingAll(), this.pingIntervalMs);
+    }
+
+    /**
+     * HTTP server 'upgrade' handler. Returns false for paths this channel doesn't own
+     * so other upgrade handlers can take them.
+     */
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== this.path) return false;
+
+        const token = url.searchParams.get('sessionToken') || req.headers['x-session-token'];
+        const result = this.authenticate(token);
+
+        if (result.error) {
+            rejectUpgrade(socket, 401, { success: false, error: result.error });
+            return true;
+        }
+
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+            // Protocol violations (e.g. an unmasked frame) are emitted as 'error' before the socket closes
+            ws.on('error', error => {
+                log.warn('Player channel protocol error', { session: `${result.sessionId.substring(0, 8)}…`, error: error.message });
+            });
+
+            this.register(result.sessionId, ws);
+        });
+
+        return true;
+    }
+
+    register(sessionId, ws) {
+        const existing = this.sockets.get(sessionId);
+        if (existing) {
+            existing.close(CLOSE_REPLACED, 'Replaced by a newer connection');
+        }
+
+        this.sockets.set(sessionId, ws);
+        ws.isAlive = true;
+        this.onActivity(sessionId);
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+            this.onActivity(sessionId);
+        });
+
+        // Clients may also send application-level pings (e.g. where protocol pings are hidden)
+        ws.on('message', () => {
+            this.onActivity(sessionId);
+        });
+
+        ws.on('close', () => {
+            if (this.sockets.get(sessionId) === ws) {
+                this.sockets.delete(sessionId);
+            }
+        });
+
+        ws.send(JSON.stringify({ type: 'welcome', pingIntervalMs: this.pingIntervalMs }));
+    }
+
+    pingAll() {
+        for (const [sessionId, ws] of this.sockets.entries()) {
+            if (!ws.isAlive) {
+                log.info('Player channel missed a ping', { session: `${sessionId.substring(0, 8)}…` });
+                ws.terminate();
+                this.sockets.delete(sessionId);
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }
+
+    isConnected(sessionId) {
+        const ws = this.sockets.get(sessionId);
+        return !!ws && ws.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Push a message to one session. Returns false if it has no open socket.
+     */
+    send(sessionId, message) {
+        if (!this.isConnected(sessionId)) return false;
+        this.sockets.get(sessionId).send(JSON.stringify(message));
+        return true;
+    }
+
+    broadcast(message) {
+        const payload = JSON.stringify(message);
+        for (const ws of this.sockets.values()) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(payload);
+            }
+        }
+    }
+
+    /**
+     * Close a session's socket because the session is over.
+     */
+    disconnect(sessionId, reason) {
+        const ws = this.sockets.get(sessionId);
+        if (!ws) return;
+        this.sockets.delete(sessionId);
+        ws.close(CLOSE_SESSION_ENDED, reason);
+    }
+
+    get size() {
+        return this.sockets.size;
+    }
+
+    close() {
+        clearInterval(this.pingTimer);
+        for (const ws of this.sockets.values()) {
+            ws.terminate();
+        }
+        this.sockets.clear();
+        this.wss.close();
+    }
+}
+
+module.exports = { PlayerChannel };
@@ -0,0 +1,137 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'port-allocator' });
+
+/**
+ * PortAllocator - host ports for game server containers on one node.
+ *
+ * Ports come from a fixed range. Allocation continues after the last port handed
+ * out and wraps around, so a port freed by a deleted container is reused only
+ * after the rest of the range, which gives the host time to let go of it.
+ * Before a port is handed out the node is asked whether anything else already
+ * binds it (another container, a process on the host); such ports are skipped.
+ * A port the probe called free but a container then failed to bind is
+ * quarantined: it is not handed out again until the quarantine has passed.
+ */
+
+// How long a port that failed to bind stays out of allocation
+const DEFAULT_QUARANTINE_MS = 10 * 60 * 1000;
+
+class PortRangeExhaustedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PortRangeExhaustedError';
+    }
+}
+
+class PortAllocator {
+    /**
+     * @param {object} options
+     * @param {string} options.name - Node name, for error messages
+     * @param {number} options.start - First port of the range
+     * @param {number} options.end - Last port of the range (inclusive)
+     * @param {function} options.isPortFree - async (port) => boolean, checks the host
+     * @param {number} [options.quarantineMs] - How long a quarantined port is skipped
+     */
+    constructor(options) {
+        if (!(options.end >= options.start)) {
+            throw new Error(`Invalid port range ${options.start}-${options.end} for node ${options.name}`);
+        }
+
+        this.name = options.name;
+        this.start = options.start;
+        this.end = options.end;
+        this.isPortFree = options.isPortFree;
+        this.quarantineMs = options.quarantineMs || DEFAULT_QUARANTINE_MS;
+        this.inUse = new Set();
+        this.quarantined = new Map(); // port -> time it may be handed out again
+        this.cursor = options.start;
+    }
+
+    get size() {
+        return this.end - this.start + 1;
+    }
+
+    /**
+     * Hand out the next free port. The port is held while the host is checked,
+     * so concurrent allocations never get the same one.
+     * @returns {Promise<number>}
+     * @throws {PortRangeExhaustedError} when every port is in use or taken on the host
+     */
+    async allocate() {
+        let takenOnHost = 0;
+
+        for (let i = 0; i < this.size; i++) {
+            const port = this.start + (this.cursor - this.start + i) % this.size;
+            if (this.inUse.has(port) || this.isQuarantined(port)) continue;
+
+            this.inUse.add(port);
+            let free;
+            try {
+                free = await this.isPortFree(port);
+            } catch (error) {
+                log.warn('Could not check port', { node: this.name, port, error: error.message });
+                free = false;
+            }
+
+            if (free) {
+                this.cursor = port === this.end ? this.start : port + 1;
+                return port;
+            }
+
+            this.inUse.delete(port);
+            takenOnHost++;
+        }
+
+        throw new PortRangeExhaustedError(
+            `No free host port in ${this.start}-${this.end} on node ${this.name} ` +
+            `(${this.inUse.size} used by game servers, ${takenOnHost} taken by something else)`
+        );
+    }
+
+    /**
+     * Mark a port as used by an existing container (startup rebuild).
+     */
+    reserve(port) {
+        if (port >= this.start && port <= this.end) {
+            this.inUse.add(port);
+        }
+    }
+
+    release(port) {
+        this.inUse.delete(port);
+    }
+
+    /**
+     * Take a port out of allocation after something on the host turned out to hold it.
+     */
+    quarantine(port) {
+        this.inUse.delete(port);
+        this.quarantined.set(port, Date.now() + this.quarantineMs);
+    }
+
+    isQuarantined(port) {
+        const until = this.quarantined.get(port);
+        if (until === undefined) return false;
+        if (Date.now() < until) return true;
+
+        this.quarantined.delete(port);
+        return false;
+    }
+
+    describe() {
+        const quarantined = Array.from(this.quarantined.keys()).filter(port => this.isQuarantined(port)).length;
+        return {
+            start: this.start,
+            end: this.end,
+            inUse: this.inUse.size,
+            quarantined,
+            available: this.size - this.inUse.size - quarantined
+        };
+    }
+}
+
+module.exports = {
+    PortAllocator,
+    PortRangeExhaustedError
+};
@@ -0,0 +1,90 @@
+const axios = require('axios');
+
+/**
+ * ReadinessProbe - decides whether a game server container is actually serving.
+ *
+ * A server counts as healthy when its container is running (and not reported
+ * unhealthy by a Docker HEALTHCHECK) and its nginx answers an HTTP GET on the
+ * internal cluster URL. The autoscaler owns the status transitions; this class
+ * only answers "is it up?", once (probe) or with retries (waitUntilReady).
+ */
+class ReadinessProbe {
+    /**
+     * @param {function} runtimeFor - (server) => container runtime of the node the server runs on
+     * @param {object} options
+     * @param {number} options.maxAttempts - Probes before a starting server is declared failed
+     * @param {number} options.initialDelayMs - Delay before the second attempt (doubles each retry)
+     * @param {number} options.maxDelayMs - Upper bound for the backoff delay
+     * @param {number} options.requestTimeoutMs - Per-request HTTP timeout
+     */
+    constructor(runtimeFor, options) {
+        this.runtimeFor = runtimeFor;
+        this.maxAttempts = options.maxAttempts;
+        this.initialDelayMs = options.initialDelayMs;
+        this.maxDelayMs = options.maxDelayMs;
+        this.requestTimeoutMs = options.requestTimeoutMs;
+    }
+
+    /**
+     * Single health check against a server.
+     * @returns {Promise<{healthy: boolean, containerRunning: boolean, reason: string|null}>}
+     */
+    async probe(server) {
+        let state;
+        try {
+            state = await this.runtimeFor(server).inspectContainer(server.containerId);
+        } catch (error) {
+            return { healthy: false, containerRunning: false, reason: `inspect failed: ${error.message}` };
+        }
+
+        if (!state.running) {
+            return { healthy: false, containerRunning: false, reason: `container ${state.status} (exit code ${state.exitCode})` };
+        }
+
+        if (state.health === 'unhealthy') {
+            return { healthy: false, containerRunning: true, reason: 'docker healthcheck reports unhealthy' };
+        }
+
+        try {
+            await axios.get(server.url, {
+                timeout: this.requestTimeoutMs,
+                validateStatus: status => status < 500
+            });
+            return { healthy: true, containerRunning: true, reason: null };
+        } catch (error) {
+            return { healthy: false, containerRunning: true, reason: `http probe failed: ${error.message}` };
+        }
+    }
+
+    /**
+     * Probe with exponential backoff until the server answers, the container
+     * exits, or attempts run out.
+     * @returns {Promise<{ready: boolean, attempts: number, reason: string|null}>}
+     */
+    async waitUntilReady(server) {
+        let delay = this.initialDelayMs;
+        let result = { healthy: false, containerRunning: true, reason: null };
+
+        for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+            result = await this.probe(server);
+
+            if (result.healthy) {
+                return { ready: true, attempts: attempt, reason: null };
+            }
+
+            // A container that already exited will not come up by waiting longer
+            if (!result.containerRunning) {
+                return { ready: false, attempts: attempt, reason: result.reason };
+            }
+
+            if (attempt < this.maxAttempts) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                delay = Math.min(delay * 2, this.maxDelayMs);
+            }
+        }
+
+        return { ready: false, attempts: this.maxAttempts, reason: result.reason };
+    }
+}
+
+module.exports = { ReadinessProbe };
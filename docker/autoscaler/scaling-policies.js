@@ -0,0 +1,212 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scaling' });
+
+/**
+ * Scaling policies - decide how many idle, ready servers (the warm pool) to keep.
+ *
+ * Policies are loaded from a JSON file on the config volume:
+ *
+ *   {
+ *     "policies": [
+ *       { "name": "keep-70pct", "type": "target-utilization", "targetPercent": 70 },
+ *       { "name": "evening-peak", "type": "schedule", "cron": "* 18-22 * * *", "minWarm": 10 },
+ *       { "name": "join-forecast", "type": "forecast", "windowSeconds": 300, "horizonSeconds": 60, "headroom": 1.5 }
+ *     ]
+ *   }
+ *
+ * Every policy returns a desired idle-server count with a human readable reason.
+ * The engine takes the largest request (never below the WARM_POOL_SIZE baseline),
+ * clamps it to the free server slots and records the decision so operators can
+ * see why the cluster scaled.
+ */
+
+const POLICY_TYPES = ['target-utilization', 'schedule', 'forecast'];
+
+/**
+ * Match one cron field ("*", "5", "1-5", "0-59/15", "1,3,5-7") against a value.
+ */
+function matchCronField(field, value) {
+    return field.split(',').some(part => {
+        const [range, stepText] = part.split('/');
+        const step = stepText ? parseInt(stepText) : 1;
+        let start;
+        let end;
+
+        if (range === '*') {
+            start = 0;
+            end = Number.MAX_SAFE_INTEGER;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(n => parseInt(n));
+        } else {
+            start = parseInt(range);
+            end = stepText ? Number.MAX_SAFE_INTEGER : start;
+        }
+
+        return value >= start && value <= end && (value - start) % step === 0;
+    });
+}
+
+/**
+ * Five-field cron expression (minute hour day-of-month month day-of-week),
+ * evaluated in the container's local time.
+ */
+function matchesCron(expression, date) {
+    const fields = expression.trim().split(/\s+/);
+    if (fields.length !== 5) {
+        throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+    }
+
+    const values = [date.getMinutes(), date.getHours(), date.getDate(), date.getMonth() + 1, date.getDay()];
+    return fields.every((field, i) => matchCronField(field, values[i]));
+}
+
+class ScalingPolicyEngine {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Policy file (missing file = no policies)
+     * @param {number} options.baseWarmPoolSize - Floor for the warm pool target (WARM_POOL_SIZE)
+     * @param {number} options.historySize - Number of decisions kept for the admin endpoint
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.baseWarmPoolSize = options.baseWarmPoolSize;
+        this.historySize = options.historySize || 100;
+        this.policies = [];
+        this.decisions = [];
+        this.joinTimestamps = [];
+        this.lastTarget = null;
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            const policies = Array.isArray(data.policies) ? data.policies : [];
+
+            for (const policy of policies) {
+                if (!POLICY_TYPES.includes(policy.type)) {
+                    throw new Error(`Unknown scaling policy type "${policy.type}" in ${policy.name || 'unnamed policy'}`);
+                }
+                if (policy.type === 'schedule') {
+                    matchesCron(policy.cron, new Date()); // validate early
+                }
+            }
+
+            this.policies = policies;
+            log.info('Loaded scaling policies', { file: this.filePath, policies: policies.length });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                this.policies = [];
+                log.info('No scaling policy file, using WARM_POOL_SIZE only', { file: this.filePath });
+            } else {
+                log.error('Failed to load scaling policies', { file: this.filePath, error: error.message });
+            }
+        }
+
+        return this.policies;
+    }
+
+    recordJoin(timestamp = Date.now()) {
+        this.joinTimestamps.push(timestamp);
+    }
+
+    /**
+     * Evaluate all policies against a cluster snapshot.
+     * @param {object} snapshot - { activePlayers, serversInUse, totalServers, maxServers, maxPlayersPerServer }
+     * @returns {object} Decision { timestamp, warmPoolTarget, previousTarget, inputs, policies }
+     */
+    evaluate(snapshot, now = Date.now()) {
+        // Only keep as much join history as the longest forecast window needs
+        const longestWindow = Math.max(0, ...this.policies
+            .filter(p => p.type === 'forecast')
+            .map(p => p.windowSeconds || 300));
+        this.joinTimestamps = this.joinTimestamps.filter(t => now - t <= longestWindow * 1000);
+
+        const results = this.policies.map(policy => ({
+            name: policy.name || policy.type,
+            type: policy.type,
+            ...this.evaluatePolicy(policy, snapshot, now)
+        }));
+
+        const requested = Math.max(this.baseWarmPoolSize, ...results.map(r => r.desiredIdle));
+        const freeSlots = Math.max(0, snapshot.maxServers - snapshot.serversInUse);
+        const warmPoolTarget = Math.min(requested, freeSlots);
+
+        const decision = {
+            timestamp: now,
+            warmPoolTarget,
+            previousTarget: this.lastTarget,
+            clampedByMaxServers: warmPoolTarget < requested,
+            inputs: snapshot,
+            policies: results
+        };
+
+        if (this.lastTarget !== warmPoolTarget) {
+            const drivers = results.filter(r => r.desiredIdle === requested).map(r => r.name);
+            log.info('Warm pool target changed', {
+                from: this.lastTarget,
+                to: warmPoolTarget,
+                drivenBy: drivers.length > 0 ? drivers : ['baseline']
+            });
+        }
+
+        this.lastTarget = warmPoolTarget;
+        this.decisions.push(decision);
+        if (this.decisions.length > this.historySize) {
+            this.decisions.shift();
+        }
+
+        return decision;
+    }
+
+    evaluatePolicy(policy, snapshot, now) {
+        switch (policy.type) {
+            case 'target-utilization': {
+                const target = (policy.targetPercent || 70) / 100;
+                const perServer = snapshot.maxPlayersPerServer * target;
+                const desiredServers = Math.ceil(snapshot.activePlayers / perServer);
+                const desiredIdle = Math.max(policy.minIdle || 0, desiredServers - snapshot.serversInUse);
+                return {
+                    desiredIdle,
+                    reason: `${snapshot.activePlayers} players at ${policy.targetPercent || 70}% target need ${desiredServers} servers, ${snapshot.serversInUse} in use`
+                };
+            }
+
+            case 'schedule': {
+                const active = matchesCron(policy.cron, new Date(now));
+                return {
+                    desiredIdle: active ? policy.minWarm || 0 : 0,
+                    reason: active ? `schedule "${policy.cron}" active` : `schedule "${policy.cron}" inactive`
+                };
+            }
+
+            case 'forecast': {
+                const windowSeconds = policy.windowSeconds || 300;
+                const horizonSeconds = policy.horizonSeconds || 60;
+                const headroom = policy.headroom || 1.5;
+                const recentJoins = this.joinTimestamps.filter(t => now - t <= windowSeconds * 1000).length;
+                const joinsPerSecond = recentJoins / windowSeconds;
+                const expectedJoins = joinsPerSecond * horizonSeconds;
+                const serversPerJoin = 1 / snapshot.maxPlayersPerServer;
+                return {
+                    desiredIdle: Math.ceil(expectedJoins * serversPerJoin * headroom),
+                    reason: `${recentJoins} joins in ${windowSeconds}s -> ${expectedJoins.toFixed(2)} expected in next ${horizonSeconds}s`
+                };
+            }
+
+            default:
+                return { desiredIdle: 0, reason: 'unknown policy type' };
+        }
+    }
+
+    getDecisions(limit = 20) {
+        return this.decisions.slice(-limit).reverse();
+    }
+}
+
+module.exports = {
+    ScalingPolicyEngine,
+    matchesCron
+};
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'server-profiles' });
+
+/**
+ * Server profiles - named kinds of game server (map size, game mode, ...).
+ *
+ * Profiles are loaded from a JSON file on the config volume:
+ *
+ *   {
+ *     "profiles": {
+ *       "default": { "cpus": 0.5, "memoryMb": 256 },
+ *       "large-map": {
+ *         "image": "procgen-phaser", "tag": "latest",
+ *         "cpus": 2, "memoryMb": 1024,
+ *         "env": { "MAP_WIDTH": "400", "MAP_HEIGHT": "400" },
+ *         "labels": { "game.mode": "large-map" },
+ *         "maxPlayers": 4
+ *       }
+ *     }
+ *   }
+ *
+ * "default" always exists: it runs BASE_IMAGE with MAX_PLAYERS_PER_SERVER and no
+ * limits, and whatever the file sets for it overrides that. Other profiles inherit
+ * the image from "default" when they don't name one. cpus/memoryMb become Docker
+ * NanoCpus/Memory limits; omitted means unlimited.
+ */
+
+const DEFAULT_PROFILE = 'default';
+
+class ServerProfileRegistry {
+    /**
+     * @param {object} options
+     * @param {string} options.filePath - Profile file (missing file = "default" only)
+     * @param {string} options.baseImage - Image of the default profile (BASE_IMAGE)
+     * @param {number} options.maxPlayers - Players per server of the default profile (MAX_PLAYERS_PER_SERVER)
+     */
+    constructor(options) {
+        this.filePath = options.filePath;
+        this.baseDefault = { image: options.baseImage, maxPlayers: options.maxPlayers };
+        this.profiles = new Map(); // name -> profile
+        this.profiles.set(DEFAULT_PROFILE, this.normalize(DEFAULT_PROFILE, {}, this.baseDefault));
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            const specs = data.profiles || {};
+
+            const defaultProfile = this.normalize(DEFAULT_PROFILE, specs[DEFAULT_PROFILE] || {}, this.baseDefault);
+            const profiles = new Map([[DEFAULT_PROFILE, defaultProfile]]);
+            for (const [name, spec] of Object.entries(specs)) {
+                if (name !== DEFAULT_PROFILE) {
+                    profiles.set(name, this.normalize(name, spec, defaultProfile));
+                }
+            }
+
+            this.profiles = profiles;
+            log.info('Loaded server profiles', { file: this.filePath, profiles: Array.from(profiles.keys()) });
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                log.info('No server profile file, every server uses BASE_IMAGE', { file: this.filePath });
+            } else {
+                log.error('Failed to load server profiles', { file: this.filePath, error: error.message });
+            }
+        }
+
+        return this.list();
+    }
+
+    /**
+     * Fill in a profile from its spec, falling back to `base` for image and maxPlayers.
+     */
+    normalize(name, spec, base) {
+        let image = base.image;
+        if (spec.image) {
+            image = spec.tag ? `${spec.image}:${spec.tag}` : spec.image;
+        } else if (spec.tag) {
+            image = `${base.image.split(':')[0]}:${spec.tag}`;
+        }
+
+        const maxPlayers = spec.maxPlayers !== undefined ? parseInt(spec.maxPlayers) : base.maxPlayers;
+        if (!(maxPlayers > 0)) {
+            throw new Error(`Profile ${name}: maxPlayers must be a positive number`);
+        }
+        if (spec.cpus !== undefined && !(spec.cpus > 0)) {
+            throw new Error(`Profile ${name}: cpus must be a positive number`);
+        }
+        if (spec.memoryMb !== undefined && !(spec.memoryMb > 0)) {
+            throw new Error(`Profile ${name}: memoryMb must be a positive number`);
+        }
+
+        return {
+            name,
+            image,
+            cpus: spec.cpus || null,
+            memoryMb: spec.memoryMb || null,
+            env: { ...(spec.env || {}) },
+            labels: { ...(spec.labels || {}) },
+            maxPlayers
+        };
+    }
+
+    get(name) {
+        return this.profiles.get(name) || null;
+    }
+
+    /**
+     * Profile of a server; servers from an unknown (since removed) profile count as "default".
+     */
+    forServer(server) {
+        return this.profiles.get(server.profile) || this.profiles.get(DEFAULT_PROFILE);
+    }
+
+    list() {
+        return Array.from(this.profiles.values());
+    }
+}
+
+module.exports = {
+    ServerProfileRegistry,
+    DEFAULT_PROFILE
+};
@@ -1,20 +1,39 @@
     const express = require('express');
-const { createProxyMiddleware } = require('http-proxy-middleware');
-const Docker = require('dockerode');
 const WebSocket = require('ws');
 const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const { createSessionStore } = require('./session-store');
+const { ReadinessProbe } = require('./readiness');
+const { NodeRegistry } = require('./node-registry');
+const { isPortConflictError } = require('./container-runtime');
+const { PortRangeExhaustedError } = require('./port-allocator');
+const { ServerProfileRegistry, DEFAULT_PROFILE } = require('./server-profiles');
+const { ScalingPolicyEngine } = require('./scaling-policies');
+const { AutoscalerMetrics } = require('./metrics');
+const { AdminAuth, redactSessionId } = require('./auth');
+const { SessionTokenService, getSessionToken, setSessionCookie, clearSessionCookie } = require('./session-tokens');
+const { AuditLog } = require('./audit-log');
+const { EventLog, parseTime } = require('./event-log');
+const { AlertManager } = require('./alerting');
+const { PlayerChannel } = require('./player-channel');
+const { GameProxyRouter } = require('./game-proxy');
+const { AdmissionQueue } = require('./admission-queue');
+const { logger, correlationMiddleware, getCorrelationId, withCorrelationId } = require('./logger');
+
+// Ports tried in a row when starting a container fails because its host port is taken
+const PORT_CONFLICT_ATTEMPTS = 3;
 
 class GameServerAutoscaler {
-    constructor() {
-        this.docker = new Docker();
+    constructor(options = {}) {
         this.app = express();
-        this.wss = new WebSocket.Server({ port: 8090 });
+        this.adminPort = options.adminPort !== undefined ? options.adminPort : 8090;
+        this.timers = []; // Background loops, started by start() and cleared by close()
         
         // Player and Server management
-        this.servers = new Map(); // serverId -> { container, lastActivity, port, status, players, createdAt }
+        this.servers = new Map(); // serverId -> { containerId, node, profile, lastActivity, port, status, players, createdAt }
+        // Server status lifecycle: starting -> running <-> unhealthy -> shutting-down | failed
+        this.pendingCreates = new Map(); // serverId -> node name, servers being created but not in this.servers yet
         this.playerSessions = new Map(); // sessionId -> { serverId, playerId, lastActivity }
-        this.nextPort = parseInt(process.env.SERVER_PORT_START) || 8081;
         this.persistentServer = process.env.PERSISTENT_SERVER_URL || 'http://procgen-server-1:80';
         
         // Configuration
@@ -24,21 +43,168 @@ class GameServerAutoscaler {
             maxPlayersPerServer: parseInt(process.env.MAX_PLAYERS_PER_SERVER) || 1, // 1 player per server by default
             inactivityShutdown: parseInt(process.env.INACTIVITY_SHUTDOWN) || 10, // seconds
             cleanupDelete: parseInt(process.env.CLEANUP_DELETE) || 30, // seconds
-            baseImage: process.env.BASE_IMAGE || 'procgen-phaser:latest'
+            baseImage: process.env.BASE_IMAGE || 'procgen-phaser:latest',
+            serverProfilesFile: process.env.SERVER_PROFILES_FILE || '/app/config/server-profiles.json',
+            containerRuntime: process.env.CONTAINER_RUNTIME || 'docker', // 'docker' or 'fake'
+            dockerNetwork: process.env.DOCKER_NETWORK || 'gamemap-dockerized_procgen-cluster',
+            hostProbeAddress: process.env.HOST_PROBE_ADDRESS || 'host.docker.internal', // local Docker host, probed for taken ports
+            serverPortStart: parseInt(process.env.SERVER_PORT_START) || 8081,
+            serverPortEnd: parseInt(process.env.SERVER_PORT_END) || (parseInt(process.env.SERVER_PORT_START) || 8081) + 999,
+            nodesFile: process.env.NODES_FILE || '/app/config/nodes.json',
+            placementStrategy: process.env.PLACEMENT_STRATEGY || 'binpack', // 'binpack' or 'spread' (the node file can override)
+            publicHost: process.env.PUBLIC_HOST || 'localhost', // hostname players use for the local node
+            sessionStore: process.env.SESSION_STORE || 'file', // 'file' or 'memory'
+            sessionStorePath: process.env.SESSION_STORE_PATH || '/app/config/sessions.json',
+            orphanPolicy: process.env.ORPHAN_POLICY || 'adopt', // 'adopt' or 'reap' unmatched containers on startup
+            readinessMaxAttempts: parseInt(process.env.READINESS_MAX_ATTEMPTS) || 10,
+            readinessInitialDelayMs: parseInt(process.env.READINESS_INITIAL_DELAY_MS) || 500,
+            readinessMaxDelayMs: parseInt(process.env.READINESS_MAX_DELAY_MS) || 5000,
+            healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 10, // seconds
+            unhealthyThreshold: parseInt(process.env.UNHEALTHY_THRESHOLD) || 3, // consecutive failed checks
+            warmPoolSize: parseInt(process.env.WARM_POOL_SIZE) || 0, // idle, ready servers kept for instant joins
+            scalingPolicyFile: process.env.SCALING_POLICY_FILE || '/app/config/scaling-policies.json',
+            scalingEvaluationInterval: parseInt(process.env.SCALING_EVALUATION_INTERVAL) || 15, // seconds
+            authDisabled: process.env.AUTH_DISABLED === 'true',
+            adminTokenTtl: parseInt(process.env.ADMIN_TOKEN_TTL) || 43200, // seconds (12h)
+            sessionTokenTtl: parseInt(process.env.SESSION_TOKEN_TTL) || 300, // seconds, refreshed by every heartbeat
+            sessionTokenGrace: parseInt(process.env.SESSION_TOKEN_GRACE) || 30, // seconds the previous token survives a rotation
+            sessionResumeWindow: parseInt(process.env.SESSION_RESUME_WINDOW) || 600, // seconds after expiry a token can still resume
+            playerChannelPingInterval: parseInt(process.env.PLAYER_CHANNEL_PING_INTERVAL) || 15, // seconds between pings on /ws/session
+            drainTimeout: parseInt(process.env.DRAIN_TIMEOUT) || 300, // seconds players get to leave a draining server
+            auditLogPath: process.env.AUDIT_LOG_PATH || '/app/config/audit.jsonl',
+            eventLogPath: process.env.EVENT_LOG_PATH || '/app/config/events.jsonl',
+            alertRulesFile: process.env.ALERT_RULES_FILE || '/app/config/alert-rules.json',
+            alertEvaluationInterval: parseInt(process.env.ALERT_EVALUATION_INTERVAL) || 15, // seconds
+            queueMaxLength: parseInt(process.env.QUEUE_MAX_LENGTH) || 500, // waiting joins once the cluster is full
+            queueTicketTtl: parseInt(process.env.QUEUE_TICKET_TTL) || 60, // seconds a ticket survives without being polled
+            queuePriorityTiers: process.env.QUEUE_PRIORITY_TIERS || 'standard:0', // name:priority pairs, higher is admitted first
+            queueDefaultTier: process.env.QUEUE_DEFAULT_TIER || 'standard'
         };
         
+        // Admin API / dashboard WebSocket authentication (secrets stay out of this.config, which is served to viewers)
+        this.auth = new AdminAuth({
+            apiKeys: process.env.ADMIN_API_KEYS,
+            secret: process.env.AUTH_SECRET,
+            tokenTtlSeconds: this.config.adminTokenTtl,
+            disabled: this.config.authDisabled
+        });
+        
+        // Signed player session tokens (sessionId alone is no longer a credential)
+        this.sessionTokens = new SessionTokenService({
+            secret: process.env.SESSION_TOKEN_SECRET,
+            ttlSeconds: this.config.sessionTokenTtl,
+            rotationGraceSeconds: this.config.sessionTokenGrace,
+            resumeWindowSeconds: this.config.sessionResumeWindow
+        });
+        
+        // Docker hosts servers are placed on; each has its own container runtime
+        // (a runtime can also be fake, so the scaling logic can run without Docker)
+        this.nodes = new NodeRegistry({
+            filePath: this.config.nodesFile,
+            runtimeType: this.config.containerRuntime,
+            runtime: options.runtime,
+            network: this.config.dockerNetwork,
+            hostProbeAddress: this.config.hostProbeAddress,
+            publicHost: this.config.publicHost,
+            capacity: this.config.maxServers,
+            portStart: this.config.serverPortStart,
+            portEnd: this.config.serverPortEnd,
+            placement: this.config.placementStrategy,
+            unhealthyThreshold: this.config.unhealthyThreshold
+        });
+        
+        // Warm pool bookkeeping
+        this.warmPoolStats = { hits: 0, misses: 0 };
+        this.warmPoolRefilling = false;
+        this.warmPoolTarget = this.config.warmPoolSize; // adjusted by the scaling policies
+        
+        // Policy engine (target utilization, schedules, join forecast) driving the warm pool target
+        this.scalingPolicies = new ScalingPolicyEngine({
+            filePath: this.config.scalingPolicyFile,
+            baseWarmPoolSize: this.config.warmPoolSize
+        });
+        
+        // Named server kinds (image, limits, env, labels, max players); "default" is BASE_IMAGE
+        this.profiles = new ServerProfileRegistry({
+            filePath: this.config.serverProfilesFile,
+            baseImage: this.config.baseImage,
+            maxPlayers: this.config.maxPlayersPerServer
+        });
+        
+        this.readiness = new ReadinessProbe(server => this.nodes.runtimeFor(server), {
+            maxAttempts: this.config.readinessMaxAttempts,
+            initialDelayMs: this.config.readinessInitialDelayMs,
+            maxDelayMs: this.config.readinessMaxDelayMs,
+            requestTimeoutMs: 2000
+        });
+        
+        // State persistence (survives load balancer restarts)
+        this.sessionStore = createSessionStore(this.config.sessionStore, {
+            filePath: this.config.sessionStorePath
+        });
+        this.persistChain = Promise.resolve();
+        this.persistQueued = false;
+        
+        // Operator actions (cordon, drain, stop, migrate, revoke, ...)
+        this.auditLog = new AuditLog({ filePath: this.config.auditLogPath });
+        
+        // Server and player lifecycle history (GET /api/events, dashboard timeline)
+        this.eventLog = new EventLog({ filePath: this.config.eventLogPath });
+        
+        // Alert rules over the stats and the event stream (webhook URLs can carry tokens, so they stay out of this.config)
+        this.alerts = new AlertManager({
+            filePath: this.config.alertRulesFile,
+            webhooks: (process.env.ALERT_WEBHOOK_URL || '').split(',').map(url => url.trim()).filter(Boolean)
+        });
+        this.eventLog.on('event', entry => this.alerts.recordEvent(entry));
+        
+        // Player WebSocket channel on /ws/session: liveness instead of heartbeats, and server push
+        this.playerChannel = new PlayerChannel({
+            path: '/ws/session',
+            pingIntervalMs: this.config.playerChannelPingInterval * 1000,
+            authenticate: token => this.sessionTokens.resolve(token, this.playerSessions),
+            onActivity: sessionId => this.touchSession(sessionId)
+        });
+        this.capacityLevel = 'normal';
+        
+        // Session-aware proxy for /gameserver HTTP and WebSocket traffic, one proxy per game server
+        this.gameProxy = new GameProxyRouter({
+            path: '/gameserver',
+            resolve: req => this.resolveGameSession(req),
+            onActivity: sessionId => this.touchSession(sessionId),
+            onError: (error, session) => {
+                this.metrics.proxyErrors.inc();
+                this.eventLog.record('proxy.error', {
+                    serverId: session && session.serverId,
+                    playerId: session && session.playerId,
+                    error: error.message
+                });
+            }
+        });
+        
+        // Joins over maxServers wait here and are admitted as capacity frees up
+        this.admissionQueue = new AdmissionQueue({
+            tiers: this.config.queuePriorityTiers,
+            defaultTier: this.config.queueDefaultTier,
+            maxLength: this.config.queueMaxLength,
+            ticketTtlSeconds: this.config.queueTicketTtl,
+            // Until there is history, assume a slot frees up once an idle server has been shut down and deleted
+            fallbackAdmitSeconds: this.config.inactivityShutdown + this.config.cleanupDelete
+        });
+        this.queueProcessing = false;
+        
+        // Prometheus metrics (gauges are read from live state at scrape time)
+        this.metrics = new AutoscalerMetrics(() => this.getMetricsState());
+        
         this.setupRoutes();
         this.setupWebSocket();
-        this.startMonitoring();
-        this.startPlayerSessionCleanup();
         
-        console.log('🚀 Player-Dedicated Server Autoscaler Started');
-        console.log('📊 Config:', this.config);
-        console.log(`👥 Max players per server: ${this.config.maxPlayersPerServer}`);
+        logger.info('Player-Dedicated Server Autoscaler started', { config: this.config });
     }
 
     setupRoutes() {
         this.app.use(express.json());
+        this.app.use(correlationMiddleware());
         
         // Health check
         this.app.get('/health', (req, res) => {
@@ -50,35 +216,91 @@ class GameServerAutoscaler {
             });
         });
 
+        // Exchange an API key for a short-lived signed token (used by the dashboard in the browser)
+        this.app.post('/api/auth/token', (req, res) => {
+            const apiKey = req.headers['x-api-key'] || (req.body && req.body.apiKey);
+            const role = this.auth.roleForApiKey(apiKey);
+            
+            if (!role) {
+                return res.status(401).json({ success: false, error: 'Invalid API key' });
+            }
+            
+            res.json({ success: true, ...this.auth.issueToken(this.auth.keyId(apiKey), role) });
+        });
+
+        // Who the credential belongs to (lets the monitoring service check dashboard tokens)
+        this.app.get('/api/auth/whoami', this.auth.requireRole('viewer'), (req, res) => {
+            res.json({ success: true, role: req.admin.role, subject: req.admin.subject });
+        });
+
+        // Prometheus scrape endpoint
+        this.app.get('/metrics', this.auth.requireRole('viewer'), async (req, res) => {
+            res.set('Content-Type', this.metrics.contentType);
+            res.send(await this.metrics.render());
+        });
+
         // Player session management
         this.app.post('/api/player/join', async (req, res) => {
+            const endJoinTimer = this.metrics.joinLatency.startTimer();
             try {
                 const playerId = req.body.playerId || uuidv4();
-                const sessionId = uuidv4();
+                const profile = req.body.profile || DEFAULT_PROFILE;
                 
-                // Find or create a server for this player
-                const server = await this.assignServerToPlayer(playerId, sessionId);
+                if (!this.profiles.get(profile)) {
+                    endJoinTimer({ outcome: 'error' });
+                    return res.status(400).json({ success: false, error: `Unknown server profile "${profile}"` });
+                }
                 
-                // Create player session
-                this.playerSessions.set(sessionId, {
-                    serverId: server.id,
-                    playerId: playerId,
-                    lastActivity: Date.now(),
-                    createdAt: Date.now()
-                });
+                // Cluster full (or others already waiting): hand out a queue ticket instead
+                if (this.shouldQueue(profile)) {
+                    const tier = this.resolveQueueTier(req);
+                    if (tier.error) {
+                        endJoinTimer({ outcome: 'error' });
+                        return res.status(tier.status).json({ success: false, error: tier.error });
+                    }
+                    
+                    const ticket = this.admissionQueue.enqueue(playerId, tier.name, profile);
+                    endJoinTimer({ outcome: 'queued' });
+                    
+                    if (!ticket) {
+                        return res.status(503).json({ success: false, error: 'All servers are busy and the queue is full' });
+                    }
+                    ticket.correlationId = req.correlationId;
+                    
+                    const view = this.admissionQueue.describe(ticket);
+                    logger.info('Player queued', { playerId, tier: ticket.tier, profile, position: view.position });
+                    this.eventLog.record('player.queued', { playerId, tier: ticket.tier, profile, position: view.position });
+                    this.processQueue();
+                    return res.status(202).json({ success: false, queued: true, playerId, ticket: view });
+                }
+                
+                // Find or create a server for this player
+                const { sessionId, token, expiresAt, server } = await this.startSession(playerId, profile);
+                endJoinTimer({ outcome: 'success' });
 
-                console.log(`👤 Player ${playerId} assigned to server ${server.id} (session: ${sessionId})`);
+                logger.info('Player assigned to server', { playerId, profile, serverId: server.id, session: redactSessionId(sessionId) });
                 
+                setSessionCookie(res, token, expiresAt);
                 res.json({
                     success: true,
                     sessionId: sessionId,
+                    sessionToken: token,
+                    tokenExpiresAt: expiresAt,
                     playerId: playerId,
                     serverUrl: server.url,
-                    serverId: server.id
+                    serverId: server.id,
+                    profile
                 });
                 
             } catch (error) {
-                console.error('❌ Error assigning player to server:', error);
+                endJoinTimer({ outcome: 'error' });
+                logger.error('Error assigning player to server', { error });
+                
+                // Out of host ports is an operator problem, say so instead of a generic failure
+                if (error instanceof PortRangeExhaustedError) {
+                    return res.status(503).json({ success: false, error: error.message });
+                }
+                
                 res.status(500).json({ 
                     success: false, 
                     error: 'Failed to assign server to player' 
@@ -86,51 +308,250 @@ class GameServerAutoscaler {
             }
         });
 
-        // Player heartbeat/activity
+        // Player heartbeat/activity - also rotates the session token
         this.app.post('/api/player/heartbeat', (req, res) => {
-            const { sessionId } = req.body;
+            const result = this.sessionTokens.resolve(getSessionToken(req), this.playerSessions);
             
-            if (this.playerSessions.has(sessionId)) {
-                const session = this.playerSessions.get(sessionId);
-                session.lastActivity = Date.now();
-                
-                // Update server activity as well
-                if (this.servers.has(session.serverId)) {
-                    this.servers.get(session.serverId).lastActivity = Date.now();
-                }
-                
-                res.json({ success: true });
-            } else {
-                res.status(404).json({ success: false, error: 'Session not found' });
+            if (result.error) {
+                return res.status(401).json({ success: false, error: result.error });
             }
+            
+            const { sessionId, session } = result;
+            this.touchSession(sessionId);
+            
+            const server = this.servers.get(session.serverId);
+            const { token, expiresAt } = this.sessionTokens.issue(sessionId, session);
+            
+            // Operator notices (drain warnings, migrations) are delivered once
+            const notice = session.notice || null;
+            session.notice = null;
+            
+            this.persistSessions();
+            this.metrics.heartbeats.inc();
+            
+            setSessionCookie(res, token, expiresAt);
+            res.json({
+                success: true,
+                sessionToken: token,
+                tokenExpiresAt: expiresAt,
+                serverId: session.serverId,
+                serverUrl: server ? this.getPublicUrl(server) : null,
+                notice
+            });
         });
 
         // Player disconnect
         this.app.post('/api/player/leave', (req, res) => {
-            const { sessionId } = req.body;
+            const result = this.sessionTokens.resolve(getSessionToken(req), this.playerSessions);
             
-            if (this.playerSessions.has(sessionId)) {
-                const session = this.playerSessions.get(sessionId);
+            if (!result.error) {
+                const { sessionId, session } = result;
                 const serverId = session.serverId;
                 
-                // Remove player session
+                // Remove player session (a deliberate leave can't be resumed)
+                this.sessionTokens.revoke(sessionId, session);
                 this.playerSessions.delete(sessionId);
+                this.playerChannel.disconnect(sessionId, 'left');
+                this.persistSessions();
+                this.metrics.leaves.inc();
                 
                 // Remove player from server
                 if (this.servers.has(serverId)) {
                     const server = this.servers.get(serverId);
                     server.players = server.players.filter(p => p.sessionId !== sessionId);
-                    console.log(`👋 Player left server ${serverId} (${server.players.length} players remaining)`);
+                    logger.info('Player left server', { playerId: session.playerId, serverId, playersRemaining: server.players.length });
                 }
+                this.eventLog.record('player.left', { playerId: session.playerId, serverId, sessionId: redactSessionId(sessionId) });
                 
+                this.processQueue();
+                clearSessionCookie(res);
                 res.json({ success: true });
             } else {
-                res.status(404).json({ success: false, error: 'Session not found' });
+                res.status(401).json({ success: false, error: result.error });
+            }
+        });
+
+        // Resume a lost session (expired token, session cleaned up, server replaced)
+        // with the same playerId, back on the same server while it is still alive
+        this.app.post('/api/player/resume', async (req, res) => {
+            const check = this.sessionTokens.verifyForResume(getSessionToken(req), this.playerSessions);
+            
+            if (check.error) {
+                return res.status(401).json({ success: false, error: check.error });
+            }
+            
+            try {
+                const { sessionId, session, outcome } = await this.resumeSession(check.payload);
+                const { token, expiresAt } = this.sessionTokens.issue(sessionId, session);
+                const server = this.servers.get(session.serverId);
+                
+                this.persistSessions();
+                this.metrics.resumes.inc({ outcome });
+                logger.info('Player resumed', { playerId: session.playerId, serverId: session.serverId, outcome });
+                this.eventLog.record('player.resumed', {
+                    playerId: session.playerId,
+                    serverId: session.serverId,
+                    sessionId: redactSessionId(sessionId),
+                    outcome
+                });
+                
+                setSessionCookie(res, token, expiresAt);
+                res.json({
+                    success: true,
+                    resumed: true,
+                    sameServer: session.serverId === check.payload.serverId,
+                    sessionId: sessionId,
+                    sessionToken: token,
+                    tokenExpiresAt: expiresAt,
+                    playerId: session.playerId,
+                    serverUrl: this.getPublicUrl(server),
+                    serverId: session.serverId
+                });
+            } catch (error) {
+                logger.error('Error resuming player session', { error });
+                res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to resume player session' 
+                });
+            }
+        });
+
+        // Revoke every session token a player holds (they must join again)
+        this.app.post('/api/players/:playerId/revoke', this.auth.requireRole('operator'), (req, res) => {
+            let revoked = 0;
+            
+            for (const [sessionId, session] of this.playerSessions.entries()) {
+                if (session.playerId === req.params.playerId) {
+                    this.sessionTokens.revoke(sessionId, session);
+                    this.playerChannel.disconnect(sessionId, 'revoked');
+                    revoked++;
+                }
+            }
+            
+            if (revoked === 0) {
+                this.auditLog.record(req.admin, 'revoke', req.params.playerId, 'not-found');
+                return res.status(404).json({ success: false, error: 'No sessions for player' });
+            }
+            
+            this.persistSessions();
+            this.auditLog.record(req.admin, 'revoke', req.params.playerId, 'ok', { sessions: revoked });
+            res.json({ success: true, revoked });
+        });
+
+        // Move a player's sessions to another server (a specific one, or wherever a join would land)
+        this.app.post('/api/players/:playerId/migrate', this.auth.requireRole('operator'), async (req, res) => {
+            const targetServerId = req.body.targetServerId || null;
+            const sessionIds = Array.from(this.playerSessions.entries())
+                .filter(([, session]) => session.playerId === req.params.playerId)
+                .map(([sessionId]) => sessionId);
+            
+            if (sessionIds.length === 0) {
+                this.auditLog.record(req.admin, 'migrate', req.params.playerId, 'not-found');
+                return res.status(404).json({ success: false, error: 'No sessions for player' });
+            }
+            
+            try {
+                const moves = [];
+                for (const sessionId of sessionIds) {
+                    moves.push(await this.migrateSession(sessionId, targetServerId));
+                }
+                
+                this.auditLog.record(req.admin, 'migrate', req.params.playerId, 'ok', { moves });
+                res.json({ success: true, moves });
+            } catch (error) {
+                this.auditLog.record(req.admin, 'migrate', req.params.playerId, 'failed', { targetServerId, error: error.message });
+                res.status(409).json({ success: false, error: error.message });
+            }
+        });
+
+        // Operator server controls
+        this.app.post('/api/servers/:serverId/cordon', this.auth.requireRole('operator'), (req, res) => {
+            const server = this.findServerForAction(req, res, 'cordon');
+            if (!server) return;
+            
+            this.setCordoned(server, true);
+            this.auditLog.record(req.admin, 'cordon', server.id, 'ok');
+            res.json({ success: true, server: this.describeServer(server) });
+        });
+
+        this.app.post('/api/servers/:serverId/uncordon', this.auth.requireRole('operator'), (req, res) => {
+            const server = this.findServerForAction(req, res, 'uncordon');
+            if (!server) return;
+            
+            if (server.drain) {
+                this.auditLog.record(req.admin, 'uncordon', server.id, 'rejected', { reason: 'draining' });
+                return res.status(409).json({ success: false, error: 'Server is draining' });
+            }
+            
+            this.setCordoned(server, false);
+            this.auditLog.record(req.admin, 'uncordon', server.id, 'ok');
+            res.json({ success: true, server: this.describeServer(server) });
+        });
+
+        this.app.post('/api/servers/:serverId/drain', this.auth.requireRole('operator'), async (req, res) => {
+            const server = this.findServerForAction(req, res, 'drain');
+            if (!server) return;
+            
+            if (server.status !== 'running' && server.status !== 'unhealthy') {
+                this.auditLog.record(req.admin, 'drain', server.id, 'rejected', { status: server.status });
+                return res.status(409).json({ success: false, error: `Cannot drain a ${server.status} server` });
+            }
+            
+            const timeoutSeconds = parseInt(req.body.timeoutSeconds) || this.config.drainTimeout;
+            await this.drainServer(server, timeoutSeconds, req.body.message);
+            
+            this.auditLog.record(req.admin, 'drain', server.id, 'ok', { timeoutSeconds, players: server.players.length });
+            res.json({ success: true, server: this.describeServer(server) });
+        });
+
+        // Force-stop and remove: players on the server lose their sessions and must rejoin
+        this.app.delete('/api/servers/:serverId', this.auth.requireRole('operator'), async (req, res) => {
+            const server = this.findServerForAction(req, res, 'remove');
+            if (!server) return;
+            
+            const droppedPlayers = server.players.length;
+            try {
+                await this.removeServer(server);
+                this.auditLog.record(req.admin, 'remove', server.id, 'ok', { droppedPlayers });
+                res.json({ success: true, droppedPlayers });
+            } catch (error) {
+                this.auditLog.record(req.admin, 'remove', server.id, 'failed', { error: error.message });
+                res.status(500).json({ success: false, error: error.message });
+            }
+        });
+
+        // Server/player lifecycle events: ?from=&to= (ms or ISO time), ?type=player,server.failed, ?serverId=, ?playerId=
+        this.app.get('/api/events', this.auth.requireRole('viewer'), async (req, res) => {
+            const from = parseTime(req.query.from);
+            const to = parseTime(req.query.to);
+            
+            if (Number.isNaN(from) || Number.isNaN(to)) {
+                return res.status(400).json({ success: false, error: 'from/to must be a timestamp in ms or an ISO date' });
+            }
+            
+            try {
+                const events = await this.eventLog.query({
+                    from,
+                    to,
+                    types: req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : [],
+                    serverId: req.query.serverId,
+                    playerId: req.query.playerId,
+                    limit: Math.min(parseInt(req.query.limit) || 200, 1000)
+                });
+                res.json({ success: true, events });
+            } catch (error) {
+                logger.error('Event log query failed', { error: error.message });
+                res.status(500).json({ success: false, error: 'Event log query failed' });
             }
         });
 
+        this.app.get('/api/audit', this.auth.requireRole('viewer'), (req, res) => {
+            const limit = parseInt(req.query.limit) || 50;
+            res.json({ entries: this.auditLog.recent(limit) });
+        });
+
         // Admin API - Enhanced with player info
-        this.app.get('/api/servers', (req, res) => {
+        this.app.get('/api/servers', this.auth.requireRole('viewer'), (req, res) => {
             const serverList = Array.from(this.servers.entries()).map(([id, server]) => ({
                 id,
                 port: server.port,
@@ -138,9 +559,14 @@ class GameServerAutoscaler {
                 lastActivity: server.lastActivity,
                 uptime: Date.now() - server.createdAt,
                 playerCount: server.players.length,
-                players: server.players,
-                maxPlayers: this.config.maxPlayersPerServer,
-                inactiveTime: Date.now() - server.lastActivity
+                players: this.redactPlayers(server.players),
+                maxPlayers: this.maxPlayersFor(server),
+                inactiveTime: Date.now() - server.lastActivity,
+                node: server.node,
+                profile: server.profile,
+                warm: !!server.warm,
+                cordoned: !!server.cordoned,
+                drain: server.drain || null
             }));
             
             res.json({
@@ -158,9 +584,39 @@ class GameServerAutoscaler {
             });
         });
 
+        // Queue ticket status; returns the session (like /api/player/join) once admitted
+        this.app.get('/api/queue/:ticketId', (req, res) => {
+            const ticket = this.admissionQueue.get(req.params.ticketId);
+            
+            if (!ticket) {
+                return res.status(404).json({ success: false, error: 'Ticket not found or expired' });
+            }
+            
+            if (ticket.status === 'admitted') {
+                this.admissionQueue.remove(ticket.ticketId);
+                setSessionCookie(res, ticket.admission.sessionToken, ticket.admission.tokenExpiresAt);
+                return res.json({ success: true, admitted: true, ...ticket.admission });
+            }
+            
+            if (ticket.status === 'rejected') {
+                this.admissionQueue.remove(ticket.ticketId);
+                return res.status(503).json({ success: false, rejected: true, playerId: ticket.playerId, error: ticket.error });
+            }
+            
+            res.json({ success: false, queued: true, playerId: ticket.playerId, ticket: this.admissionQueue.describe(ticket) });
+        });
+
+        // Give up a place in the queue (an already admitted, uncollected session times out on its own)
+        this.app.delete('/api/queue/:ticketId', (req, res) => {
+            if (!this.admissionQueue.remove(req.params.ticketId)) {
+                return res.status(404).json({ success: false, error: 'Ticket not found or expired' });
+            }
+            res.json({ success: true });
+        });
+
         // Player capacity monitor endpoint
         this.app.get('/api/capacity', (req, res) => {
-            const totalCapacity = this.servers.size * this.config.maxPlayersPerServer;
+            const totalCapacity = this.getTotalCapacity();
             const usedCapacity = this.playerSessions.size;
             const availableCapacity = totalCapacity - usedCapacity;
             
@@ -172,38 +628,92 @@ class GameServerAutoscaler {
                 usedCapacity: usedCapacity,
                 availableCapacity: availableCapacity,
                 utilizationPercent: totalCapacity > 0 ? (usedCapacity / totalCapacity * 100).toFixed(2) : 0,
-                activePlayers: this.playerSessions.size
+                activePlayers: this.playerSessions.size,
+                warmPool: this.getWarmPoolStats(),
+                queue: this.admissionQueue.getStats(),
+                profiles: this.getProfileStats()
+            });
+        });
+
+        // Scaling policy decisions - why the warm pool target is what it is
+        this.app.get('/api/scaling/decisions', this.auth.requireRole('viewer'), (req, res) => {
+            const limit = parseInt(req.query.limit) || 20;
+            
+            res.json({
+                warmPoolTarget: this.warmPoolTarget,
+                policies: this.scalingPolicies.policies,
+                decisions: this.scalingPolicies.getDecisions(limit)
+            });
+        });
+
+        // Alert rules with their state, and the notifications sent recently
+        this.app.get('/api/alerts', this.auth.requireRole('viewer'), (req, res) => {
+            const limit = parseInt(req.query.limit) || 50;
+            
+            res.json({
+                rules: this.alerts.describeRules(),
+                active: this.alerts.getActive(),
+                notifications: this.alerts.recentNotifications(limit)
             });
         });
 
+        this.app.post('/api/alerts/reload', this.auth.requireRole('operator'), async (req, res) => {
+            const rules = await this.alerts.load();
+            this.auditLog.record(req.admin, 'alerts-reload', this.config.alertRulesFile, 'ok', { rules: rules.length });
+            res.json({ success: true, rules: this.alerts.describeRules() });
+        });
+
+        // Re-read the policy file without restarting the load balancer
+        this.app.post('/api/scaling/reload', this.auth.requireRole('operator'), async (req, res) => {
+            const policies = await this.scalingPolicies.load();
+            this.evaluateScaling();
+            this.auditLog.record(req.admin, 'scaling-reload', this.config.scalingPolicyFile, 'ok', { policies: policies.length });
+            res.json({ success: true, policies });
+        });
+
         // Game entry point - Auto-assign and redirect to dedicated server
         this.app.get('/game', async (req, res) => {
+            const endJoinTimer = this.metrics.joinLatency.startTimer();
             try {
-                console.log('🎮 New player requesting game access...');
-                
                 // Create a new player session automatically
                 const playerId = req.query.playerId || this.generatePlayerId();
-                const sessionId = uuidv4();
+                const profile = req.query.profile || DEFAULT_PROFILE;
                 
-                // Assign player to a dedicated server
-                const server = await this.assignServerToPlayer(playerId, sessionId);
+                if (!this.profiles.get(profile)) {
+                    endJoinTimer({ outcome: 'error' });
+                    return res.status(400).send(`Unknown server profile "${profile}"`);
+                }
                 
-                // Create player session
-                this.playerSessions.set(sessionId, {
-                    serverId: server.id,
-                    playerId: playerId,
-                    lastActivity: Date.now(),
-                    createdAt: Date.now()
-                });
+                // Cluster full: show a waiting page that polls the ticket and redirects once admitted
+                if (this.shouldQueue(profile)) {
+                    const ticket = this.admissionQueue.enqueue(playerId, undefined, profile);
+                    endJoinTimer({ outcome: 'queued' });
+                    
+                    if (!ticket) {
+                        return res.redirect(302, `${this.persistentServer}?error=queue_full`);
+                    }
+                    ticket.correlationId = req.correlationId;
+                    
+                    logger.info('Player queued for game access', { playerId, tier: ticket.tier, profile });
+                    this.eventLog.record('player.queued', { playerId, tier: ticket.tier, profile, position: this.admissionQueue.describe(ticket).position });
+                    this.processQueue();
+                    return res.send(this.renderQueuePage(ticket));
+                }
+                
+                // Assign player to a dedicated server
+                const { token, expiresAt, server } = await this.startSession(playerId, profile);
+                endJoinTimer({ outcome: 'success' });
 
-                console.log(`✅ Auto-assigned player ${playerId} to server ${server.id}`);
+                logger.info('Auto-assigned player to server', { playerId, profile, serverId: server.id });
                 
                 // Redirect to the dedicated server with session info
-                const redirectUrl = `${server.url}?sessionId=${sessionId}&playerId=${playerId}`;
+                const redirectUrl = `${server.url}?sessionToken=${encodeURIComponent(token)}&playerId=${encodeURIComponent(playerId)}`;
+                setSessionCookie(res, token, expiresAt);
                 res.redirect(302, redirectUrl);
                 
             } catch (error) {
-                console.error('❌ Error assigning player to server:', error);
+                endJoinTimer({ outcome: 'error' });
+                logger.error('Error assigning player to server', { error });
                 // Fallback to persistent server
                 res.redirect(302, `${this.persistentServer}?error=server_assignment_failed`);
             }
@@ -324,50 +834,18 @@ class GameServerAutoscaler {
             `);
         });
 
-        // Session-aware proxy for game traffic
-        this.app.use('/gameserver', async (req, res, next) => {
-            try {
-                const sessionId = req.headers['x-session-id'] || req.query.sessionId;
-                
-                if (sessionId && this.playerSessions.has(sessionId)) {
-                    // Route to player's assigned server
-                    const session = this.playerSessions.get(sessionId);
-                    const server = this.servers.get(session.serverId);
-                    
-                    if (server && server.status === 'running') {
-                        // Update activity
-                        session.lastActivity = Date.now();
-                        server.lastActivity = Date.now();
-                        
-                        // Proxy to the dedicated server
-                        const proxy = createProxyMiddleware({
-                            target: `http://procgen-auto-${session.serverId}:80`,
-                            changeOrigin: true,
-                            pathRewrite: { '^/gameserver': '' },
-                            onError: (err, req, res) => {
-                                console.error(`❌ Proxy error for server ${session.serverId}:`, err.message);
-                                res.status(503).json({ error: 'Your dedicated server is unavailable' });
-                            }
-                        });
-                        
-                        proxy(req, res, next);
-                        return;
-                    }
-                }
-                
-                // No valid session, redirect to get a new one
-                res.redirect(302, '/game');
-                
-            } catch (error) {
-                console.error('🚨 Game proxy error:', error);
-                res.status(500).json({ error: 'Game server routing error' });
-            }
-        });
+        // Session-aware proxy for game traffic (WebSocket upgrades arrive via handleUpgrade)
+        this.app.use('/gameserver', this.gameProxy.middleware());
     }
 
     setupWebSocket() {
-        this.wss.on('connection', (ws) => {
-            console.log('📡 Admin dashboard connected');
+        this.wss = new WebSocket.Server({
+            port: this.adminPort,
+            verifyClient: this.auth.verifyWebSocketClient('viewer')
+        });
+        
+        this.wss.on('connection', (ws, req) => {
+            logger.info('Admin dashboard connected', { subject: req.admin.subject, role: req.admin.role });
             
             // Send initial data
             ws.send(JSON.stringify({
@@ -387,7 +865,7 @@ class GameServerAutoscaler {
             
             ws.on('close', () => {
                 clearInterval(interval);
-                console.log('📡 Admin dashboard disconnected');
+                logger.info('Admin dashboard disconnected', { subject: req.admin.subject });
             });
         });
     }
@@ -396,26 +874,50 @@ class GameServerAutoscaler {
         return `player-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
     }
 
-    async assignServerToPlayer(playerId, sessionId) {
-        // Find a server with available capacity
+    /**
+     * @param {object} [options]
+     * @param {string} [options.excludeServerId] - Don't place the player here (migrations)
+     * @param {string} [options.profile] - Server profile the player asked for (default: "default")
+     */
+    async assignServerToPlayer(playerId, sessionId, options = {}) {
+        const profile = this.profiles.get(options.profile) || this.profiles.get(DEFAULT_PROFILE);
+        
+        // Find a server of the profile with available capacity (cordoned servers take no new players)
         let availableServer = null;
         
         for (const [serverId, server] of this.servers.entries()) {
-            if (server.status === 'running' && server.players.length < this.config.maxPlayersPerServer) {
+            if (serverId === options.excludeServerId || server.profile !== profile.name) continue;
+            if (server.status === 'running' && !server.warm && !server.cordoned && server.players.length < profile.maxPlayers) {
                 availableServer = server;
                 availableServer.id = serverId;
                 break;
             }
         }
         
-        // If no available server or we want dedicated servers (maxPlayersPerServer = 1), create new one
-        if (!availableServer || this.config.maxPlayersPerServer === 1) {
-            if (this.servers.size >= this.config.maxServers) {
-                throw new Error('Maximum server limit reached');
+        // If no available server or we want dedicated servers (maxPlayers = 1), take a warm one or create new one
+        if (!availableServer || profile.maxPlayers === 1) {
+            const warmServer = this.claimWarmServer(profile.name);
+            
+            if (warmServer) {
+                availableServer = warmServer;
+            } else {
+                if (this.warmPoolTarget > 0 && profile.name === DEFAULT_PROFILE) {
+                    this.warmPoolStats.misses++;
+                }
+                if (this.canCreateServer()) {
+                    availableServer = await this.createNewServer({ profile: profile.name });
+                } else if (!availableServer) {
+                    throw new Error('Maximum server limit reached');
+                }
+                // Otherwise the cluster is full: reuse the free running server found above
             }
-            availableServer = await this.createNewServer();
         }
         
+        this.scalingPolicies.recordJoin();
+        
+        // Top the pool back up without making this player wait
+        this.refillWarmPool();
+        
         // Add player to server
         availableServer.players.push({
             playerId: playerId,
@@ -427,140 +929,1260 @@ class GameServerAutoscaler {
         
         return {
             id: availableServer.id,
-            url: `http://localhost:${availableServer.port}`
+            url: this.getPublicUrl(availableServer)
         };
     }
 
-    async createNewServer() {
-        const serverId = `auto-${Date.now()}`;
-        const port = this.nextPort++;
+    /**
+     * Assign a server and create the player's session and first token.
+     * @returns {Promise<{sessionId, session, token, expiresAt, server}>}
+     */
+    async startSession(playerId, profile = DEFAULT_PROFILE) {
+        const sessionId = uuidv4();
+        const server = await this.assignServerToPlayer(playerId, sessionId, { profile });
         
-        try {
-            console.log(`🔄 Creating new server: ${serverId} on port ${port}`);
-            
-            const container = await this.docker.createContainer({
-                Image: this.config.baseImage,
-                name: `procgen-auto-${serverId}`,
-                Env: [
-                    `SERVER_ID=${serverId}`,
-                    'SERVER_TYPE=auto-scaled',
-                    'NODE_ENV=production'
-                ],
-                Labels: {
-                    'autoscaler.managed': 'true',
-                    'autoscaler.server_id': serverId,
-                    'autoscaler.created_at': Date.now().toString()
-                },
-                HostConfig: {
-                    PortBindings: {
-                        '80/tcp': [{ HostPort: port.toString() }]
-                    },
-                    NetworkMode: 'gamemap-dockerized_procgen-cluster'
-                }
-            });
-
-            await container.start();
-            
-            const serverData = {
-                container,
-                port,
-                status: 'starting',
-                lastActivity: Date.now(),
-                createdAt: Date.now(),
-                players: [],
-                url: `http://procgen-auto-${serverId}:80`,
-                id: serverId
-            };
-            
-            this.servers.set(serverId, serverData);
-
-            // Wait for server to be ready
-            setTimeout(() => {
-                if (this.servers.has(serverId)) {
-                    this.servers.get(serverId).status = 'running';
-                    console.log(`✅ Server ${serverId} is ready on port ${port}`);
-                }
-            }, 5000);
+        const session = {
+            serverId: server.id,
+            playerId: playerId,
+            profile,
+            correlationId: getCorrelationId(),
+            lastActivity: Date.now(),
+            createdAt: Date.now()
+        };
+        const { token, expiresAt } = this.sessionTokens.issue(sessionId, session);
+        this.playerSessions.set(sessionId, session);
+        
+        this.persistSessions();
+        this.metrics.joins.inc();
+        this.eventLog.record('player.joined', { playerId, serverId: server.id, sessionId: redactSessionId(sessionId), profile });
+        
+        return { sessionId, session, token, expiresAt, server };
+    }
 
-            return serverData;
-            
-        } catch (error) {
-            console.error(`❌ Failed to create server ${serverId}:`, error);
-            throw error;
+    /**
+     * True if a join for the profile could be placed right now: room for another
+     * server, a warm server, or a free slot on a running one of that profile.
+     */
+    hasCapacity(profile = DEFAULT_PROFILE) {
+        if (this.canCreateServer()) return true;
+        
+        for (const server of this.servers.values()) {
+            if (server.profile === profile && server.status === 'running' && !server.cordoned &&
+                (server.warm || server.players.length < this.maxPlayersFor(server))) {
+                return true;
+            }
         }
+        return false;
     }
 
-    startPlayerSessionCleanup() {
-        setInterval(() => {
-            const now = Date.now();
-            const sessionTimeout = 60000; // 1 minute timeout for inactive sessions
-            
-            for (const [sessionId, session] of this.playerSessions.entries()) {
-                if (now - session.lastActivity > sessionTimeout) {
-                    console.log(`🧹 Cleaning up inactive player session: ${sessionId}`);
-                    
-                    // Remove from server's player list
-                    if (this.servers.has(session.serverId)) {
-                        const server = this.servers.get(session.serverId);
-                        server.players = server.players.filter(p => p.sessionId !== sessionId);
-                    }
-                    
-                    // Remove session
-                    this.playerSessions.delete(sessionId);
-                }
-            }
-        }, 30000); // Check every 30 seconds
+    /**
+     * Joins wait in the queue when the cluster is full, and also while others are
+     * waiting for the same profile so nobody skips ahead of an earlier ticket.
+     */
+    shouldQueue(profile = DEFAULT_PROFILE) {
+        return this.admissionQueue.waiting().some(ticket => ticket.profile === profile) || !this.hasCapacity(profile);
     }
 
-    startMonitoring() {
-        setInterval(() => {
-            this.checkInactiveServers();
-        }, 5000); // Check every 5 seconds
+    /**
+     * Tier requested by a join (body.tier). Tiers that outrank the default one
+     * need an operator credential, e.g. from a game backend joining on a player's behalf.
+     * @returns {{name: string}|{status: number, error: string}}
+     */
+    resolveQueueTier(req) {
+        const name = req.body.tier || this.config.queueDefaultTier;
+        
+        if (!this.admissionQueue.tiers.has(name)) {
+            return { status: 400, error: `Unknown queue tier "${name}"` };
+        }
+        if (this.admissionQueue.isPrivileged(name)) {
+            const identity = this.auth.authenticate(this.auth.getCredential(req.headers));
+            if (!identity || !this.auth.hasRole(identity.role, 'operator')) {
+                return { status: 403, error: `Queue tier "${name}" requires the operator role` };
+            }
+        }
+        return { name };
     }
 
-    async checkInactiveServers() {
-        const now = Date.now();
+    /**
+     * Admit waiting tickets in order while there is capacity. Runs after anything
+     * that can free a slot (leave, session timeout, server removal) and on the
+     * monitoring loop; concurrent calls are ignored.
+     */
+    async processQueue() {
+        if (this.queueProcessing) return;
+        this.queueProcessing = true;
         
-        for (const [serverId, server] of this.servers.entries()) {
-            const inactiveTime = now - server.lastActivity;
-            
-            // Only shutdown servers with no active players
-            if (server.status === 'running' && 
-                server.players.length === 0 && 
-                inactiveTime > this.config.inactivityShutdown * 1000) {
+        try {
+            // Admitted players who never collected their session give the slot back
+            for (const ticket of this.admissionQueue.expire()) {
+                if (ticket.admission) {
+                    this.dropUncollectedSession(ticket.admission.sessionId);
+                }
+            }
+            
+            // In order, skipping tickets whose profile has no room yet
+            for (const ticket of this.admissionQueue.waiting()) {
+                if (!this.hasCapacity(ticket.profile)) continue;
                 
-                console.log(`⏸️ Shutting down empty server: ${serverId} (inactive for ${Math.floor(inactiveTime/1000)}s)`);
-                server.status = 'shutting-down';
-                server.shutdownAt = now;
+                // Admission happens outside the join request, under the ID the join was given
+                await withCorrelationId(ticket.correlationId || null, async () => {
+                    try {
+                        const { sessionId, token, expiresAt, server } = await this.startSession(ticket.playerId, ticket.profile);
+                        const waitedSeconds = this.admissionQueue.admit(ticket, {
+                            sessionId,
+                            sessionToken: token,
+                            tokenExpiresAt: expiresAt,
+                            playerId: ticket.playerId,
+                            serverUrl: server.url,
+                            serverId: server.id,
+                            profile: ticket.profile
+                        });
+                        
+                        this.metrics.queueWait.observe(waitedSeconds);
+                        logger.info('Admitted player from the queue', { playerId: ticket.playerId, serverId: server.id, waitedSeconds: Math.round(waitedSeconds) });
+                        this.eventLog.record('player.admitted', { playerId: ticket.playerId, serverId: server.id, waitedSeconds: Math.round(waitedSeconds) });
+                    } catch (error) {
+                        // Only this ticket fails; the rest of the queue is still admitted
+                        logger.error('Queue admission failed', { playerId: ticket.playerId, error: error.message });
+                        this.admissionQueue.reject(ticket, 'Failed to assign a server');
+                    }
+                });
+            }
+        } catch (error) {
+            logger.error('Queue processing failed', { error: error.message });
+        } finally {
+            this.queueProcessing = false;
+        }
+    }
+
+    dropUncollectedSession(sessionId) {
+        const session = this.playerSessions.get(sessionId);
+        if (!session) return;
+        
+        const server = this.servers.get(session.serverId);
+        if (server) {
+            server.players = server.players.filter(p => p.sessionId !== sessionId);
+        }
+        this.playerSessions.delete(sessionId);
+        this.persistSessions();
+        logger.info('Queue admission was never collected, released its slot', { playerId: session.playerId, serverId: session.serverId });
+        this.eventLog.record('player.timeout', { playerId: session.playerId, serverId: session.serverId, reason: 'queue admission not collected' });
+    }
+
+    /**
+     * Waiting page for /game while the cluster is full. Polls the ticket and
+     * continues to the dedicated server once admitted.
+     */
+    renderQueuePage(ticket) {
+        const view = this.admissionQueue.describe(ticket);
+        
+        return `
+            <!DOCTYPE html>
+            <html>
+            <head>
+                <title>🎮 Waiting for a server</title>
+                <style>
+                    body {
+                        font-family: Arial, sans-serif;
+                        text-align: center;
+                        background: linear-gradient(135deg, #1e3c72, #2a5298);
+                        color: white;
+                        padding: 50px;
+                    }
+                    .container {
+                        max-width: 600px;
+                        margin: 0 auto;
+                        background: rgba(255,255,255,0.1);
+                        padding: 40px;
+                        border-radius: 15px;
+                    }
+                    h1 { color: #4CAF50; }
+                    a { color: #4CAF50; }
+                </style>
+            </head>
+            <body>
+                <div class="container">
+                    <h1>⏳ All servers are busy</h1>
+                    <p id="status">
+                        You are number <strong id="position">${view.position}</strong> in the queue
+                        (about <span id="eta">${view.estimatedWaitSeconds}</span>s).
+                    </p>
+                    <p><small>Keep this page open, you will be sent to your server automatically.</small></p>
+                </div>
                 
+                <script>
+                    const ticketId = ${JSON.stringify(ticket.ticketId)};
+                    
+                    function poll() {
+                        fetch('/api/queue/' + ticketId)
+                            .then(r => r.json().then(data => ({ status: r.status, data })))
+                            .then(({ status, data }) => {
+                                if (status === 404) {
+                                    document.getElementById('status').innerHTML =
+                                        'Your place in the queue expired. <a href="/game">Try again</a>';
+                                    return;
+                                }
+                                if (data.rejected) {
+                                    document.getElementById('status').innerHTML =
+                                        'We could not get you a server. <a href="/game">Try again</a>';
+                                    return;
+                                }
+                                if (data.admitted) {
+                                    window.location.href = data.serverUrl +
+                                        '?sessionToken=' + encodeURIComponent(data.sessionToken) +
+                                        '&playerId=' + encodeURIComponent(data.playerId);
+                                    return;
+                                }
+                                document.getElementById('position').textContent = data.ticket.position;
+                                document.getElementById('eta').textContent = data.ticket.estimatedWaitSeconds;
+                                setTimeout(poll, 3000);
+                            })
+                            .catch(() => setTimeout(poll, 3000));
+                    }
+                    setTimeout(poll, 3000);
+                </script>
+            </body>
+            </html>
+        `;
+    }
+
+    /**
+     * URL players use to reach a server directly (server.url is the cluster-internal address).
+     */
+    getPublicUrl(server) {
+        const node = this.nodes.get(server.node);
+        return `http://${node ? node.publicHost : this.config.publicHost}:${server.port}`;
+    }
+
+    /**
+     * Servers (in any state, their containers still exist) per node name,
+     * including those still being created there.
+     */
+    countServersByNode() {
+        const counts = new Map();
+        for (const server of this.servers.values()) {
+            counts.set(server.node, (counts.get(server.node) || 0) + 1);
+        }
+        for (const nodeName of this.pendingCreates.values()) {
+            counts.set(nodeName, (counts.get(nodeName) || 0) + 1);
+        }
+        return counts;
+    }
+
+    /**
+     * True if another server can be started: below maxServers and some healthy node has room.
+     * Servers still being created count, so concurrent joins can't all take the last slot.
+     */
+    canCreateServer() {
+        return this.servers.size + this.pendingCreates.size < this.config.maxServers &&
+            this.nodes.selectNode(this.countServersByNode()) !== null;
+    }
+
+    maxPlayersFor(server) {
+        return this.profiles.forServer(server).maxPlayers;
+    }
+
+    /**
+     * Player slots across all servers (profiles can have different max players).
+     */
+    getTotalCapacity() {
+        let capacity = 0;
+        for (const server of this.servers.values()) {
+            capacity += this.maxPlayersFor(server);
+        }
+        return capacity;
+    }
+
+    /**
+     * Servers, players and capacity per profile, plus each profile's image and limits.
+     */
+    getProfileStats() {
+        const stats = {};
+        for (const profile of this.profiles.list()) {
+            stats[profile.name] = {
+                image: profile.image,
+                cpus: profile.cpus,
+                memoryMb: profile.memoryMb,
+                maxPlayers: profile.maxPlayers,
+                servers: 0,
+                runningServers: 0,
+                players: 0,
+                capacity: 0
+            };
+        }
+        
+        for (const server of this.servers.values()) {
+            const entry = stats[this.profiles.forServer(server).name];
+            entry.servers++;
+            entry.players += server.players.length;
+            entry.capacity += this.maxPlayersFor(server);
+            if (server.status === 'running') {
+                entry.runningServers++;
+            }
+        }
+        
+        for (const entry of Object.values(stats)) {
+            entry.utilizationPercent = entry.capacity > 0 ? (entry.players / entry.capacity * 100).toFixed(2) : 0;
+        }
+        return stats;
+    }
+
+    /**
+     * Re-attach the player from a verified resume token (verifyForResume() only lets
+     * the current token of a live session through). Returns the live session
+     * if it still exists; otherwise recreates it on the previous server when that
+     * can take the player, or wherever a new join would land.
+     * @returns {Promise<{sessionId, session, outcome: string}>} outcome: session-alive | same-server | new-server
+     */
+    async resumeSession(payload) {
+        const existing = this.playerSessions.get(payload.sid);
+        if (existing && existing.playerId === payload.playerId) {
+            existing.lastActivity = Date.now();
+            return { sessionId: payload.sid, session: existing, outcome: 'session-alive' };
+        }
+        
+        const sessionId = payload.sid;
+        const previous = this.servers.get(payload.serverId);
+        let serverId;
+        let outcome;
+        
+        if (previous && previous.status === 'running' && !previous.cordoned &&
+            previous.players.length < this.maxPlayersFor(previous)) {
+            previous.warm = false;
+            previous.players.push({ playerId: payload.playerId, sessionId, joinedAt: Date.now() });
+            previous.lastActivity = Date.now();
+            serverId = previous.id;
+            outcome = 'same-server';
+        } else {
+            serverId = (await this.assignServerToPlayer(payload.playerId, sessionId, { profile: payload.profile })).id;
+            outcome = 'new-server';
+        }
+        
+        const session = {
+            serverId,
+            playerId: payload.playerId,
+            profile: this.servers.get(serverId).profile,
+            lastActivity: Date.now(),
+            createdAt: Date.now()
+        };
+        this.playerSessions.set(sessionId, session);
+        
+        return { sessionId, session, outcome };
+    }
+
+    /**
+     * Take a ready server of the profile out of the warm pool, or null if none is available.
+     * (The pool is only refilled with "default" servers.)
+     */
+    claimWarmServer(profile = DEFAULT_PROFILE) {
+        for (const server of this.servers.values()) {
+            if (server.warm && server.profile === profile && server.status === 'running' && !server.cordoned) {
+                server.warm = false;
+                this.warmPoolStats.hits++;
+                logger.info('Claimed warm server', { serverId: server.id, profile });
+                return server;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create warm servers until the pool is back at warmPoolTarget (starting servers
+     * count as pool members). Runs in the background; concurrent calls are ignored.
+     * Pool servers count toward maxServers, so the pool shrinks when the cluster is full.
+     */
+    async refillWarmPool() {
+        if (this.warmPoolRefilling || this.warmPoolTarget <= 0) return;
+        this.warmPoolRefilling = true;
+        
+        try {
+            while (this.getWarmServers().length < this.warmPoolTarget && this.canCreateServer()) {
+                await this.createNewServer({ warm: true });
+            }
+        } catch (error) {
+            logger.error('Warm pool refill failed', { error: error.message });
+        } finally {
+            this.warmPoolRefilling = false;
+        }
+    }
+
+    startAlerting() {
+        this.timers.push(setInterval(() => {
+            this.alerts.evaluate(this.getServerStats())
+                .catch(error => logger.error('Alert evaluation failed', { error: error.message }));
+        }, this.config.alertEvaluationInterval * 1000));
+    }
+
+    /**
+     * Servers that should have been deleted by now (the container removal keeps failing).
+     */
+    countStuckServers(now = Date.now()) {
+        const deadline = (this.config.cleanupDelete + 60) * 1000;
+        return Array.from(this.servers.values()).filter(server =>
+            (server.status === 'shutting-down' || server.status === 'failed') &&
+            server.shutdownAt && now - server.shutdownAt > deadline
+        ).length;
+    }
+
+    startScalingPolicies() {
+        this.timers.push(setInterval(() => {
+            this.evaluateScaling();
+        }, this.config.scalingEvaluationInterval * 1000));
+    }
+
+    /**
+     * Run the scaling policies and apply the resulting warm pool target.
+     * Surplus warm servers are released to the normal inactivity lifecycle
+     * rather than stopped immediately, so a brief dip doesn't thrash containers.
+     */
+    evaluateScaling() {
+        const serversInUse = Array.from(this.servers.values()).filter(server =>
+            server.players.length > 0 || (!server.warm && (server.status === 'starting' || server.status === 'running'))
+        ).length;
+        
+        const decision = this.scalingPolicies.evaluate({
+            activePlayers: this.playerSessions.size,
+            serversInUse,
+            totalServers: this.servers.size,
+            maxServers: this.config.maxServers,
+            maxPlayersPerServer: this.profiles.get(DEFAULT_PROFILE).maxPlayers
+        });
+        
+        if (decision.warmPoolTarget !== this.warmPoolTarget) {
+            this.eventLog.record('scaling.target', {
+                from: this.warmPoolTarget,
+                to: decision.warmPoolTarget,
+                activePlayers: this.playerSessions.size,
+                clampedByMaxServers: decision.clampedByMaxServers,
+                reasons: decision.policies.map(policy => `${policy.name}: ${policy.reason}`)
+            });
+        }
+        this.warmPoolTarget = decision.warmPoolTarget;
+        this.broadcastCapacityLevel();
+        
+        const surplus = this.getWarmServers().filter(s => s.status === 'running').slice(this.warmPoolTarget);
+        for (const server of surplus) {
+            server.warm = false;
+            server.lastActivity = Date.now();
+            logger.info('Released warm server', { serverId: server.id, warmPoolTarget: this.warmPoolTarget });
+        }
+        
+        this.refillWarmPool();
+        return decision;
+    }
+
+    getWarmServers() {
+        return Array.from(this.servers.values()).filter(server =>
+            server.warm && (server.status === 'starting' || server.status === 'running')
+        );
+    }
+
+    getWarmPoolStats() {
+        const warmServers = this.getWarmServers();
+        const lookups = this.warmPoolStats.hits + this.warmPoolStats.misses;
+        
+        return {
+            targetSize: this.warmPoolTarget,
+            ready: warmServers.filter(s => s.status === 'running').length,
+            starting: warmServers.filter(s => s.status === 'starting').length,
+            hits: this.warmPoolStats.hits,
+            misses: this.warmPoolStats.misses,
+            hitRatePercent: lookups > 0 ? (this.warmPoolStats.hits / lookups * 100).toFixed(2) : 0
+        };
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.warm] - Start the server as a warm pool member
+     * @param {string} [options.profile] - Server profile (default: "default")
+     */
+    async createNewServer(options = {}) {
+        const profile = this.profiles.get(options.profile) || this.profiles.get(DEFAULT_PROFILE);
+        const node = this.nodes.selectNode(this.countServersByNode());
+        if (!node) {
+            throw new Error('No healthy node has capacity for another server');
+        }
+        
+        const serverId = `auto-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
+        // Hold the slot from here, before the first await; it passes to this.servers once the container exists
+        this.pendingCreates.set(serverId, node.name);
+        const endStartupTimer = this.metrics.containerStartup.startTimer();
+        let port = null;
+        
+        try {
+            port = await this.nodes.allocatePort(node);
+            logger.info('Creating new server', { serverId, profile: profile.name, node: node.name, port, warm: options.warm === true });
+            
+            let container;
+            for (let attempt = 1; ; attempt++) {
                 try {
-                    await server.container.stop();
+                    container = await this.startServerContainer(node, profile, serverId, port);
+                    break;
                 } catch (error) {
-                    console.error(`❌ Error stopping ${serverId}:`, error);
+                    if (!isPortConflictError(error)) throw error;
+                    
+                    // Something on the host holds the port although the probe missed it; keep it
+                    // away from other servers instead of returning it to the pool
+                    this.nodes.quarantinePort(node, port);
+                    if (attempt >= PORT_CONFLICT_ATTEMPTS) throw error;
+                    
+                    logger.warn('Host port already in use, retrying with the next port', { serverId, node: node.name, port, error: error.message });
+                    port = await this.nodes.allocatePort(node);
+                }
+            }
+            
+            const serverData = {
+                containerId: container.id,
+                node: node.name,
+                profile: profile.name,
+                port,
+                status: 'starting',
+                lastActivity: Date.now(),
+                createdAt: Date.now(),
+                players: [],
+                url: container.url,
+                id: serverId,
+                healthFailures: 0,
+                warm: options.warm === true,
+                cordoned: false,
+                drain: null
+            };
+            
+            this.servers.set(serverId, serverData);
+            this.pendingCreates.delete(serverId);
+            this.eventLog.record('server.created', { serverId, node: node.name, profile: profile.name, port, warm: serverData.warm });
+
+            // Wait until nginx in the container actually answers
+            const readiness = await this.readiness.waitUntilReady(serverData);
+            
+            if (!readiness.ready) {
+                this.markServerFailed(serverData, readiness.reason);
+                throw new Error(`Server ${serverId} failed readiness after ${readiness.attempts} attempts: ${readiness.reason}`);
+            }
+            
+            serverData.status = 'running';
+            serverData.lastActivity = Date.now();
+            endStartupTimer();
+            logger.info('Server ready', { serverId, port, probes: readiness.attempts, warm: serverData.warm });
+            this.eventLog.record('server.ready', {
+                serverId,
+                probes: readiness.attempts,
+                startupSeconds: (serverData.lastActivity - serverData.createdAt) / 1000
+            });
+
+            return serverData;
+            
+        } catch (error) {
+            this.metrics.containerFailures.inc({ operation: 'create' });
+            logger.error('Failed to create server', { serverId, node: node.name, profile: profile.name, error });
+            this.eventLog.record('server.create-failed', { serverId, node: node.name, profile: profile.name, error: error.message });
+            this.pendingCreates.delete(serverId);
+            // No container holds the port yet (a failed readiness keeps it until deletion)
+            if (!this.servers.has(serverId) && port !== null) {
+                this.nodes.releasePort({ node: node.name, port });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create and start the container of a new server on a host port. A container that
+     * was created but couldn't start is removed again, so the caller can retry.
+     */
+    async startServerContainer(node, profile, serverId, port) {
+        const container = await node.runtime.createContainer({
+            image: profile.image,
+            name: `procgen-auto-${serverId}`,
+            env: [
+                `SERVER_ID=${serverId}`,
+                'SERVER_TYPE=auto-scaled',
+                `SERVER_PROFILE=${profile.name}`,
+                'NODE_ENV=production',
+                ...Object.entries(profile.env).map(([key, value]) => `${key}=${value}`)
+            ],
+            labels: {
+                ...profile.labels,
+                'autoscaler.managed': 'true',
+                'autoscaler.profile': profile.name,
+                'autoscaler.server_id': serverId,
+                'autoscaler.port': port.toString(),
+                'autoscaler.node': node.name,
+                'autoscaler.created_at': Date.now().toString(),
+                ...(getCorrelationId() ? { 'autoscaler.correlation_id': getCorrelationId() } : {})
+            },
+            hostPort: port,
+            resources: { cpus: profile.cpus, memoryMb: profile.memoryMb }
+        });
+        
+        try {
+            await node.runtime.startContainer(container.id);
+        } catch (error) {
+            await node.runtime.removeContainer(container.id, { force: true })
+                .catch(removeError => logger.warn('Could not remove container that failed to start', { serverId, error: removeError.message }));
+            throw error;
+        }
+        return container;
+    }
+
+    /**
+     * Mark a server as failed. It stops receiving players and is deleted by
+     * checkInactiveServers() after the usual cleanup delay (logs stay inspectable until then).
+     */
+    markServerFailed(server, reason) {
+        logger.error('Server failed', { serverId: server.id, reason, players: server.players.length });
+        this.eventLog.record('server.failed', { serverId: server.id, reason, players: server.players.length });
+        server.status = 'failed';
+        server.failureReason = reason;
+        server.shutdownAt = Date.now();
+    }
+
+    startHealthChecks() {
+        this.timers.push(setInterval(() => {
+            this.nodes.checkHealth();
+            this.checkServerHealth();
+        }, this.config.healthCheckInterval * 1000));
+    }
+
+    /**
+     * Post-startup health checks. Running servers that fail unhealthyThreshold
+     * consecutive probes become unhealthy; a dead container, or an unhealthy one
+     * with players still on it, is replaced and its sessions moved over.
+     */
+    async checkServerHealth() {
+        for (const server of Array.from(this.servers.values())) {
+            if (server.status !== 'running' && server.status !== 'unhealthy') continue;
+            
+            const result = await this.readiness.probe(server);
+            
+            // Status may have changed while the probe was in flight
+            if (server.status !== 'running' && server.status !== 'unhealthy') continue;
+            
+            if (result.healthy) {
+                if (server.status === 'unhealthy') {
+                    logger.info('Server recovered', { serverId: server.id });
+                    this.eventLog.record('server.recovered', { serverId: server.id });
+                }
+                server.status = 'running';
+                server.healthFailures = 0;
+                continue;
+            }
+            
+            server.healthFailures = (server.healthFailures || 0) + 1;
+            
+            if (!result.containerRunning) {
+                this.markServerFailed(server, result.reason);
+                await this.replaceServer(server);
+            } else if (server.healthFailures >= this.config.unhealthyThreshold) {
+                if (server.status === 'running') {
+                    logger.warn('Server is unhealthy', { serverId: server.id, reason: result.reason });
+                    this.eventLog.record('server.unhealthy', { serverId: server.id, reason: result.reason });
+                    server.status = 'unhealthy';
+                }
+                
+                if (server.players.length > 0) {
+                    this.markServerFailed(server, result.reason);
+                    await this.replaceServer(server);
                 }
             }
+        }
+    }
+
+    /**
+     * Move every player of a failed server onto a freshly created one.
+     * If no replacement can be created the sessions are dropped so clients
+     * get a 404 on their next heartbeat and can rejoin.
+     */
+    async replaceServer(failedServer) {
+        const players = failedServer.players;
+        failedServer.players = [];
+        
+        if (players.length === 0) return;
+        
+        logger.info('Replacing server', { serverId: failedServer.id, players: players.length });
+        
+        try {
+            const replacement = await this.createNewServer({ profile: failedServer.profile });
+            
+            for (const player of players) {
+                const session = this.playerSessions.get(player.sessionId);
+                if (!session) continue;
+                
+                session.serverId = replacement.id;
+                replacement.players.push(player);
+                this.notifySession(player.sessionId, session, {
+                    type: 'migrated',
+                    serverId: replacement.id,
+                    serverUrl: this.getPublicUrl(replacement),
+                    reason: `server ${failedServer.id} failed`
+                });
+            }
             
-            // Delete after cleanup period
-            if (server.status === 'shutting-down' && 
+            replacement.lastActivity = Date.now();
+            logger.info('Moved players to replacement server', { serverId: failedServer.id, replacementId: replacement.id, players: replacement.players.length });
+            this.eventLog.record('server.replaced', {
+                serverId: failedServer.id,
+                replacementId: replacement.id,
+                players: replacement.players.map(p => p.playerId)
+            });
+        } catch (error) {
+            logger.error('Could not replace server', { serverId: failedServer.id, error: error.message });
+            
+            for (const player of players) {
+                this.eventLog.record('player.dropped', { playerId: player.playerId, serverId: failedServer.id, reason: `no replacement server: ${error.message}` });
+                this.playerSessions.delete(player.sessionId);
+                this.playerChannel.disconnect(player.sessionId, 'server failed');
+            }
+        }
+        
+        this.persistSessions();
+    }
+
+    /**
+     * Rebuild server and session tables after a restart.
+     * Managed containers are discovered through their autoscaler.* labels and matched
+     * against the saved sessions; containers nobody is playing on are adopted (left to
+     * the normal inactivity lifecycle) or reaped, depending on ORPHAN_POLICY.
+     */
+    async restoreState() {
+        let containers = [];
+        let savedSessions = [];
+        
+        for (const node of this.nodes.list()) {
+            try {
+                const found = await node.runtime.listContainers({ labels: ['autoscaler.managed=true'] });
+                containers.push(...found.map(info => ({ ...info, node })));
+            } catch (error) {
+                logger.error('Could not list managed containers', { node: node.name, error: error.message });
+            }
+        }
+        
+        try {
+            const saved = await this.sessionStore.load();
+            savedSessions = saved.sessions;
+            this.sessionTokens.restoreRevoked(saved.revokedSessions);
+        } catch (error) {
+            logger.error('Could not load saved player sessions', { error: error.message });
+        }
+        
+        // Group saved sessions by the server they were assigned to
+        const sessionsByServer = new Map();
+        for (const [sessionId, session] of savedSessions) {
+            if (!sessionsByServer.has(session.serverId)) {
+                sessionsByServer.set(session.serverId, []);
+            }
+            sessionsByServer.get(session.serverId).push([sessionId, session]);
+        }
+        
+        const now = Date.now();
+        let adopted = 0;
+        let reaped = 0;
+        
+        for (const info of containers) {
+            const serverId = info.labels['autoscaler.server_id'];
+            if (!serverId || this.servers.has(serverId)) continue;
+            
+            const sessions = info.state === 'running' ? (sessionsByServer.get(serverId) || []) : [];
+            
+            if (sessions.length === 0 && this.config.orphanPolicy === 'reap') {
+                logger.info('Reaping orphaned container', { serverId, node: info.node.name });
+                try {
+                    await info.node.runtime.removeContainer(info.id, { force: true });
+                    reaped++;
+                } catch (error) {
+                    this.metrics.containerFailures.inc({ operation: 'remove' });
+                    logger.error('Error reaping orphaned container', { serverId, error: error.message });
+                }
+                continue;
+            }
+            
+            const port = parseInt(info.labels['autoscaler.port']) || info.hostPort;
+            const serverData = {
+                containerId: info.id,
+                node: info.node.name,
+                profile: info.labels['autoscaler.profile'] || DEFAULT_PROFILE,
+                port,
+                status: info.state === 'running' ? 'running' : 'shutting-down',
+                lastActivity: now,
+                createdAt: parseInt(info.labels['autoscaler.created_at']) || info.createdAt,
+                players: [],
+                url: info.url,
+                id: serverId
+            };
+            
+            // Stopped containers go straight into the cleanup-delete countdown
+            if (serverData.status === 'shutting-down') {
+                serverData.shutdownAt = now;
+            }
+            
+            // Re-attach sessions; lastActivity is reset so players get a full timeout window to heartbeat again
+            for (const [sessionId, session] of sessions) {
+                this.playerSessions.set(sessionId, { ...session, lastActivity: now });
+                serverData.players.push({
+                    playerId: session.playerId,
+                    sessionId: sessionId,
+                    joinedAt: session.createdAt
+                });
+            }
+            
+            if (sessions.length === 0) {
+                adopted++;
+            }
+            
+            this.servers.set(serverId, serverData);
+            this.nodes.reservePort(info.node, port);
+        }
+        
+        const droppedSessions = savedSessions.length - this.playerSessions.size;
+        logger.info('Restored state', {
+            servers: this.servers.size,
+            playerSessions: this.playerSessions.size,
+            adopted,
+            reaped,
+            droppedSessions
+        });
+        
+        // Rewrite the store so stale sessions don't come back on the next restart
+        this.persistSessions();
+    }
+
+    /**
+     * Queue a save of all player sessions. Saves are serialized and coalesced,
+     * so bursts of joins/leaves result in a single write.
+     */
+    persistSessions() {
+        if (this.persistQueued) return this.persistChain;
+        this.persistQueued = true;
+        
+        this.persistChain = this.persistChain.then(async () => {
+            this.persistQueued = false;
+            try {
+                await this.sessionStore.save(this.playerSessions, this.sessionTokens.getRevoked());
+            } catch (error) {
+                logger.error('Failed to persist player sessions', { error: error.message });
+            }
+        });
+        
+        return this.persistChain;
+    }
+
+    startPlayerSessionCleanup() {
+        this.timers.push(setInterval(() => {
+            const now = Date.now();
+            const sessionTimeout = 60000; // 1 minute timeout for inactive sessions
+            let removed = 0;
+            
+            for (const [sessionId, session] of this.playerSessions.entries()) {
+                if (now - session.lastActivity > sessionTimeout) {
+                    logger.info('Cleaning up inactive player session', { playerId: session.playerId, session: redactSessionId(sessionId) });
+                    this.eventLog.record('player.timeout', {
+                        playerId: session.playerId,
+                        serverId: session.serverId,
+                        sessionId: redactSessionId(sessionId),
+                        inactiveSeconds: Math.round((now - session.lastActivity) / 1000)
+                    });
+                    
+                    // Remove from server's player list
+                    if (this.servers.has(session.serverId)) {
+                        const server = this.servers.get(session.serverId);
+                        server.players = server.players.filter(p => p.sessionId !== sessionId);
+                    }
+                    
+                    // Remove session
+                    this.playerSessions.delete(sessionId);
+                    this.playerChannel.disconnect(sessionId, 'session timed out');
+                    this.metrics.sessionTimeouts.inc();
+                    removed++;
+                }
+            }
+            
+            if (removed > 0) {
+                this.persistSessions();
+                this.processQueue();
+            }
+        }, 30000)); // Check every 30 seconds
+    }
+
+    startMonitoring() {
+        this.timers.push(setInterval(() => {
+            this.checkInactiveServers().then(() => this.processQueue());
+            this.refillWarmPool();
+        }, 5000)); // Check every 5 seconds
+    }
+
+    /**
+     * Start the background loops. Call once nodes and state are loaded, so no loop
+     * acts on an empty server list or the default node set.
+     */
+    start() {
+        this.startMonitoring();
+        this.startHealthChecks();
+        this.startScalingPolicies();
+        this.startAlerting();
+        this.startPlayerSessionCleanup();
+    }
+
+    /**
+     * Stop background loops and the admin WebSocket server (containers are left running).
+     */
+    async close() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        await new Promise(resolve => this.wss.close(() => resolve()));
+        this.playerChannel.close();
+        await this.persistSessions();
+    }
+
+    async checkInactiveServers() {
+        const now = Date.now();
+        
+        for (const [serverId, server] of this.servers.entries()) {
+            const inactiveTime = now - server.lastActivity;
+            
+            if (server.drain && (server.status === 'running' || server.status === 'unhealthy')) {
+                await this.checkDrainingServer(server, now);
+            }
+            
+            // Only shutdown servers with no active players (warm pool servers are idle on purpose)
+            if ((server.status === 'running' || server.status === 'unhealthy') && 
+                !server.warm &&
+                server.players.length === 0 && 
+                inactiveTime > this.config.inactivityShutdown * 1000) {
+                
+                logger.info('Shutting down empty server', { serverId, inactiveSeconds: Math.floor(inactiveTime / 1000) });
+                await this.stopServer(server, `inactive for ${Math.floor(inactiveTime / 1000)}s`);
+            }
+            
+            // Delete after cleanup period (stopped or failed servers)
+            if ((server.status === 'shutting-down' || server.status === 'failed') && 
                 server.shutdownAt && 
                 (now - server.shutdownAt) > this.config.cleanupDelete * 1000) {
                 
-                console.log(`🗑️ Deleting server container: ${serverId}`);
+                logger.info('Deleting server container', { serverId });
                 
                 try {
-                    await server.container.remove({ force: true });
+                    await this.nodes.runtimeFor(server).removeContainer(server.containerId, { force: true });
                     this.servers.delete(serverId);
-                    console.log(`✅ Server ${serverId} cleaned up`);
+                    this.nodes.releasePort(server);
+                    this.gameProxy.forget(serverId);
+                    logger.info('Server cleaned up', { serverId });
+                    this.eventLog.record('server.deleted', { serverId, previousStatus: server.status });
                 } catch (error) {
-                    console.error(`❌ Error deleting ${serverId}:`, error);
+                    this.metrics.containerFailures.inc({ operation: 'remove' });
+                    logger.error('Error deleting server', { serverId, error });
                 }
             }
         }
     }
 
+    /**
+     * Stop a server's container and start its cleanup-delete countdown.
+     * @param {string} reason - Why, for the event log
+     */
+    async stopServer(server, reason) {
+        server.status = 'shutting-down';
+        server.shutdownAt = Date.now();
+        this.eventLog.record('server.shutdown', { serverId: server.id, reason });
+        
+        try {
+            await this.nodes.runtimeFor(server).stopContainer(server.containerId);
+        } catch (error) {
+            this.metrics.containerFailures.inc({ operation: 'stop' });
+            logger.error('Error stopping server', { serverId: server.id, error });
+        }
+    }
+
+    /**
+     * Force-remove a server right away. Its sessions are dropped, so players
+     * get a 401 on their next heartbeat (or a closed channel) and can resume elsewhere.
+     */
+    async removeServer(server) {
+        for (const player of server.players) {
+            this.playerChannel.send(player.sessionId, {
+                type: 'notice',
+                notice: { type: 'server-shutdown', serverId: server.id, message: 'Your server was stopped by an operator' }
+            });
+            this.playerChannel.disconnect(player.sessionId, 'server removed');
+            // Like a leave: the dropped session can't be resumed onto another server
+            const session = this.playerSessions.get(player.sessionId);
+            if (session) {
+                this.sessionTokens.revoke(player.sessionId, session);
+            }
+            this.playerSessions.delete(player.sessionId);
+            this.eventLog.record('player.dropped', { playerId: player.playerId, serverId: server.id, reason: 'server force-removed' });
+        }
+        server.players = [];
+        server.status = 'shutting-down';
+        server.shutdownAt = Date.now();
+        
+        try {
+            await this.nodes.runtimeFor(server).removeContainer(server.containerId, { force: true });
+        } catch (error) {
+            this.metrics.containerFailures.inc({ operation: 'remove' });
+            throw error;
+        }
+        
+        this.servers.delete(server.id);
+        this.nodes.releasePort(server);
+        this.gameProxy.forget(server.id);
+        this.persistSessions();
+        logger.info('Force-removed server', { serverId: server.id });
+        this.eventLog.record('server.deleted', { serverId: server.id, previousStatus: 'force-removed' });
+        this.processQueue();
+    }
+
+    setCordoned(server, cordoned) {
+        server.cordoned = cordoned;
+        
+        // A cordoned pool server can't be claimed, so it leaves the pool and idles out
+        if (cordoned && server.warm) {
+            server.warm = false;
+            server.lastActivity = Date.now();
+        }
+        
+        logger.info(cordoned ? 'Cordoned server' : 'Uncordoned server', { serverId: server.id });
+    }
+
+    /**
+     * Cordon a server and ask its players to leave. checkDrainingServer() stops it
+     * once it is empty; players still on it at the deadline are migrated.
+     */
+    async drainServer(server, timeoutSeconds, message) {
+        this.setCordoned(server, true);
+        server.drain = {
+            startedAt: Date.now(),
+            deadline: Date.now() + timeoutSeconds * 1000,
+            message: message || 'This server is being shut down for maintenance'
+        };
+        
+        for (const player of server.players) {
+            const session = this.playerSessions.get(player.sessionId);
+            if (session) {
+                this.notifySession(player.sessionId, session, {
+                    type: 'drain',
+                    serverId: server.id,
+                    message: server.drain.message,
+                    deadline: server.drain.deadline
+                });
+            }
+        }
+        
+        logger.info('Draining server', { serverId: server.id, players: server.players.length, timeoutSeconds });
+        await this.checkDrainingServer(server, Date.now());
+    }
+
+    async checkDrainingServer(server, now) {
+        if (server.players.length > 0 && now < server.drain.deadline) return;
+        
+        // Deadline passed: move whoever is left rather than cutting them off
+        for (const player of Array.from(server.players)) {
+            try {
+                await this.migrateSession(player.sessionId, null);
+            } catch (error) {
+                logger.error('Could not migrate player off draining server', { playerId: player.playerId, serverId: server.id, error: error.message });
+                this.playerSessions.delete(player.sessionId);
+                this.playerChannel.disconnect(player.sessionId, 'server drained');
+            }
+        }
+        server.players = [];
+        
+        logger.info('Server drained', { serverId: server.id });
+        this.auditLog.record(null, 'drain-complete', server.id, 'ok', { timedOut: now >= server.drain.deadline });
+        await this.stopServer(server, 'drained');
+        this.persistSessions();
+    }
+
+    /**
+     * Move a session to targetServerId, or to wherever a new join would be placed.
+     * The player keeps their session and token; the next heartbeat reports the new server.
+     * @returns {object} { playerId, from, to }
+     */
+    async migrateSession(sessionId, targetServerId) {
+        const session = this.playerSessions.get(sessionId);
+        if (!session) {
+            throw new Error('Session not found');
+        }
+        
+        const source = this.servers.get(session.serverId);
+        const playerEntry = source ? source.players.find(p => p.sessionId === sessionId) : null;
+        let target;
+        
+        if (targetServerId) {
+            target = this.servers.get(targetServerId);
+            if (!target || target.status !== 'running' || target.cordoned) {
+                throw new Error(`Server ${targetServerId} is not accepting players`);
+            }
+            if (target === source) {
+                throw new Error('Session is already on that server');
+            }
+            if (target.players.length >= this.maxPlayersFor(target)) {
+                throw new Error(`Server ${targetServerId} is full`);
+            }
+            target.warm = false;
+            target.players.push(playerEntry || { playerId: session.playerId, sessionId, joinedAt: Date.now() });
+            target.lastActivity = Date.now();
+        } else {
+            target = await this.assignServerToPlayer(session.playerId, sessionId, {
+                excludeServerId: session.serverId,
+                profile: session.profile
+            });
+        }
+        
+        if (source) {
+            source.players = source.players.filter(p => p.sessionId !== sessionId);
+            source.lastActivity = Date.now();
+        }
+        
+        const from = session.serverId;
+        session.serverId = target.id;
+        this.notifySession(sessionId, session, {
+            type: 'migrated',
+            serverId: target.id,
+            serverUrl: this.getPublicUrl(this.servers.get(target.id))
+        });
+        this.persistSessions();
+        
+        logger.info('Moved player', { playerId: session.playerId, from, to: target.id });
+        this.eventLog.record('player.migrated', { playerId: session.playerId, serverId: target.id, from });
+        return { playerId: session.playerId, from, to: target.id };
+    }
+
+    /**
+     * Mark a session (and its server) active. Called for HTTP heartbeats and for
+     * every pong on the player channel; channel sessions get their token rotated
+     * here since they no longer send heartbeats.
+     */
+    touchSession(sessionId) {
+        const session = this.playerSessions.get(sessionId);
+        if (!session) return;
+        
+        const now = Date.now();
+        session.lastActivity = now;
+        
+        const server = this.servers.get(session.serverId);
+        if (server) {
+            server.lastActivity = now;
+        }
+        
+        if (this.playerChannel.isConnected(sessionId) &&
+            session.tokenExpiresAt - now < this.config.sessionTokenTtl * 500) {
+            const { token, expiresAt } = this.sessionTokens.issue(sessionId, session);
+            this.playerChannel.send(sessionId, { type: 'token', sessionToken: token, tokenExpiresAt: expiresAt });
+            this.persistSessions();
+        }
+    }
+
+    /**
+     * Deliver a notice now over the player channel, or with the next heartbeat.
+     */
+    notifySession(sessionId, session, notice) {
+        if (!this.playerChannel.send(sessionId, { type: 'notice', notice })) {
+            session.notice = notice;
+        }
+    }
+
+    /**
+     * Tell connected players when the cluster is nearly or completely full
+     * (only on level changes, so players aren't spammed every evaluation).
+     */
+    broadcastCapacityLevel() {
+        const ratio = this.servers.size / this.config.maxServers;
+        const level = ratio >= 1 ? 'full' : ratio >= 0.9 ? 'high' : 'normal';
+        
+        if (level === this.capacityLevel) return;
+        this.capacityLevel = level;
+        
+        this.playerChannel.broadcast({
+            type: 'capacity',
+            level,
+            servers: this.servers.size,
+            maxServers: this.config.maxServers,
+            activePlayers: this.playerSessions.size
+        });
+    }
+
+    /**
+     * HTTP 'upgrade' handler for the load balancer port (player channel and /gameserver).
+     */
+    handleUpgrade(req, socket, head) {
+        if (!this.playerChannel.handleUpgrade(req, socket, head) &&
+            !this.gameProxy.handleUpgrade(req, socket, head)) {
+            socket.destroy();
+        }
+    }
+
+    /**
+     * Session and server for a /gameserver request, or the status and error to answer with.
+     * @returns {{sessionId, session, server}|{status: number, error: string}}
+     */
+    resolveGameSession(req) {
+        const result = this.sessionTokens.resolve(getSessionToken(req), this.playerSessions);
+        if (result.error) {
+            return { status: 401, error: result.error };
+        }
+        
+        const server = this.servers.get(result.session.serverId);
+        if (!server) {
+            return { status: 410, error: 'Your dedicated server no longer exists, resume the session or join again' };
+        }
+        if (server.status !== 'running') {
+            return { status: 503, error: `Your dedicated server is ${server.status}` };
+        }
+        return { sessionId: result.sessionId, session: result.session, server };
+    }
+
+    /**
+     * Look up :serverId for an operator route; answers 404 (and audits it) when unknown.
+     */
+    findServerForAction(req, res, action) {
+        const server = this.servers.get(req.params.serverId);
+        if (!server) {
+            this.auditLog.record(req.admin, action, req.params.serverId, 'not-found');
+            res.status(404).json({ success: false, error: 'Server not found' });
+            return null;
+        }
+        return server;
+    }
+
+    describeServer(server) {
+        return {
+            id: server.id,
+            node: server.node,
+            profile: server.profile,
+            status: server.status,
+            playerCount: server.players.length,
+            cordoned: !!server.cordoned,
+            drain: server.drain || null
+        };
+    }
+
+    // Admin payloads never carry full session IDs (they are bearer credentials for /gameserver)
+    redactPlayers(players) {
+        return players.map(player => ({ ...player, sessionId: redactSessionId(player.sessionId) }));
+    }
+
+    getMetricsState() {
+        const serversByStatus = {};
+        for (const status of ['starting', 'running', 'unhealthy', 'shutting-down', 'failed']) {
+            serversByStatus[status] = 0;
+        }
+        for (const server of this.servers.values()) {
+            serversByStatus[server.status] = (serversByStatus[server.status] || 0) + 1;
+        }
+        
+        const totalCapacity = this.getTotalCapacity();
+        
+        return {
+            serversByStatus,
+            activeSessions: this.playerSessions.size,
+            playerChannels: this.playerChannel.size,
+            queueLength: this.admissionQueue.waiting().length,
+            utilization: totalCapacity > 0 ? this.playerSessions.size / totalCapacity : 0
+        };
+    }
+
     getServerStats() {
         const totalActivePlayers = this.playerSessions.size;
-        const totalCapacity = this.servers.size * this.config.maxPlayersPerServer;
+        const totalCapacity = this.getTotalCapacity();
         
         return {
             persistent: { id: 1, url: this.persistentServer, status: 'running' },
@@ -572,8 +2194,14 @@ class GameServerAutoscaler {
                 uptime: Date.now() - server.createdAt,
                 inactiveTime: Date.now() - server.lastActivity,
                 playerCount: server.players.length,
-                players: server.players,
-                maxPlayers: this.config.maxPlayersPerServer
+                players: this.redactPlayers(server.players),
+                maxPlayers: this.maxPlayersFor(server),
+                failureReason: server.failureReason || null,
+                node: server.node,
+                profile: server.profile,
+                warm: !!server.warm,
+                cordoned: !!server.cordoned,
+                drain: server.drain || null
             })),
             playerMetrics: {
                 totalActivePlayers: totalActivePlayers,
@@ -581,20 +2209,56 @@ class GameServerAutoscaler {
                 autoScaledServers: this.servers.size,
                 totalCapacity: totalCapacity,
                 availableCapacity: totalCapacity - totalActivePlayers,
+                playerChannels: this.playerChannel.size,
                 utilizationPercent: totalCapacity > 0 ? (totalActivePlayers / totalCapacity * 100).toFixed(2) : 0
             },
+            warmPool: this.getWarmPoolStats(),
+            queue: this.admissionQueue.getStats(),
+            profiles: this.getProfileStats(),
+            nodes: this.nodes.describe(this.countServersByNode()),
+            placement: this.nodes.placement,
+            stuckServers: this.countStuckServers(),
+            alerts: this.alerts.getActive(),
+            audit: this.auditLog.recent(20),
             config: this.config,
             timestamp: Date.now()
         };
     }
 }
 
-// Start the autoscaler
-const autoscaler = new GameServerAutoscaler();
+module.exports = { GameServerAutoscaler };
+
+// Start the autoscaler when run directly (require() only loads the class, e.g. for tests with the fake runtime)
+if (require.main === module) {
+    const autoscaler = new GameServerAutoscaler();
+
+    // Only accept traffic once nodes, previous containers, sessions, scaling policies, profiles, events and alert rules are loaded
+    const ready = autoscaler.nodes.load().then(() =>
+        Promise.all([
+            autoscaler.restoreState(),
+            autoscaler.scalingPolicies.load(),
+            autoscaler.profiles.load(),
+            autoscaler.eventLog.load(),
+            autoscaler.alerts.load()
+        ])
+    );
+    ready.then(() => {
+        autoscaler.start();
+        autoscaler.evaluateScaling();
+        const httpServer = autoscaler.app.listen(3000, () => {
+            logger.info('Load Balancer running', { port: 3000, adminPort: autoscaler.adminPort });
+        });
+        httpServer.on('upgrade', (req, socket, head) => autoscaler.handleUpgrade(req, socket, head));
+    }, error => {
+        // Running on half-loaded config could place servers on the wrong nodes; let the container restart instead
+        logger.error('Startup load failed', { error: error.message });
+        process.exit(1);
+    });
 
-autoscaler.app.listen(3000, () => {
-    console.log('🎯 Load Balancer running on port 3000');
-    console.log('📊 Admin API running on port 8090');
-    console.log('🎮 Game access: http://localhost:80');
-    console.log('📈 Admin dashboard: ws://localhost:8090');
-});
\ No newline at end of file
+    // Flush sessions before the container is stopped
+    process.on('SIGTERM', async () => {
+        logger.info('SIGTERM received, saving player sessions');
+        await autoscaler.persistSessions();
+        process.exit(0);
+    });
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session stores - persistence backends for the autoscaler's player sessions.
+ *
+ * Every store implements the same two async methods:
+ *   load()                          -> { sessions, revokedSessions }: arrays of [sessionId, session]
+ *                                      and [sessionId, revokedUntil] entries (empty when nothing is saved)
+ *   save(sessions, revokedSessions) -> Persist the full Map of sessionId -> session and the
+ *                                      revocation list (SessionTokenService.getRevoked())
+ *
+ * The autoscaler only talks to that interface, so a different backend (Redis, a
+ * database, ...) can be dropped in by adding a class here and a case in createSessionStore().
+ */
+
+/**
+ * JSON file store (default). Writes to a temp file and renames it over the target
+ * so a crash mid-write never leaves a truncated state file behind.
+ */
+class JsonFileSessionStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    async load() {
+        try {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            const data = JSON.parse(raw);
+            return {
+                sessions: Array.isArray(data.sessions) ? data.sessions : [],
+                revokedSessions: Array.isArray(data.revokedSessions) ? data.revokedSessions : []
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { sessions: [], revokedSessions: [] };
+            }
+            throw error;
+        }
+    }
+
+    async save(sessions, revokedSessions = []) {
+        const payload = JSON.stringify({
+            savedAt: Date.now(),
+            sessions: Array.from(sessions.entries()),
+            revokedSessions
+        }, null, 2);
+        const tmpPath = `${this.filePath}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tmpPath, payload, 'utf8');
+        await fs.promises.rename(tmpPath, this.filePath);
+    }
+}
+
+/**
+ * In-memory store - keeps the previous (non-persistent) behaviour available,
+ * e.g. for local runs without a mounted config volume.
+ */
+class MemorySessionStore {
+    constructor() {
+        this.entries = [];
+        this.revokedSessions = [];
+    }
+
+    async load() {
+        return {
+            sessions: this.entries.map(([sessionId, session]) => [sessionId, { ...session }]),
+            revokedSessions: this.revokedSessions.map(entry => [...entry])
+        };
+    }
+
+    async save(sessions, revokedSessions = []) {
+        this.entries = Array.from(sessions.entries()).map(([sessionId, session]) => [sessionId, { ...session }]);
+        this.revokedSessions = revokedSessions.map(entry => [...entry]);
+    }
+}
+
+/**
+ * Build a session store from config.
+ * @param {string} type - 'file' or 'memory'
+ * @param {object} options - { filePath } for the file store
+ */
+function createSessionStore(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore();
+        case 'file':
+            return new JsonFileSessionStore(options.filePath);
+        default:
+            throw new Error(`Unknown session store type: ${type}`);
+    }
+}
+
+module.exports = {
+    JsonFileSessionStore,
+    MemorySessionStore,
+    createSessionStore
+};
@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const { signPayload, verifySignedPayload } = require('./auth');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'session-tokens' });
+
+/**
+ * Player session tokens - signed credentials for /gameserver, heartbeat and leave.
+ *
+ * A token is signPayload({ typ: 'session', sid, playerId, serverId, iat, exp, jti }).
+ * The session record remembers the jti of the token it last handed out, so:
+ *   - rotating (every heartbeat) makes older tokens invalid after a short grace period,
+ *   - revoking clears the jti and every outstanding token for the session is rejected,
+ *   - both survive a load balancer restart because the jti is persisted with the session;
+ *     so does the revocation list that blocks resuming (getRevoked() / restoreRevoked()).
+ *
+ * An expired token can still prove who a player was for resumeWindowSeconds after
+ * its expiry, which is what POST /api/player/resume accepts. While the session is
+ * still alive only its current token may resume it, so a rotated-out token can't be
+ * exchanged for a fresh one.
+ */
+class SessionTokenService {
+    /**
+     * @param {object} options
+     * @param {string} options.secret - HMAC secret (random per process if empty)
+     * @param {number} options.ttlSeconds - Token lifetime; heartbeats keep refreshing it
+     * @param {number} options.rotationGraceSeconds - How long the previous token stays valid after a rotation
+     * @param {number} options.resumeWindowSeconds - How long after expiry a token may still be used to resume
+     */
+    constructor(options) {
+        this.ttlSeconds = options.ttlSeconds;
+        this.rotationGraceSeconds = options.rotationGraceSeconds;
+        this.resumeWindowSeconds = options.resumeWindowSeconds;
+        this.revokedSessions = new Map(); // sessionId -> time after which its tokens can't resume anyway
+
+        if (options.secret) {
+            this.secret = options.secret;
+        } else {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            log.warn('SESSION_TOKEN_SECRET not set, player sessions will need to rejoin after a restart');
+        }
+    }
+
+    /**
+     * Issue a token for a session and record it as the session's current token.
+     * The previously issued token keeps working for rotationGraceSeconds so
+     * requests already in flight during a heartbeat are not rejected.
+     * @returns {{token: string, expiresAt: number}}
+     */
+    issue(sessionId, session, now = Date.now()) {
+        const payload = {
+            typ: 'session',
+            sid: sessionId,
+            playerId: session.playerId,
+            serverId: session.serverId,
+            profile: session.profile,
+            iat: now,
+            exp: now + this.ttlSeconds * 1000,
+            jti: crypto.randomBytes(9).toString('base64url')
+        };
+
+        if (session.tokenId) {
+            session.previousTokenId = session.tokenId;
+            session.previousTokenValidUntil = now + this.rotationGraceSeconds * 1000;
+        }
+        session.tokenId = payload.jti;
+        session.tokenExpiresAt = payload.exp;
+
+        return { token: signPayload(payload, this.secret), expiresAt: payload.exp };
+    }
+
+    /**
+     * Check signature and expiry only. Use resolve() to also check the session.
+     */
+    decode(token, now = Date.now()) {
+        const payload = verifySignedPayload(token, this.secret, now);
+        return payload && payload.typ === 'session' ? payload : null;
+    }
+
+    /**
+     * Verify a token against the live session table.
+     * @param {string} token
+     * @param {Map} sessions - sessionId -> session
+     * @returns {{sessionId, session, payload}|{error: string}}
+     */
+    resolve(token, sessions, now = Date.now()) {
+        if (!token) return { error: 'Session token required' };
+
+        const payload = this.decode(token, now);
+        if (!payload) return { error: 'Invalid or expired session token' };
+
+        const session = sessions.get(payload.sid);
+        if (!session) return { error: 'Session not found' };
+
+        // serverId may legitimately lag behind (the server was replaced); the next rotation catches it up
+        if (session.playerId !== payload.playerId) {
+            return { error: 'Session token does not match the session' };
+        }
+
+        const isCurrent = session.tokenId === payload.jti;
+        const isRecent = session.previousTokenId === payload.jti && now <= session.previousTokenValidUntil;
+        if (!isCurrent && !isRecent) {
+            return { error: 'Session token has been revoked' };
+        }
+
+        return { sessionId: payload.sid, session, payload };
+    }
+
+    /**
+     * Check a (possibly expired) token presented to resume a lost session.
+     * @param {string} token
+     * @param {Map} sessions - sessionId -> session
+     * @returns {{payload}|{error: string}}
+     */
+    verifyForResume(token, sessions, now = Date.now()) {
+        if (!token) return { error: 'Session token required' };
+
+        // Expiry is checked against the resume window below, not the token's own exp
+        const payload = verifySignedPayload(token, this.secret, 0);
+        if (!payload || payload.typ !== 'session') return { error: 'Invalid session token' };
+
+        if (now > payload.exp + this.resumeWindowSeconds * 1000) {
+            return { error: 'Session token is too old to resume' };
+        }
+        if (this.revokedSessions.has(payload.sid)) {
+            return { error: 'Session token has been revoked' };
+        }
+
+        const session = sessions.get(payload.sid);
+        if (session && session.tokenId !== payload.jti) {
+            return { error: 'Session token is no longer current' };
+        }
+
+        return { payload };
+    }
+
+    /**
+     * Invalidate every token issued for a session, including for resumption.
+     */
+    revoke(sessionId, session) {
+        session.tokenId = null;
+        session.previousTokenId = null;
+        session.previousTokenValidUntil = null;
+        session.revokedAt = Date.now();
+
+        const now = Date.now();
+        this.pruneRevoked(now);
+        this.revokedSessions.set(sessionId, now + (this.ttlSeconds + this.resumeWindowSeconds) * 1000);
+    }
+
+    /**
+     * Revocations that still matter, as [sessionId, revokedUntil] entries for the session store.
+     */
+    getRevoked(now = Date.now()) {
+        this.pruneRevoked(now);
+        return Array.from(this.revokedSessions.entries());
+    }
+
+    /**
+     * Reload revocations saved with getRevoked() (after a restart).
+     */
+    restoreRevoked(entries, now = Date.now()) {
+        for (const [sessionId, until] of entries) {
+            if (until >= now) this.revokedSessions.set(sessionId, until);
+        }
+    }
+
+    pruneRevoked(now) {
+        for (const [id, until] of this.revokedSessions.entries()) {
+            if (until < now) this.revokedSessions.delete(id);
+        }
+    }
+}
+
+const SESSION_COOKIE = 'procgen_session';
+
+/**
+ * Read a session token from a request: X-Session-Token header, Bearer auth, body,
+ * ?sessionToken= or the session cookie. Also works on raw upgrade requests, which
+ * have no parsed query or body.
+ */
+function getSessionToken(req) {
+    const authorization = req.headers.authorization || '';
+    if (authorization.startsWith('Bearer ')) {
+        return authorization.substring(7).trim();
+    }
+    const queryToken = req.query
+        ? req.query.sessionToken
+        : new URL(req.url, 'http://localhost').searchParams.get('sessionToken');
+
+    return req.headers['x-session-token'] || (req.body && req.body.sessionToken) || queryToken ||
+        readCookie(req.headers.cookie, SESSION_COOKIE) || null;
+}
+
+function readCookie(header, name) {
+    for (const part of (header || '').split(';')) {
+        const separator = part.indexOf('=');
+        if (separator > 0 && part.substring(0, separator).trim() === name) {
+            try {
+                return decodeURIComponent(part.substring(separator + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Store a freshly issued token in the session cookie, so browser requests to
+ * /gameserver (including WebSocket upgrades, which can't set headers) carry it.
+ */
+function setSessionCookie(res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        path: '/',
+        expires: new Date(expiresAt)
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+module.exports = {
+    SessionTokenService,
+    getSessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    SESSION_COOKIE
+};
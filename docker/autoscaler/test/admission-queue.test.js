@@ -0,0 +1,99 @@
+/**
+ * Admission queue: priority tiers, arrival order within a tier, ticket expiry
+ * and the wait estimate.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AdmissionQueue } = require('../admission-queue');
+
+function queue(options = {}) {
+    return new AdmissionQueue({
+        tiers: 'premium:10,standard:0',
+        defaultTier: 'standard',
+        maxLength: 3,
+        ticketTtlSeconds: 60,
+        fallbackAdmitSeconds: 30,
+        ...options
+    });
+}
+
+test('higher tiers are admitted first, then in arrival order', () => {
+    const q = queue();
+    const now = Date.now();
+
+    q.enqueue('a', 'standard', 'default', now);
+    q.enqueue('b', 'premium', 'default', now + 1);
+    q.enqueue('c', 'standard', 'default', now + 2);
+
+    assert.deepEqual(q.waiting().map(ticket => ticket.playerId), ['b', 'a', 'c']);
+    assert.equal(q.next().playerId, 'b');
+});
+
+test('only tiers above the default one are privileged', () => {
+    const q = queue({ tiers: 'premium:10,standard:0,low:-5' });
+
+    assert.equal(q.isPrivileged('premium'), true);
+    assert.equal(q.isPrivileged('standard'), false);
+    assert.equal(q.isPrivileged('low'), false);
+});
+
+test('a malformed tier spec is refused', () => {
+    assert.throws(() => queue({ tiers: 'premium:high' }), /Invalid queue tier/);
+});
+
+test('a waiting player keeps their ticket and the queue has a maximum length', () => {
+    const q = queue();
+
+    const first = q.enqueue('a');
+    assert.equal(q.enqueue('a'), first);
+
+    q.enqueue('b');
+    q.enqueue('c');
+    assert.equal(q.enqueue('d'), null);
+});
+
+test('admitted and rejected tickets leave the waiting list', () => {
+    const q = queue();
+    const a = q.enqueue('a');
+    const b = q.enqueue('b');
+    q.enqueue('c');
+
+    q.admit(a, { sessionId: 'session-a' });
+    q.reject(b, 'Failed to assign a server');
+
+    assert.deepEqual(q.waiting().map(ticket => ticket.playerId), ['c']);
+    assert.equal(q.describe(a).status, 'admitted');
+    assert.equal(q.describe(b).status, 'rejected');
+    assert.equal(q.describe(b).position, 0);
+});
+
+test('tickets nobody polls expire', () => {
+    const q = queue();
+    const now = Date.now();
+    const polled = q.enqueue('a', 'standard', 'default', now);
+    q.enqueue('b', 'standard', 'default', now);
+
+    q.get(polled.ticketId, now + 50000);
+    const expired = q.expire(now + 61000);
+
+    assert.deepEqual(expired.map(ticket => ticket.playerId), ['b']);
+    assert.deepEqual(q.waiting().map(ticket => ticket.playerId), ['a']);
+});
+
+test('the wait estimate follows recent admissions', () => {
+    const q = queue();
+    const now = Date.now();
+    const first = q.enqueue('a', 'standard', 'default', now);
+    const second = q.enqueue('b', 'standard', 'default', now);
+
+    // No history yet
+    assert.equal(q.describe(second, now).estimatedWaitSeconds, 60);
+
+    q.admit(q.enqueue('x', 'premium', 'default', now), {}, now);
+    q.admit(q.enqueue('y', 'premium', 'default', now), {}, now + 10000);
+
+    assert.equal(q.describe(first, now).position, 1);
+    assert.equal(q.describe(second, now).estimatedWaitSeconds, 20);
+});
@@ -0,0 +1,276 @@
+/**
+ * End-to-end tests of the scaling loop against the fake container runtime,
+ * so no Docker daemon is needed: a join scales up, an empty server is shut
+ * down after the inactivity timeout and its container deleted after the
+ * cleanup delay. Run with `npm test`.
+ */
+
+const { test, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Config is read from the environment, so point every file at a scratch directory first
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'autoscaler-test-'));
+Object.assign(process.env, {
+    CONTAINER_RUNTIME: 'fake',
+    SESSION_STORE: 'memory',
+    LOG_LEVEL: 'error',
+    ADMIN_API_KEYS: 'viewer-key:viewer,operator-key:operator',
+    QUEUE_PRIORITY_TIERS: 'standard:0,priority:10',
+    SERVER_PORT_START: '18300',
+    SERVER_PORT_END: '18319',
+    READINESS_INITIAL_DELAY_MS: '10',
+    READINESS_MAX_DELAY_MS: '50',
+    INACTIVITY_SHUTDOWN: '10',
+    CLEANUP_DELETE: '30',
+    NODES_FILE: path.join(configDir, 'nodes.json'),
+    SERVER_PROFILES_FILE: path.join(configDir, 'server-profiles.json'),
+    SCALING_POLICY_FILE: path.join(configDir, 'scaling-policies.json'),
+    ALERT_RULES_FILE: path.join(configDir, 'alert-rules.json'),
+    AUDIT_LOG_PATH: path.join(configDir, 'audit.jsonl'),
+    EVENT_LOG_PATH: path.join(configDir, 'events.jsonl')
+});
+
+// The test runner reads results from this process' stdout; keep the server's progress logging out of it
+console.log = () => {};
+
+const { GameServerAutoscaler } = require('../server');
+const { FakeRuntime } = require('../container-runtime');
+
+let runtime;
+let autoscaler;
+let httpServer;
+let baseUrl;
+
+beforeEach(async () => {
+    runtime = new FakeRuntime();
+    autoscaler = new GameServerAutoscaler({ runtime, adminPort: 0 });
+    httpServer = await new Promise(resolve => {
+        const server = autoscaler.app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+});
+
+afterEach(async () => {
+    await autoscaler.close();
+    await new Promise(resolve => httpServer.close(() => resolve()));
+    for (const id of Array.from(runtime.containers.keys())) {
+        await runtime.removeContainer(id, { force: true });
+    }
+    // Let queued log writes land before the scratch directory goes
+    await autoscaler.eventLog.writeChain;
+});
+
+after(() => fs.rmSync(configDir, { recursive: true, force: true }));
+
+async function post(route, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(baseUrl + route, { method: 'POST', headers, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Move a server's clock back instead of waiting out the real timeouts.
+ */
+function backdate(server, field, seconds) {
+    server[field] = Date.now() - seconds * 1000;
+}
+
+test('background loops only run once start() is called', () => {
+    assert.equal(autoscaler.timers.length, 0);
+
+    autoscaler.start();
+    assert.ok(autoscaler.timers.length > 0);
+});
+
+test('a join scales up a new server that serves traffic', async () => {
+    const join = await post('/api/player/join', { playerId: 'alice' });
+
+    assert.equal(join.status, 200);
+    assert.equal(join.body.success, true);
+
+    const server = autoscaler.servers.get(join.body.serverId);
+    assert.equal(server.status, 'running');
+    assert.deepEqual(server.players.map(p => p.playerId), ['alice']);
+    assert.equal(runtime.containers.get(server.containerId).state, 'running');
+
+    const game = await fetch(join.body.serverUrl);
+    assert.equal(game.status, 200);
+
+    // One player per server by default, so the next join gets a server of its own
+    const second = await post('/api/player/join', { playerId: 'bob' });
+    assert.equal(second.status, 200);
+    assert.notEqual(second.body.serverId, join.body.serverId);
+    assert.equal(autoscaler.servers.size, 2);
+});
+
+test('a failed container create leaves no server behind', async () => {
+    runtime.failNextCreate();
+
+    const join = await post('/api/player/join', { playerId: 'alice' });
+
+    assert.equal(join.status, 500);
+    assert.equal(join.body.success, false);
+    assert.equal(autoscaler.servers.size, 0);
+    assert.equal(autoscaler.pendingCreates.size, 0);
+    assert.equal(runtime.containers.size, 0);
+});
+
+/**
+ * Slow down container creates so concurrent joins are all in flight at once.
+ */
+function slowCreates() {
+    const createContainer = runtime.createContainer.bind(runtime);
+    runtime.createContainer = async (spec) => {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        return createContainer(spec);
+    };
+}
+
+function joinAll(playerIds) {
+    return Promise.all(playerIds.map(playerId => post('/api/player/join', { playerId })));
+}
+
+test('concurrent joins never start more than maxServers servers', async () => {
+    autoscaler.config.maxServers = 2;
+    slowCreates();
+
+    const joins = await joinAll(['a', 'b', 'c', 'd', 'e']);
+
+    assert.deepEqual(joins.map(join => join.status).sort(), [200, 200, 202, 202, 202]);
+    assert.equal(autoscaler.servers.size, 2);
+    assert.equal(runtime.containers.size, 2);
+    assert.equal(autoscaler.pendingCreates.size, 0);
+});
+
+test('concurrent joins never place more servers on a node than its capacity', async () => {
+    autoscaler.nodes.get('local').capacity = 2;
+    slowCreates();
+
+    const joins = await joinAll(['a', 'b', 'c', 'd', 'e']);
+
+    assert.deepEqual(joins.map(join => join.status).sort(), [200, 200, 202, 202, 202]);
+    assert.equal(autoscaler.countServersByNode().get('local'), 2);
+    assert.equal(runtime.containers.size, 2);
+});
+
+test('a port the probe missed is quarantined and the next one used', async () => {
+    // Something on the host holds the first port, but the probe can't see it
+    const squatter = net.createServer();
+    await new Promise(resolve => squatter.listen(18300, '127.0.0.1', resolve));
+    runtime.isPortFree = async () => true;
+
+    try {
+        const join = await post('/api/player/join', { playerId: 'alice' });
+        assert.equal(join.status, 200);
+
+        const server = autoscaler.servers.get(join.body.serverId);
+        const ports = autoscaler.nodes.get(server.node).ports;
+        assert.equal(server.port, 18301);
+        assert.equal(ports.isQuarantined(18300), true);
+        assert.equal(ports.inUse.has(18300), false);
+    } finally {
+        await new Promise(resolve => squatter.close(() => resolve()));
+    }
+});
+
+test('a queued join is admitted once a player leaves', async () => {
+    autoscaler.config.maxServers = 1;
+    const first = await post('/api/player/join', { playerId: 'alice' });
+    const queued = await post('/api/player/join', { playerId: 'bob' });
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.ticket.position, 1);
+
+    // The empty server isn't shut down yet, so bob gets alice's place on it
+    await post('/api/player/leave', {}, first.body.sessionToken);
+    await autoscaler.processQueue();
+
+    const poll = await (await fetch(`${baseUrl}/api/queue/${queued.body.ticket.ticketId}`)).json();
+    assert.equal(poll.admitted, true);
+    assert.equal(poll.serverId, first.body.serverId);
+    assert.ok(poll.sessionToken);
+});
+
+test('a priority tier needs an operator credential', async () => {
+    // Full cluster, so every join is queued
+    autoscaler.config.maxServers = 0;
+
+    const anonymous = await post('/api/player/join', { playerId: 'a', tier: 'priority' });
+    const viewer = await post('/api/player/join', { playerId: 'b', tier: 'priority' }, 'viewer-key');
+    const operator = await post('/api/player/join', { playerId: 'c', tier: 'priority' }, 'operator-key');
+
+    assert.equal(anonymous.status, 403);
+    assert.equal(viewer.status, 403);
+    assert.equal(operator.status, 202);
+    assert.equal(operator.body.ticket.tier, 'priority');
+});
+
+test('an empty server is shut down after the inactivity timeout', async () => {
+    const join = await post('/api/player/join', { playerId: 'alice' });
+    const server = autoscaler.servers.get(join.body.serverId);
+
+    const leave = await post('/api/player/leave', {}, join.body.sessionToken);
+    assert.equal(leave.body.success, true);
+    assert.equal(server.players.length, 0);
+
+    // Not idle long enough yet
+    backdate(server, 'lastActivity', 5);
+    await autoscaler.checkInactiveServers();
+    assert.equal(server.status, 'running');
+
+    backdate(server, 'lastActivity', 11);
+    await autoscaler.checkInactiveServers();
+    assert.equal(server.status, 'shutting-down');
+    assert.equal(runtime.containers.get(server.containerId).state, 'exited');
+});
+
+test('a server with players is never shut down for inactivity', async () => {
+    const join = await post('/api/player/join', { playerId: 'alice' });
+    const server = autoscaler.servers.get(join.body.serverId);
+
+    backdate(server, 'lastActivity', 60);
+    await autoscaler.checkInactiveServers();
+
+    assert.equal(server.status, 'running');
+});
+
+test('players on a force-removed server can\'t resume their session', async () => {
+    const join = await post('/api/player/join', { playerId: 'alice' });
+
+    const removal = await fetch(`${baseUrl}/api/servers/${join.body.serverId}`, {
+        method: 'DELETE',
+        headers: { 'X-API-Key': 'operator-key' }
+    });
+    assert.equal(removal.status, 200);
+
+    const resume = await post('/api/player/resume', {}, join.body.sessionToken);
+    assert.equal(resume.status, 401);
+    assert.match(resume.body.error, /revoked/);
+    assert.equal(runtime.containers.size, 0);
+});
+
+test('a stopped server is deleted after the cleanup delay', async () => {
+    const join = await post('/api/player/join', { playerId: 'alice' });
+    const server = autoscaler.servers.get(join.body.serverId);
+
+    await post('/api/player/leave', {}, join.body.sessionToken);
+    backdate(server, 'lastActivity', 11);
+    await autoscaler.checkInactiveServers();
+    assert.equal(server.status, 'shutting-down');
+
+    // Still inside the cleanup delay
+    backdate(server, 'shutdownAt', 20);
+    await autoscaler.checkInactiveServers();
+    assert.ok(autoscaler.servers.has(server.id));
+
+    backdate(server, 'shutdownAt', 31);
+    await autoscaler.checkInactiveServers();
+    assert.equal(autoscaler.servers.has(server.id), false);
+    assert.equal(runtime.containers.has(server.containerId), false);
+    assert.equal(autoscaler.nodes.get(server.node).ports.inUse.has(server.port), false);
+});
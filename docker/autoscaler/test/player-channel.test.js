@@ -0,0 +1,127 @@
+/**
+ * Session WebSocket channel: token check before the upgrade, and protocol
+ * errors from a client closing only that client's socket.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const WebSocket = require('ws');
+
+process.env.LOG_LEVEL = 'error';
+
+const { PlayerChannel } = require('../player-channel');
+
+let channel;
+let httpServer;
+let port;
+let activity;
+
+beforeEach(async () => {
+    activity = [];
+    channel = new PlayerChannel({
+        path: '/ws/session',
+        pingIntervalMs: 60000,
+        authenticate: token => token === 'good-token'
+            ? { sessionId: 'session-1234567890', session: {} }
+            : { error: 'Invalid session token' },
+        onActivity: sessionId => activity.push(sessionId)
+    });
+
+    httpServer = http.createServer();
+    httpServer.on('upgrade', (req, socket, head) => {
+        if (!channel.handleUpgrade(req, socket, head)) socket.destroy();
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    port = httpServer.address().port;
+});
+
+afterEach(async () => {
+    channel.close();
+    await new Promise(resolve => httpServer.close(() => resolve()));
+});
+
+// Client frames must be masked; this one isn't ("hi", FIN + text opcode)
+const UNMASKED_FRAME = Buffer.from([0x81, 0x02, 0x68, 0x69]);
+
+/**
+ * Raw handshake, so the test can send frames no WebSocket client library would.
+ * `trailing` is written right behind the request. Resolves with the socket, the
+ * response head and a promise for the socket closing.
+ */
+function rawUpgrade(token, trailing = null) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => {
+            socket.write(
+                `GET /ws/session?sessionToken=${token} HTTP/1.1\r\n` +
+                `Host: 127.0.0.1:${port}\r\n` +
+                'Upgrade: websocket\r\n' +
+                'Connection: Upgrade\r\n' +
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\n` +
+                'Sec-WebSocket-Version: 13\r\n' +
+                '\r\n'
+            );
+            if (trailing) socket.write(trailing);
+        });
+        const closed = new Promise(resolveClosed => socket.on('close', resolveClosed));
+        let received = '';
+        const onData = chunk => {
+            received += chunk.toString('latin1');
+            const end = received.indexOf('\r\n\r\n');
+            if (end !== -1) {
+                socket.off('data', onData);
+                resolve({ socket, head: received.substring(0, end), closed });
+            }
+        };
+        socket.on('data', onData);
+        socket.on('error', reject);
+    });
+}
+
+function openClient(token) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${port}/ws/session?sessionToken=${token}`);
+        ws.once('message', data => resolve({ ws, welcome: JSON.parse(data) }));
+        ws.once('error', reject);
+    });
+}
+
+test('a rejected token gets a 401 instead of an upgrade', async () => {
+    const { head, closed } = await rawUpgrade('bogus');
+
+    assert.match(head, /^HTTP\/1\.1 401 /);
+    await closed;
+    assert.equal(channel.size, 0);
+});
+
+test('an unmasked frame closes that socket and leaves the channel running', async () => {
+    const { socket, head, closed } = await rawUpgrade('good-token');
+    assert.match(head, /^HTTP\/1\.1 101 /);
+
+    socket.write(UNMASKED_FRAME);
+    await closed;
+
+    const { ws, welcome } = await openClient('good-token');
+    assert.equal(welcome.type, 'welcome');
+    assert.ok(channel.isConnected('session-1234567890'));
+    ws.terminate();
+});
+
+test('a malformed frame after a rejected upgrade is ignored', async () => {
+    const { head, closed } = await rawUpgrade('bogus', UNMASKED_FRAME);
+
+    assert.match(head, /^HTTP\/1\.1 401 /);
+    await closed;
+
+    const { ws } = await openClient('good-token');
+    ws.terminate();
+});
+
+test('a connected session counts as active', async () => {
+    const { ws } = await openClient('good-token');
+
+    assert.deepEqual(activity, ['session-1234567890']);
+    ws.terminate();
+});
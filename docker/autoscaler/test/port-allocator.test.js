@@ -0,0 +1,77 @@
+/**
+ * Host port allocation: ports the host probe reports as taken are skipped,
+ * and a quarantined port stays out of the pool until its quarantine passes.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LOG_LEVEL = 'error';
+
+const { PortAllocator, PortRangeExhaustedError } = require('../port-allocator');
+
+function allocator(takenOnHost = [], options = {}) {
+    return new PortAllocator({
+        name: 'test',
+        start: 9000,
+        end: 9003,
+        isPortFree: async port => !takenOnHost.includes(port),
+        ...options
+    });
+}
+
+test('ports taken on the host are skipped', async () => {
+    const ports = allocator([9000, 9002]);
+
+    assert.equal(await ports.allocate(), 9001);
+    assert.equal(await ports.allocate(), 9003);
+    assert.equal(ports.inUse.has(9000), false);
+});
+
+test('a failing probe counts as taken', async () => {
+    const ports = new PortAllocator({
+        name: 'test',
+        start: 9000,
+        end: 9001,
+        isPortFree: async port => {
+            if (port === 9000) throw new Error('connect timeout');
+            return true;
+        }
+    });
+
+    assert.equal(await ports.allocate(), 9001);
+});
+
+test('concurrent allocations never get the same port', async () => {
+    const ports = allocator();
+
+    const allocated = await Promise.all([ports.allocate(), ports.allocate(), ports.allocate()]);
+
+    assert.equal(new Set(allocated).size, 3);
+});
+
+test('a full range throws PortRangeExhaustedError', async () => {
+    const ports = allocator([9003]);
+    for (let i = 0; i < 3; i++) await ports.allocate();
+
+    await assert.rejects(ports.allocate(), PortRangeExhaustedError);
+});
+
+test('a quarantined port is not handed out until the quarantine passes', async () => {
+    const ports = allocator([], { end: 9001, quarantineMs: 50 });
+
+    assert.equal(await ports.allocate(), 9000);
+    ports.quarantine(9000);
+    assert.equal(ports.inUse.has(9000), false);
+    assert.equal(ports.describe().quarantined, 1);
+
+    assert.equal(await ports.allocate(), 9001);
+    ports.release(9001);
+    // The cursor wrapped around to 9000, which is still skipped
+    assert.equal(await ports.allocate(), 9001);
+    ports.release(9001);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    assert.equal(await ports.allocate(), 9000);
+    assert.equal(ports.describe().quarantined, 0);
+});
@@ -0,0 +1,92 @@
+/**
+ * Session tokens: rotation with a grace period for the previous token, revocation,
+ * and revocations surviving a restart through the session store.
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_LEVEL = 'error';
+
+const { SessionTokenService } = require('../session-tokens');
+const { JsonFileSessionStore } = require('../session-store');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'session-tokens-test-'));
+after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+function service() {
+    return new SessionTokenService({
+        secret: 'test-secret',
+        ttlSeconds: 60,
+        rotationGraceSeconds: 5,
+        resumeWindowSeconds: 300
+    });
+}
+
+function newSession(tokens, sessionId = 'session-1') {
+    const session = { playerId: 'alice', serverId: 'auto-1', profile: 'default' };
+    const sessions = new Map([[sessionId, session]]);
+    const { token } = tokens.issue(sessionId, session);
+    return { session, sessions, token };
+}
+
+test('a rotated-out token works during the grace period only', () => {
+    const tokens = service();
+    const { session, sessions, token: first } = newSession(tokens);
+    const now = Date.now();
+
+    const { token: second } = tokens.issue('session-1', session, now);
+
+    assert.equal(tokens.resolve(second, sessions, now).sessionId, 'session-1');
+    assert.equal(tokens.resolve(first, sessions, now + 4000).sessionId, 'session-1');
+    assert.match(tokens.resolve(first, sessions, now + 6000).error, /revoked/);
+});
+
+test('only the current token may resume a live session', () => {
+    const tokens = service();
+    const { session, sessions, token: first } = newSession(tokens);
+    const { token: second } = tokens.issue('session-1', session);
+
+    assert.match(tokens.verifyForResume(first, sessions).error, /no longer current/);
+    assert.equal(tokens.verifyForResume(second, sessions).payload.sid, 'session-1');
+});
+
+test('a revoked session rejects every token, also for resuming', () => {
+    const tokens = service();
+    const { session, sessions, token } = newSession(tokens);
+
+    tokens.revoke('session-1', session);
+    sessions.delete('session-1');
+
+    assert.ok(tokens.resolve(token, sessions).error);
+    assert.match(tokens.verifyForResume(token, sessions).error, /revoked/);
+});
+
+test('revocations survive a restart through the session store', async () => {
+    const store = new JsonFileSessionStore(path.join(storeDir, 'sessions.json'));
+    const before = service();
+    const { session, sessions, token } = newSession(before);
+    before.revoke('session-1', session);
+    sessions.delete('session-1');
+    await store.save(sessions, before.getRevoked());
+
+    // A new process: same secret, state only from the store
+    const restarted = service();
+    const loaded = await store.load();
+    restarted.restoreRevoked(loaded.revokedSessions);
+
+    assert.deepEqual(loaded.sessions, []);
+    assert.match(restarted.verifyForResume(token, new Map(loaded.sessions)).error, /revoked/);
+});
+
+test('expired revocations are dropped', () => {
+    const tokens = service();
+    const now = Date.now();
+
+    tokens.restoreRevoked([['old', now - 1], ['recent', now + 1000]], now);
+
+    assert.deepEqual(tokens.getRevoked(now).map(([sessionId]) => sessionId), ['recent']);
+});
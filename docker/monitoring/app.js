@@ -2,36 +2,202 @@ const express = require('express');
 const WebSocket = require('ws');
 const axios = require('axios');
 const path = require('path');
+const Docker = require('dockerode');
+const { ContainerStatsCollector } = require('./container-stats');
+const { logger, CORRELATION_HEADER, correlationMiddleware, getCorrelationId } = require('./logger');
 
 const app = express();
 const port = 3000;
+const loadbalancerUrl = process.env.LOADBALANCER_URL || 'http://smart-loadbalancer:8090';
+const loadbalancerApiUrl = loadbalancerUrl.replace(':8090', ':3000');
+
+// Every call to the load balancer API is logged with its outcome and carries the
+// dashboard request's correlation ID, so both sides' log lines can be matched up
+const loadbalancer = axios.create({ baseURL: loadbalancerApiUrl });
+
+loadbalancer.interceptors.request.use(config => {
+    const correlationId = getCorrelationId();
+    if (correlationId) {
+        config.headers[CORRELATION_HEADER] = correlationId;
+    }
+    config.startedAt = Date.now();
+    return config;
+});
+
+loadbalancer.interceptors.response.use(response => {
+    logLoadbalancerCall(response.config, response.status);
+    return response;
+}, error => {
+    if (error.config) {
+        logLoadbalancerCall(error.config, error.response ? error.response.status : null, error.message);
+    }
+    return Promise.reject(error);
+});
+
+function logLoadbalancerCall(config, status, errorMessage) {
+    const fields = {
+        method: config.method.toUpperCase(),
+        url: config.url,
+        status,
+        durationMs: Date.now() - config.startedAt
+    };
+    if (errorMessage) {
+        fields.error = errorMessage;
+    }
+    // 4xx is the load balancer answering (e.g. an expired token), not a failed call
+    const level = status === null || status >= 500 ? 'error' : (status >= 400 ? 'warn' : 'info');
+    logger[level]('Load balancer call', fields);
+}
+
+// Resource telemetry of the game server containers, sampled from the Docker stats API
+const containerStats = new ContainerStatsCollector({
+    docker: new Docker(),
+    intervalSeconds: parseInt(process.env.STATS_INTERVAL) || 5,
+    retentionSeconds: parseInt(process.env.STATS_RETENTION) || 900
+});
 
 // Serve static files
 app.use(express.static('public'));
+app.use(express.json());
+app.use(correlationMiddleware());
 
 // Health check
 app.get('/health', (req, res) => {
     res.json({ status: 'healthy' });
 });
 
-// API endpoint for server stats
+// Exchange the operator's API key for a dashboard token (the key itself never leaves this request)
+app.post('/api/auth/token', async (req, res) => {
+    try {
+        const response = await loadbalancer.post('/api/auth/token', {}, {
+            headers: { 'X-API-Key': req.body.apiKey || '' }
+        });
+        res.json(response.data);
+    } catch (error) {
+        const status = error.response ? error.response.status : 500;
+        res.status(status).json({ error: 'Unable to authenticate with load balancer' });
+    }
+});
+
+// API endpoint for server stats (forwards the dashboard's token to the load balancer)
 app.get('/api/stats', async (req, res) => {
     try {
-        const loadbalancerUrl = process.env.LOADBALANCER_URL || 'http://smart-loadbalancer:8090';
-        const response = await axios.get(`${loadbalancerUrl.replace(':8090', ':3000')}/api/servers`);
+        const response = await loadbalancer.get('/api/servers', {
+            headers: req.headers.authorization ? { Authorization: req.headers.authorization } : {}
+        });
         res.json(response.data);
     } catch (error) {
-        console.error('Error fetching stats:', error.message);
-        res.status(500).json({ error: 'Unable to fetch server stats' });
+        const status = error.response ? error.response.status : 500;
+        res.status(status).json({ error: 'Unable to fetch server stats' });
     }
 });
 
+// Cluster event history for the timeline (query string is passed through: from, to, type, serverId, playerId, limit)
+app.get('/api/events', async (req, res) => {
+    try {
+        const response = await loadbalancer.get('/api/events', {
+            params: req.query,
+            headers: req.headers.authorization ? { Authorization: req.headers.authorization } : {}
+        });
+        res.json(response.data);
+    } catch (error) {
+        const status = error.response ? error.response.status : 500;
+        res.status(status).json(error.response ? error.response.data : { error: 'Unable to fetch events' });
+    }
+});
+
+// Telemetry is served from here, so the dashboard token is checked with the load balancer
+// (accepted tokens are remembered for a short while instead of asking on every poll)
+const verifiedTokens = new Map(); // authorization header -> verified at, oldest first
+const TOKEN_CHECK_TTL_MS = 30000;
+const MAX_VERIFIED_TOKENS = 1000;
+
+/**
+ * Remember an accepted token. Expired entries are dropped first; if the cache is
+ * still full, the oldest entry goes, so stray headers can't grow it without bound.
+ */
+function rememberToken(authorization, now = Date.now()) {
+    verifiedTokens.delete(authorization);
+    for (const [key, verifiedAt] of verifiedTokens) {
+        if (now - verifiedAt < TOKEN_CHECK_TTL_MS) break;
+        verifiedTokens.delete(key);
+    }
+    if (verifiedTokens.size >= MAX_VERIFIED_TOKENS) {
+        verifiedTokens.delete(verifiedTokens.keys().next().value);
+    }
+    verifiedTokens.set(authorization, now);
+}
+
+async function requireViewer(req, res, next) {
+    const authorization = req.headers.authorization;
+    if (!authorization) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const verifiedAt = verifiedTokens.get(authorization);
+    if (verifiedAt && Date.now() - verifiedAt < TOKEN_CHECK_TTL_MS) {
+        return next();
+    }
+
+    try {
+        await loadbalancer.get('/api/auth/whoami', { headers: { Authorization: authorization } });
+        rememberToken(authorization);
+        next();
+    } catch (error) {
+        verifiedTokens.delete(authorization);
+        const status = error.response ? error.response.status : 502;
+        res.status(status).json({ error: status === 502 ? 'Unable to reach load balancer' : 'Not authorized' });
+    }
+}
+
+// CPU/memory/network series per container and for the whole cluster (?since=<ms> for new samples only)
+app.get('/api/telemetry', requireViewer, (req, res) => {
+    res.json(containerStats.getOverview(parseInt(req.query.since) || 0));
+});
+
+// Full series of one game server
+app.get('/api/telemetry/servers/:serverId', requireViewer, (req, res) => {
+    const series = containerStats.getServerSeries(req.params.serverId, parseInt(req.query.since) || 0);
+    if (!series) {
+        return res.status(404).json({ error: 'No telemetry for this server' });
+    }
+    res.json(series);
+});
+
+// Operator actions from the dashboard (the load balancer checks the operator role and audits them)
+async function forwardOperatorAction(req, res, method, apiPath) {
+    try {
+        const response = await loadbalancer.request({
+            method,
+            url: apiPath,
+            data: req.body,
+            headers: req.headers.authorization ? { Authorization: req.headers.authorization } : {}
+        });
+        res.json(response.data);
+    } catch (error) {
+        const status = error.response ? error.response.status : 500;
+        res.status(status).json(error.response ? error.response.data : { error: 'Unable to reach load balancer' });
+    }
+}
+
+app.post('/api/servers/:serverId/:action(cordon|uncordon|drain)', (req, res) => {
+    forwardOperatorAction(req, res, 'post', `/api/servers/${encodeURIComponent(req.params.serverId)}/${req.params.action}`);
+});
+
+app.delete('/api/servers/:serverId', (req, res) => {
+    forwardOperatorAction(req, res, 'delete', `/api/servers/${encodeURIComponent(req.params.serverId)}`);
+});
+
+app.post('/api/players/:playerId/migrate', (req, res) => {
+    forwardOperatorAction(req, res, 'post', `/api/players/${encodeURIComponent(req.params.playerId)}/migrate`);
+});
+
 // Serve the dashboard
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 app.listen(port, () => {
-    console.log(`📊 Monitoring Dashboard running on port ${port}`);
-    console.log(`🔗 Dashboard: http://localhost:${port}`);
+    containerStats.start();
+    logger.info('Monitoring Dashboard running', { port, loadbalancer: loadbalancerApiUrl });
 });
\ No newline at end of file
@@ -0,0 +1,231 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'container-stats' });
+
+/**
+ * ContainerStatsCollector - CPU, memory and network of the auto-scaled game servers.
+ *
+ * Every intervalSeconds the running `procgen-auto-*` containers are read once
+ * through the Docker stats API. Each container keeps a rolling series of
+ * samples covering retentionSeconds; a cluster-wide series sums every sample
+ * round. Series of removed containers are dropped once their last sample ages out.
+ *
+ * Sample: { timestamp, cpuPercent, memoryBytes, memoryLimitBytes, memoryPercent,
+ *           rxBytesPerSec, txBytesPerSec }
+ * cpuPercent is relative to one core (200 = two cores busy), like `docker stats`.
+ */
+
+class ContainerStatsCollector {
+    /**
+     * @param {object} options
+     * @param {object} options.docker - dockerode instance
+     * @param {string} [options.namePrefix='procgen-auto-'] - Containers to watch
+     * @param {number} options.intervalSeconds - Seconds between sample rounds
+     * @param {number} options.retentionSeconds - How much history to keep
+     */
+    constructor(options) {
+        this.docker = options.docker;
+        this.namePrefix = options.namePrefix || 'procgen-auto-';
+        this.intervalSeconds = options.intervalSeconds;
+        this.retentionSeconds = options.retentionSeconds;
+        this.series = new Map(); // container name -> { name, serverId, containerId, samples, lastNetwork }
+        this.cluster = []; // cluster-wide samples
+        this.timer = null;
+        this.collecting = false;
+        this.lastError = null;
+    }
+
+    start() {
+        this.collect();
+        this.timer = setInterval(() => this.collect(), this.intervalSeconds * 1000);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * One sample round over all running game server containers. Overlapping
+     * rounds (slow Docker daemon) are skipped.
+     */
+    async collect() {
+        if (this.collecting) return;
+        this.collecting = true;
+
+        try {
+            const containers = await this.docker.listContainers({
+                filters: { name: [this.namePrefix], status: ['running'] }
+            });
+            const now = Date.now();
+
+            const samples = await Promise.all(containers.map(async info => {
+                const name = info.Names[0].replace(/^\//, '');
+                try {
+                    const stats = await this.docker.getContainer(info.Id).stats({ stream: false });
+                    return this.record(name, info, stats, now);
+                } catch (error) {
+                    // Container went away between list and stats
+                    log.warn('No stats for container', { container: name, error: error.message });
+                    return null;
+                }
+            }));
+
+            this.recordCluster(samples.filter(Boolean), now);
+            this.prune(now);
+            this.lastError = null;
+        } catch (error) {
+            // Log once per distinct error, not every round while Docker is unreachable
+            if (error.message !== this.lastError) {
+                log.error('Error collecting container stats', { error: error.message });
+            }
+            this.lastError = error.message;
+        } finally {
+            this.collecting = false;
+        }
+    }
+
+    record(name, info, stats, now) {
+        let entry = this.series.get(name);
+        if (!entry) {
+            entry = {
+                name,
+                serverId: (info.Labels && info.Labels['autoscaler.server_id']) || name.substring(this.namePrefix.length),
+                containerId: info.Id,
+                samples: [],
+                lastNetwork: null
+            };
+            this.series.set(name, entry);
+        }
+
+        const network = networkTotals(stats);
+        const previous = entry.lastNetwork;
+        const elapsedSeconds = previous ? (now - previous.timestamp) / 1000 : 0;
+        const memoryBytes = memoryUsage(stats);
+        const memoryLimitBytes = (stats.memory_stats && stats.memory_stats.limit) || 0;
+
+        const sample = {
+            timestamp: now,
+            cpuPercent: round(cpuPercent(stats)),
+            memoryBytes,
+            memoryLimitBytes,
+            memoryPercent: memoryLimitBytes > 0 ? round(memoryBytes / memoryLimitBytes * 100) : 0,
+            // Counters restart with the container, so a drop means "no rate yet"
+            rxBytesPerSec: elapsedSeconds > 0 && network.rx >= previous.rx ? Math.round((network.rx - previous.rx) / elapsedSeconds) : 0,
+            txBytesPerSec: elapsedSeconds > 0 && network.tx >= previous.tx ? Math.round((network.tx - previous.tx) / elapsedSeconds) : 0
+        };
+
+        entry.containerId = info.Id;
+        entry.lastNetwork = { ...network, timestamp: now };
+        entry.samples.push(sample);
+        return sample;
+    }
+
+    recordCluster(samples, now) {
+        const total = {
+            timestamp: now,
+            containers: samples.length,
+            cpuPercent: 0,
+            memoryBytes: 0,
+            rxBytesPerSec: 0,
+            txBytesPerSec: 0
+        };
+        for (const sample of samples) {
+            total.cpuPercent += sample.cpuPercent;
+            total.memoryBytes += sample.memoryBytes;
+            total.rxBytesPerSec += sample.rxBytesPerSec;
+            total.txBytesPerSec += sample.txBytesPerSec;
+        }
+        total.cpuPercent = round(total.cpuPercent);
+        this.cluster.push(total);
+    }
+
+    prune(now) {
+        const cutoff = now - this.retentionSeconds * 1000;
+
+        this.cluster = this.cluster.filter(sample => sample.timestamp >= cutoff);
+        for (const [name, entry] of this.series.entries()) {
+            entry.samples = entry.samples.filter(sample => sample.timestamp >= cutoff);
+            if (entry.samples.length === 0) {
+                this.series.delete(name);
+            }
+        }
+    }
+
+    /**
+     * Series of every container plus the cluster series. Pollers pass the
+     * timestamp of the newest sample they have and append what comes back.
+     * @param {number} [since] - Only samples newer than this timestamp
+     */
+    getOverview(since = 0) {
+        return {
+            intervalSeconds: this.intervalSeconds,
+            retentionSeconds: this.retentionSeconds,
+            lastError: this.lastError,
+            cluster: this.cluster.filter(sample => sample.timestamp > since),
+            containers: Array.from(this.series.values()).map(entry => ({
+                serverId: entry.serverId,
+                name: entry.name,
+                containerId: entry.containerId,
+                latest: entry.samples[entry.samples.length - 1],
+                samples: entry.samples.filter(sample => sample.timestamp > since)
+            }))
+        };
+    }
+
+    /**
+     * Series of one server, or null if it has no samples.
+     * @param {number} [since] - Only samples newer than this timestamp
+     */
+    getServerSeries(serverId, since = 0) {
+        for (const entry of this.series.values()) {
+            if (entry.serverId === serverId) {
+                return {
+                    serverId,
+                    name: entry.name,
+                    containerId: entry.containerId,
+                    samples: entry.samples.filter(sample => sample.timestamp > since)
+                };
+            }
+        }
+        return null;
+    }
+}
+
+// Same formula as `docker stats`: share of the host's CPU time since the previous read
+function cpuPercent(stats) {
+    const cpu = stats.cpu_stats || {};
+    const precpu = stats.precpu_stats || {};
+    if (!cpu.cpu_usage || !precpu.cpu_usage) return 0;
+
+    const cpuDelta = cpu.cpu_usage.total_usage - precpu.cpu_usage.total_usage;
+    const systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+    const onlineCpus = cpu.online_cpus || (cpu.cpu_usage.percpu_usage || []).length || 1;
+
+    if (cpuDelta <= 0 || systemDelta <= 0) return 0;
+    return cpuDelta / systemDelta * onlineCpus * 100;
+}
+
+// Usage without the page cache (cgroup v1 reports `cache`, v2 `inactive_file`)
+function memoryUsage(stats) {
+    const memory = stats.memory_stats || {};
+    const details = memory.stats || {};
+    const cache = details.inactive_file !== undefined ? details.inactive_file : (details.cache || 0);
+    return Math.max(0, (memory.usage || 0) - cache);
+}
+
+function networkTotals(stats) {
+    let rx = 0;
+    let tx = 0;
+    for (const network of Object.values(stats.networks || {})) {
+        rx += network.rx_bytes || 0;
+        tx += network.tx_bytes || 0;
+    }
+    return { rx, tx };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = { ContainerStatsCollector };
@@ -3,25 +3,101 @@
  * 
  * This module demonstrates how to integrate with the player-dedicated server system.
  * Include this in your game client to automatically get assigned to a dedicated server.
+ *
+ * Events (subscribe with on()):
+ *   queued        { ticketId, position, estimatedWaitSeconds, tier }  (cluster full, waiting for a slot)
+ *   connected     { playerId, serverId, serverUrl, resumed }
+ *   reconnecting  { attempt, delayMs, reason }
+ *   serverChanged { from, to, serverUrl }
+ *   capacity      { level, servers, maxServers, activePlayers }  (session channel only)
+ *   disconnected  { reason }
+ *
+ * Liveness goes over a WebSocket session channel (/ws/session) when available,
+ * which also lets the load balancer push notices; otherwise the client falls
+ * back to HTTP heartbeats every 5 seconds.
  */
 
 class PlayerSessionClient {
-    constructor(loadBalancerUrl = 'http://localhost') {
+    /**
+     * @param {string} [loadBalancerUrl] - Load balancer base URL
+     * @param {object} [options]
+     * @param {number} [options.maxReconnectAttempts=10] - Attempts before giving up and emitting 'disconnected'
+     * @param {number} [options.initialReconnectDelayMs=1000] - First retry delay (doubles per attempt)
+     * @param {number} [options.maxReconnectDelayMs=30000] - Upper bound for the retry delay
+     * @param {boolean} [options.useWebSocket=true] - Use the session channel instead of HTTP heartbeats
+     * @param {function} [options.WebSocket] - WebSocket implementation (defaults to the global one, e.g. pass require('ws') in Node)
+     * @param {boolean} [options.waitInQueue=true] - When the cluster is full, wait for admission instead of failing the join
+     * @param {number} [options.queuePollIntervalMs=3000] - How often to poll the queue ticket
+     */
+    constructor(loadBalancerUrl = 'http://localhost', options = {}) {
         this.loadBalancerUrl = loadBalancerUrl;
         this.sessionId = null;
+        this.sessionToken = null;
+        this.tokenExpiresAt = null;
         this.playerId = null;
         this.serverUrl = null;
         this.serverId = null;
+        this.profile = null;
         this.heartbeatInterval = null;
         this.connected = false;
+        this.onNotice = null; // Optional callback for operator notices (drain warnings, migrations)
+        this.listeners = {};
+        this.reconnectOptions = {
+            maxAttempts: options.maxReconnectAttempts || 10,
+            initialDelayMs: options.initialReconnectDelayMs || 1000,
+            maxDelayMs: options.maxReconnectDelayMs || 30000
+        };
+        this.reconnecting = false;
+        this.reconnectAttempt = 0;
+        this.reconnectTimer = null;
+        this.useWebSocket = options.useWebSocket !== false;
+        this.WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.channel = null;
+        this.channelUnavailable = false;
+        this.waitInQueue = options.waitInQueue !== false;
+        this.queuePollIntervalMs = options.queuePollIntervalMs || 3000;
+        this.queueTicket = null;
+    }
+
+    /**
+     * Subscribe to a session event
+     * @param {string} event - queued | connected | reconnecting | serverChanged | capacity | disconnected
+     * @param {function} handler - Called with the event payload
+     */
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return this;
+    }
+
+    /**
+     * Unsubscribe a handler added with on()
+     */
+    off(event, handler) {
+        this.listeners[event] = (this.listeners[event] || []).filter(h => h !== handler);
+        return this;
+    }
+
+    /**
+     * @private
+     */
+    emit(event, data) {
+        for (const handler of this.listeners[event] || []) {
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`❌ Error in ${event} handler:`, error);
+            }
+        }
     }
 
     /**
      * Join the game and get assigned to a dedicated server
      * @param {string} [playerId] - Optional player ID (will generate one if not provided)
+     * @param {object} [options]
+     * @param {string} [options.profile] - Server profile to play on (e.g. 'large-map'); the load balancer's default otherwise
      * @returns {Promise<object>} Server assignment result
      */
-    async joinGame(playerId = null) {
+    async joinGame(playerId = null, options = {}) {
         try {
             console.log('🎮 Requesting dedicated server assignment...');
             
@@ -31,7 +107,8 @@ class PlayerSessionClient {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    playerId: playerId
+                    playerId: playerId,
+                    profile: options.profile
                 })
             });
 
@@ -39,22 +116,29 @@ class PlayerSessionClient {
                 throw new Error(`Failed to join game: ${response.statusText}`);
             }
 
-            const result = await response.json();
+            this.profile = options.profile || null;
+
+            let result = await response.json();
+
+            // 202: the cluster is full and we got a queue ticket
+            if (result.queued) {
+                if (!this.waitInQueue) {
+                    throw new Error('All servers are busy');
+                }
+                result = await this.waitForAdmission(result.ticket);
+            }
             
             if (result.success) {
-                this.sessionId = result.sessionId;
-                this.playerId = result.playerId;
-                this.serverUrl = result.serverUrl;
-                this.serverId = result.serverId;
-                this.connected = true;
+                this.applyAssignment(result);
 
                 console.log(`✅ Assigned to dedicated server ${this.serverId}`);
                 console.log(`🔗 Server URL: ${this.serverUrl}`);
                 console.log(`👤 Player ID: ${this.playerId}`);
                 console.log(`🎫 Session ID: ${this.sessionId}`);
 
-                // Start sending heartbeats
-                this.startHeartbeat();
+                // Keep the session alive (WebSocket channel or heartbeats)
+                this.startLiveness();
+                this.emit('connected', { playerId: this.playerId, serverId: this.serverId, serverUrl: this.serverUrl, resumed: false });
 
                 return result;
             } else {
@@ -66,11 +150,68 @@ class PlayerSessionClient {
         }
     }
 
+    /**
+     * Poll a queue ticket until the load balancer admits it
+     * @private
+     * @returns {Promise<object>} The admission (same shape as a join response)
+     */
+    async waitForAdmission(ticket) {
+        this.queueTicket = ticket;
+        console.log(`🎟️ All servers are busy, queued at position ${ticket.position} (~${ticket.estimatedWaitSeconds}s)`);
+        this.emit('queued', ticket);
+
+        while (this.queueTicket) {
+            await new Promise(resolve => setTimeout(resolve, this.queuePollIntervalMs));
+            if (!this.queueTicket) break;
+
+            const response = await fetch(`${this.loadBalancerUrl}/api/queue/${encodeURIComponent(ticket.ticketId)}`);
+            if (response.status === 404) {
+                this.queueTicket = null;
+                throw new Error('Queue ticket expired');
+            }
+
+            const result = await response.json();
+            if (result.admitted) {
+                this.queueTicket = null;
+                return result;
+            }
+            if (result.rejected) {
+                this.queueTicket = null;
+                throw new Error(result.error || 'Queue admission failed');
+            }
+
+            this.queueTicket = result.ticket;
+            this.emit('queued', result.ticket);
+        }
+
+        throw new Error('Left the queue');
+    }
+
+    /**
+     * Give up waiting in the queue (joinGame then rejects)
+     */
+    async leaveQueue() {
+        if (!this.queueTicket) return;
+
+        const ticketId = this.queueTicket.ticketId;
+        this.queueTicket = null;
+
+        try {
+            await fetch(`${this.loadBalancerUrl}/api/queue/${encodeURIComponent(ticketId)}`, { method: 'DELETE' });
+            console.log('👋 Left the queue');
+        } catch (error) {
+            console.warn('⚠️ Error leaving the queue:', error);
+        }
+    }
+
     /**
      * Leave the game and clean up server resources
      */
     async leaveGame() {
-        if (!this.connected || !this.sessionId) {
+        this.cancelReconnect();
+        await this.leaveQueue();
+
+        if (!this.sessionToken) {
             console.log('⚠️ Not connected to any server');
             return;
         }
@@ -78,8 +219,8 @@ class PlayerSessionClient {
         try {
             console.log('👋 Leaving game and cleaning up server resources...');
             
-            // Stop heartbeat
-            this.stopHeartbeat();
+            // Stop heartbeat / close the session channel
+            this.stopLiveness();
 
             // Notify server of departure
             const response = await fetch(`${this.loadBalancerUrl}/api/player/leave`, {
@@ -88,7 +229,7 @@ class PlayerSessionClient {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    sessionId: this.sessionId
+                    sessionToken: this.sessionToken
                 })
             });
 
@@ -103,10 +244,33 @@ class PlayerSessionClient {
         } finally {
             // Clean up local state
             this.sessionId = null;
+            this.sessionToken = null;
+            this.tokenExpiresAt = null;
             this.playerId = null;
             this.serverUrl = null;
             this.serverId = null;
             this.connected = false;
+            this.emit('disconnected', { reason: 'left' });
+        }
+    }
+
+    /**
+     * Take over an assignment from a join or resume response
+     * @private
+     */
+    applyAssignment(result) {
+        const previousServerId = this.serverId;
+
+        this.sessionId = result.sessionId;
+        this.storeToken(result.sessionToken, result.tokenExpiresAt);
+        this.playerId = result.playerId;
+        this.serverUrl = result.serverUrl;
+        this.serverId = result.serverId;
+        this.connected = true;
+
+        if (previousServerId && previousServerId !== this.serverId) {
+            console.log(`🔀 Session moved to server ${this.serverId}`);
+            this.emit('serverChanged', { from: previousServerId, to: this.serverId, serverUrl: this.serverUrl });
         }
     }
 
@@ -124,36 +288,277 @@ class PlayerSessionClient {
      */
     getSessionHeaders() {
         return {
-            'X-Session-ID': this.sessionId,
+            'X-Session-Token': this.sessionToken,
             'X-Player-ID': this.playerId
         };
     }
 
+    /**
+     * Get the current (most recently rotated) session token
+     * @returns {string|null} Signed session token
+     */
+    getSessionToken() {
+        return this.sessionToken;
+    }
+
+    /**
+     * Remember a token issued by the load balancer
+     * @private
+     */
+    storeToken(token, expiresAt) {
+        this.sessionToken = token;
+        this.tokenExpiresAt = expiresAt;
+    }
+
+    /**
+     * Keep the session alive over the WebSocket channel, or with HTTP heartbeats
+     * when WebSockets are disabled or the channel could not be opened
+     * @private
+     */
+    startLiveness() {
+        if (this.useWebSocket && this.WebSocketImpl && !this.channelUnavailable) {
+            this.openChannel();
+        } else {
+            this.startHeartbeat();
+        }
+    }
+
+    /**
+     * @private
+     */
+    stopLiveness() {
+        this.stopHeartbeat();
+
+        if (this.channel) {
+            const channel = this.channel;
+            this.channel = null;
+            channel.close(1000, 'client closing');
+        }
+    }
+
+    /**
+     * Open the session channel. The load balancer pings it to keep the session
+     * alive and pushes rotated tokens, notices and capacity updates.
+     * @private
+     */
+    openChannel() {
+        const channelUrl = `${this.loadBalancerUrl.replace(/^http/, 'ws')}/ws/session?sessionToken=${encodeURIComponent(this.sessionToken)}`;
+        const channel = new this.WebSocketImpl(channelUrl);
+        let opened = false;
+        this.channel = channel;
+
+        channel.onopen = () => {
+            opened = true;
+            console.log('📡 Session channel open');
+        };
+
+        channel.onmessage = (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+
+            switch (message.type) {
+                case 'token':
+                    this.storeToken(message.sessionToken, message.tokenExpiresAt);
+                    break;
+                case 'notice':
+                    if (message.notice.type === 'migrated') {
+                        this.applyAssignment({
+                            sessionId: this.sessionId,
+                            sessionToken: this.sessionToken,
+                            tokenExpiresAt: this.tokenExpiresAt,
+                            playerId: this.playerId,
+                            serverId: message.notice.serverId,
+                            serverUrl: message.notice.serverUrl
+                        });
+                    }
+                    this.handleNotice(message.notice);
+                    break;
+                case 'capacity':
+                    this.emit('capacity', message);
+                    break;
+            }
+        };
+
+        // Errors are always followed by a close event, which decides what to do
+        channel.onerror = () => {};
+
+        channel.onclose = (event) => {
+            // Closed by us (leave / reconnect) or superseded by a newer channel
+            if (this.channel !== channel) return;
+            this.channel = null;
+
+            if (!opened) {
+                console.warn('⚠️ Session channel unavailable, falling back to HTTP heartbeats');
+                this.channelUnavailable = true;
+                if (this.connected) {
+                    this.startHeartbeat();
+                }
+                return;
+            }
+
+            this.handleSessionLost(`session channel closed (${event.code})`);
+        };
+    }
+
     /**
      * Start sending heartbeats to keep the server alive
      * @private
      */
     startHeartbeat() {
-        // Send heartbeat every 5 seconds
+        // Send heartbeat every 5 seconds; each one returns a fresh session token
         this.heartbeatInterval = setInterval(async () => {
             try {
-                await fetch(`${this.loadBalancerUrl}/api/player/heartbeat`, {
+                const response = await fetch(`${this.loadBalancerUrl}/api/player/heartbeat`, {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
                     },
                     body: JSON.stringify({
-                        sessionId: this.sessionId
+                        sessionToken: this.sessionToken
                     })
                 });
+
+                if (response.status === 401) {
+                    // Token expired, or the session was cleaned up on the server
+                    this.handleSessionLost('session rejected');
+                    return;
+                }
+
+                if (!response.ok) {
+                    throw new Error(`Heartbeat returned ${response.status}`);
+                }
+
+                const result = await response.json();
+                if (result.success) {
+                    this.applyAssignment({ ...result, sessionId: this.sessionId, playerId: this.playerId });
+                    if (result.notice) {
+                        this.handleNotice(result.notice);
+                    }
+                }
             } catch (error) {
                 console.warn('⚠️ Heartbeat failed:', error);
+                this.handleSessionLost('heartbeat failed');
             }
         }, 5000);
 
         console.log('💓 Started heartbeat (5s interval)');
     }
 
+    /**
+     * Stop heartbeating and start resuming the session with exponential backoff
+     * @private
+     */
+    handleSessionLost(reason) {
+        if (this.reconnecting) return;
+
+        console.warn(`⚠️ Lost session (${reason}), reconnecting...`);
+        this.stopLiveness();
+        this.connected = false;
+        this.reconnecting = true;
+        this.reconnectAttempt = 0;
+        this.scheduleReconnect(reason);
+    }
+
+    /**
+     * @private
+     */
+    scheduleReconnect(reason) {
+        const { maxAttempts, initialDelayMs, maxDelayMs } = this.reconnectOptions;
+
+        if (this.reconnectAttempt >= maxAttempts) {
+            console.error(`❌ Giving up after ${maxAttempts} reconnect attempts`);
+            this.reconnecting = false;
+            this.emit('disconnected', { reason: 'reconnect-failed' });
+            return;
+        }
+
+        // Exponential backoff with up to 20% jitter so many clients don't retry in lockstep
+        const baseDelay = Math.min(initialDelayMs * Math.pow(2, this.reconnectAttempt), maxDelayMs);
+        const delayMs = Math.round(baseDelay * (1 + Math.random() * 0.2));
+        this.reconnectAttempt++;
+
+        this.emit('reconnecting', { attempt: this.reconnectAttempt, delayMs, reason });
+        this.reconnectTimer = setTimeout(() => this.attemptReconnect(), delayMs);
+    }
+
+    /**
+     * Resume with the last token (same playerId, same server while it is alive).
+     * If the token can no longer be used, join again with the same playerId.
+     * @private
+     */
+    async attemptReconnect() {
+        this.reconnectTimer = null;
+
+        try {
+            const response = await fetch(`${this.loadBalancerUrl}/api/player/resume`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    sessionToken: this.sessionToken
+                })
+            });
+
+            if (response.status === 401) {
+                console.warn('⚠️ Session can no longer be resumed, joining again');
+                this.reconnecting = false;
+                await this.joinGame(this.playerId, { profile: this.profile });
+                return;
+            }
+
+            const result = await response.json();
+            if (!response.ok || !result.success) {
+                throw new Error(result.error || `Resume returned ${response.status}`);
+            }
+
+            this.applyAssignment(result);
+            this.reconnecting = false;
+            console.log(`🔌 Resumed session on server ${this.serverId}`);
+
+            this.startLiveness();
+            this.emit('connected', { playerId: this.playerId, serverId: this.serverId, serverUrl: this.serverUrl, resumed: true });
+        } catch (error) {
+            console.warn('⚠️ Reconnect attempt failed:', error.message);
+            this.reconnecting = true;
+            this.scheduleReconnect('reconnect failed');
+        }
+    }
+
+    /**
+     * @private
+     */
+    cancelReconnect() {
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.reconnecting = false;
+    }
+
+    /**
+     * Surface an operator notice delivered with a heartbeat
+     * @private
+     */
+    handleNotice(notice) {
+        if (notice.type === 'drain') {
+            const seconds = Math.max(0, Math.round((notice.deadline - Date.now()) / 1000));
+            console.warn(`🚰 ${notice.message} (you will be moved in ${seconds}s)`);
+        } else if (notice.type === 'migrated') {
+            console.log(`🔀 Moved to server ${notice.serverId}${notice.reason ? ` (${notice.reason})` : ''}`);
+        } else if (notice.type === 'server-shutdown') {
+            console.warn(`🛑 ${notice.message}`);
+        }
+
+        if (typeof this.onNotice === 'function') {
+            this.onNotice(notice);
+        }
+    }
+
     /**
      * Stop sending heartbeats
      * @private
@@ -177,6 +582,8 @@ class PlayerSessionClient {
 
         return {
             sessionId: this.sessionId,
+            sessionToken: this.sessionToken,
+            tokenExpiresAt: this.tokenExpiresAt,
             playerId: this.playerId,
             serverUrl: this.serverUrl,
             serverId: this.serverId,
@@ -191,6 +598,22 @@ class PlayerSessionClient {
     isConnected() {
         return this.connected;
     }
+
+    /**
+     * Check if the client is currently trying to resume a lost session
+     * @returns {boolean} Reconnect status
+     */
+    isReconnecting() {
+        return this.reconnecting;
+    }
+
+    /**
+     * Check if waiting in the join queue
+     * @returns {boolean} Queued status
+     */
+    isQueued() {
+        return this.queueTicket !== null;
+    }
 }
 
 // Example usage:
@@ -198,7 +621,14 @@ class PlayerSessionClient {
 // Initialize the client
 const playerSession = new PlayerSessionClient('http://localhost');
 
-// Join the game (gets assigned to a dedicated server)
+// React to connection changes
+playerSession.on('queued', ({ position, estimatedWaitSeconds }) => showBanner(`Queue position ${position} (~${estimatedWaitSeconds}s)`));
+playerSession.on('reconnecting', ({ attempt, delayMs }) => showBanner(`Reconnecting (attempt ${attempt})...`));
+playerSession.on('serverChanged', ({ serverUrl }) => reloadWorldFrom(serverUrl));
+playerSession.on('connected', () => hideBanner());
+playerSession.on('disconnected', ({ reason }) => showBanner(`Disconnected: ${reason}`));
+
+// Join the game (gets assigned to a dedicated server; pass { profile: 'large-map' } for another server profile)
 playerSession.joinGame().then(result => {
     console.log('Joined game:', result);
     
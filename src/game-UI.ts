@@ -2,6 +2,7 @@
 // Handles all DOM UI logic for the game, decoupled from GameScene
 
 import { CullingMode } from './viewport-culling';
+import { parseSeed } from './map-generation/random';
 
 export class GameUI {
     private infoElement: HTMLElement | null;
@@ -11,6 +12,9 @@ export class GameUI {
     private heightInput: HTMLInputElement | null;
     private regionsInput: HTMLInputElement | null;
     private distanceInput: HTMLInputElement | null;
+    private seedInput: HTMLInputElement | null;
+    private seedInfoElement: HTMLElement | null;
+    private exportFormatInput: HTMLSelectElement | null;
     
     // Fog of war controls
     private fogOfWarInput: HTMLInputElement | null;
@@ -28,6 +32,9 @@ export class GameUI {
         this.heightInput = document.getElementById('height') as HTMLInputElement;
         this.regionsInput = document.getElementById('regions') as HTMLInputElement;
         this.distanceInput = document.getElementById('distance') as HTMLInputElement;
+        this.seedInput = document.getElementById('seed') as HTMLInputElement;
+        this.seedInfoElement = document.getElementById('seed-info');
+        this.exportFormatInput = document.getElementById('export-format') as HTMLSelectElement;
         
         // Fog of war controls
         this.fogOfWarInput = document.getElementById('fog-of-war') as HTMLInputElement;
@@ -109,6 +116,49 @@ export class GameUI {
         return this.distanceInput ? parseInt(this.distanceInput.value) || 3 : 3;
     }
 
+    // Seed typed by the user (number or any text); null when blank = random world
+    getSeed(): number | null {
+        return this.seedInput ? parseSeed(this.seedInput.value) : null;
+    }
+
+    getSeedFromUrl(): number | null {
+        return parseSeed(new URLSearchParams(window.location.search).get('seed'));
+    }
+
+    // Show the seed of the current world and put it in the URL, so the link reproduces it
+    showSeed(seed: number) {
+        if (this.seedInfoElement) {
+            this.seedInfoElement.textContent = `Seed: ${seed}`;
+        }
+
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', String(seed));
+        window.history.replaceState(null, '', url.toString());
+    }
+
+    // --- Export ---
+    getExportFormat(): 'tmj' | 'png' | 'pgrl' {
+        const value = this.exportFormatInput ? this.exportFormatInput.value : 'tmj';
+        return value === 'png' || value === 'pgrl' ? value : 'tmj';
+    }
+
+    // Save generated file content through a temporary download link
+    downloadFile(filename: string, content: string | Uint8Array, mimeType: string) {
+        // Copy binary content into a plain ArrayBuffer-backed array, which Blob requires
+        const blob = new Blob([typeof content === 'string' ? content : new Uint8Array(content)], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
     // --- Fog of War Control Getters ---
     getFogOfWarChecked(): boolean {
         return this.fogOfWarInput ? this.fogOfWarInput.checked : true;
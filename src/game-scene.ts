@@ -2,7 +2,12 @@ import * as Phaser from 'phaser';
 import { HeIsComingGenerator } from './map-generation/level-generator';
 import { IntGrid } from './map-generation/data-structures';
 import { OuterTileMarker } from './map-generation/outer-tile-marker';
-import { ChunkManager, Chunk } from './map-generation/chunk-manager';
+import { ChunkManager, Chunk, ChunkCoordinate } from './map-generation/chunk-manager';
+import { ChunkStore } from './map-generation/chunk-store';
+import { IndexedDbChunkStore } from './map-generation/indexeddb-chunk-store';
+import { randomSeed } from './map-generation/random';
+import { collectMap, exportTiledMap, renderMapPng, renderTilesetPng, DEFAULT_TILESET_IMAGE } from './map-generation/map-export';
+import { encodeRle, decodeRle, decodedToChunks } from './map-generation/rle-format';
 import { Player } from './user-movement/player';
 import { VisibilitySystem } from './user-movement/visibility-system';
 import { GameUI } from './game-UI';
@@ -54,10 +59,13 @@ export class GameScene extends Phaser.Scene {
     private static readonly COLOR_EMPTY = 0xF0F0F0;
     private static readonly STROKE_COLOR = 0xCCCCCC;
     private static readonly STROKE_ALPHA = 0.3;
+    private static readonly EXPORT_TILE_SIZE = 16;         // Pixels per tile in PNG / Tiled exports.
 
     private generator: HeIsComingGenerator;
     private currentGrid: IntGrid | null = null; // Legacy grid reference
     private chunkManager: ChunkManager;
+    private chunkStore: ChunkStore | null;                                  // Browser storage for explored chunks.
+    private focusChunk: ChunkCoordinate | null = null;                      // Player's chunk as last told to chunkManager.
     private graphics!: Phaser.GameObjects.Graphics;
     private cellSize: number = GameScene.DEFAULT_CELL_SIZE;                 // Pixels per grid cell.
     private lastDrawTime: number = 0;
@@ -75,6 +83,7 @@ export class GameScene extends Phaser.Scene {
         super({ key: 'GameScene' });
         this.generator = new HeIsComingGenerator();
         this.chunkManager = new ChunkManager(GameScene.DEFAULT_WIDTH, GameScene.DEFAULT_HEIGHT);
+        this.chunkStore = IndexedDbChunkStore.isAvailable() ? new IndexedDbChunkStore() : null;
         this.visibilitySystem = new VisibilitySystem();
         this.ui = new GameUI();
         this.viewportCulling = new ViewportCulling();
@@ -116,11 +125,13 @@ export class GameScene extends Phaser.Scene {
         });
 
         // First automatic generation so user sees content immediately.
+        // A ?seed= URL parameter reproduces a shared world.
         this.generateLevel(
             GameScene.DEFAULT_WIDTH,
             GameScene.DEFAULT_HEIGHT,
             GameScene.DEFAULT_REGIONS,
-            GameScene.DEFAULT_MIN_REGION_DIST
+            GameScene.DEFAULT_MIN_REGION_DIST,
+            this.ui.getSeedFromUrl()
         );
     }
 
@@ -128,6 +139,7 @@ export class GameScene extends Phaser.Scene {
         // Update player movement
         if (this.player && this.player.update()) {
             // Player moved, redraw to update visibility effects
+            this.updateFocusChunk();
             this.drawGrid();
         }
         
@@ -171,38 +183,53 @@ export class GameScene extends Phaser.Scene {
      *  - regions: number of region seed points to scatter prior to triangulation.
      *  - minDistance: enforced minimum Manhattan (or near) spacing between region seeds
      *      to reduce clustering and encourage coverage.
+     *  - seed: world seed; the same seed and settings give the same chunks. null picks a random one.
      *
      * Side Effects:
      *  - Mutates generator settings (levelSize, regionCount, minRegionDistance).
-     *  - Replaces currentGrid with a freshly generated `IntGrid`.
-     *  - Triggers a redraw (drawGrid) and updates UI info text.
+     *  - Replaces currentGrid with the start chunk's `IntGrid`: the stored one when this
+     *      world was explored before (IndexedDB, e.g. before a page reload), else freshly generated.
+     *      This happens asynchronously; errors are shown like generation errors.
+     *  - Triggers a redraw (drawGrid) and updates UI info text and the shown seed.
      *  - On error, logs to console and displays a temporary user-facing message.
      */
     generateLevel(
         width: number = GameScene.DEFAULT_WIDTH,
         height: number = GameScene.DEFAULT_HEIGHT,
         regions: number = GameScene.DEFAULT_REGIONS,
-        minDistance: number = GameScene.DEFAULT_MIN_REGION_DIST
+        minDistance: number = GameScene.DEFAULT_MIN_REGION_DIST,
+        seed: number | null = null
     ): void {
         try {
             // Auto-calculate regions if set to 0 (double the max of width/height)
             const finalRegions = regions === 0 ? Math.max(width, height) * 2 : regions;
             
             // Create new chunk manager with updated settings
-            this.chunkManager = new ChunkManager(width, height);
+            const chunkManager = new ChunkManager(width, height, seed ?? randomSeed());
+            chunkManager.setChunkStore(this.chunkStore);
+            this.chunkManager = chunkManager;
+            this.focusChunk = null;
+            this.ui.showSeed(chunkManager.getWorldSeed());
             
-            // Generate the initial chunk (0, 0)
-            const initialChunk = this.chunkManager.generateChunk(0, 0);
-            this.currentGrid = initialChunk.grid; // Keep for compatibility
+            // Load (or generate) the initial chunk (0, 0)
+            chunkManager.loadChunk(0, 0).then(initialChunk => {
+                if (chunkManager !== this.chunkManager) return; // A newer generation replaced this world
 
-            // Create/respawn player
-            this.createPlayer();
+                this.currentGrid = initialChunk.grid; // Keep for compatibility
 
-            // Draw the grid
-            this.drawGrid();
+                // Create/respawn player
+                this.createPlayer();
+                this.updateFocusChunk();
 
-            // Update info display
-            this.updateInfoDisplay();
+                // Draw the grid
+                this.drawGrid();
+
+                // Update info display
+                this.updateInfoDisplay();
+            }).catch(error => {
+                console.error('Error generating level:', error);
+                this.showError('Failed to generate level. Please try different settings.');
+            });
 
         } catch (error) {
             console.error('Error generating level:', error);
@@ -400,6 +427,25 @@ export class GameScene extends Phaser.Scene {
         };
     }
 
+    /**
+     * Keep the chunk manager's focus on the player's chunk: evicts far chunks and
+     * prefetches stored neighbours, redrawing once any come back.
+     */
+    private updateFocusChunk(): void {
+        const playerChunk = this.player ? this.player.getCurrentChunk() : null;
+        if (!playerChunk) return;
+        if (this.focusChunk && this.focusChunk.chunkX === playerChunk.chunkX && this.focusChunk.chunkY === playerChunk.chunkY) return;
+
+        this.focusChunk = playerChunk;
+        const chunkManager = this.chunkManager;
+        chunkManager.setFocusChunk(playerChunk.chunkX, playerChunk.chunkY).then(restored => {
+            if (restored > 0 && chunkManager === this.chunkManager) {
+                this.drawGrid();
+                this.updateInfoDisplay();
+            }
+        });
+    }
+
     /** Display chunk and connection information. */
     private updateInfoDisplay(): void {
         const allChunks = this.chunkManager.getAllChunks();
@@ -679,6 +725,7 @@ export class GameScene extends Phaser.Scene {
         const height = this.ui.getHeight();
         const regions = this.ui.getRegions();
         const distance = this.ui.getDistance();
+        const seed = this.ui.getSeed();
         
         // Update rendering settings
         this.viewportCulling.setEnabled(this.ui.getCullingChecked());
@@ -688,7 +735,57 @@ export class GameScene extends Phaser.Scene {
         // Update visibility settings
         this.updateVisibilitySettings();
         
-        this.generateLevel(width, height, regions, distance);
+        this.generateLevel(width, height, regions, distance, seed);
+    }
+
+    /**
+     * UI callback: download every loaded chunk in the format picked in the UI.
+     * Tiled exports come with their tileset image as a second download.
+     */
+    public onExportButtonClick(): void {
+        const seed = this.chunkManager.getWorldSeed();
+        const map = collectMap(this.chunkManager.getAllChunks(), seed);
+        const baseName = `procgen-${seed}`;
+
+        switch (this.ui.getExportFormat()) {
+            case 'tmj':
+                this.ui.downloadFile(`${baseName}.tmj`, JSON.stringify(exportTiledMap(map, GameScene.EXPORT_TILE_SIZE)), 'application/json');
+                this.ui.downloadFile(DEFAULT_TILESET_IMAGE, renderTilesetPng(GameScene.EXPORT_TILE_SIZE), 'image/png');
+                break;
+            case 'png':
+                this.ui.downloadFile(`${baseName}.png`, renderMapPng(map, 4), 'image/png');
+                break;
+            case 'pgrl':
+                this.ui.downloadFile(`${baseName}.pgrl`, encodeRle(map), 'application/octet-stream');
+                break;
+        }
+    }
+
+    /**
+     * UI callback: replace the world with the chunks of a .pgrl file (see onExportButtonClick).
+     * The world takes the file's seed and chunk size, so exploring past the imported
+     * chunks continues the same world. Throws if the file isn't a valid .pgrl map.
+     */
+    public onImportFile(data: Uint8Array): void {
+        const map = decodeRle(data);
+        const chunks = decodedToChunks(map);
+        if (chunks.length === 0) {
+            throw new Error('The map file has no chunks');
+        }
+
+        const chunkManager = new ChunkManager(map.chunkWidth, map.chunkHeight, map.seed ?? randomSeed());
+        chunkManager.setChunkStore(this.chunkStore);
+        chunkManager.importChunks(chunks);
+        this.chunkManager = chunkManager;
+        this.focusChunk = null;
+        this.ui.showSeed(chunkManager.getWorldSeed());
+
+        // The player spawns in chunk (0, 0), generated from the seed if the file doesn't have it
+        this.currentGrid = chunkManager.getChunk(0, 0).grid;
+        this.createPlayer();
+        this.updateFocusChunk();
+        this.drawGrid();
+        this.updateInfoDisplay();
     }
 
     // Method to toggle viewport culling from UI
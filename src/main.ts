@@ -12,7 +12,8 @@ import { CullingMode } from './viewport-culling';
     1. User clicks #generate-btn (DOM) -> click handler here.
     2. Handler calls GameScene.onGenerateButtonClick().
     3. GameScene.onGenerateButtonClick() collects input values and calls GameScene.generateLevel().
-    4. GameScene.generateLevel() updates generator settings and calls HeIsComingGenerator.generateLayout().
+    4. GameScene.generateLevel() updates generator settings (including the seeded random source of
+       the chunk, derived from the world seed) and calls HeIsComingGenerator.generateLayout().
     5. HeIsComingGenerator.generateLayout():
          - generateRegionPoints()
          - Delaunay triangulation -> edges
@@ -103,6 +104,51 @@ function setupUI(): void {
         });
     }
 
+    // Export button: download the loaded chunks in the selected format
+    const exportButton = document.getElementById('export-btn');
+    if (exportButton) {
+        exportButton.addEventListener('click', () => {
+            if (!gameScene) return;
+
+            try {
+                gameScene.onExportButtonClick();
+            } catch (error) {
+                console.error('Export error:', error);
+                const infoElement = document.getElementById('info-text');
+                if (infoElement) {
+                    infoElement.textContent = 'Export failed.';
+                    infoElement.style.color = INFO_COLOR_ERROR;
+                }
+            }
+        });
+    }
+
+    // Import button: pick a .pgrl file and load its chunks as the world
+    const importButton = document.getElementById('import-btn');
+    const importFile = document.getElementById('import-file') as HTMLInputElement | null;
+    if (importButton && importFile) {
+        importButton.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', () => {
+            const file = importFile.files && importFile.files[0];
+            importFile.value = ''; // Picking the same file again fires change again
+            if (!gameScene || !file) return;
+
+            const infoElement = document.getElementById('info-text');
+            file.arrayBuffer().then(buffer => {
+                gameScene.onImportFile(new Uint8Array(buffer));
+                if (infoElement) {
+                    infoElement.style.color = INFO_COLOR_NORMAL;
+                }
+            }).catch(error => {
+                console.error('Import error:', error);
+                if (infoElement) {
+                    infoElement.textContent = 'Import failed: not a valid .pgrl map file.';
+                    infoElement.style.color = INFO_COLOR_ERROR;
+                }
+            });
+        });
+    }
+
     // Culling mode radio buttons: handle culling mode changes
     const cullingModeInputs = document.querySelectorAll('input[name="culling-mode"]');
     cullingModeInputs.forEach(input => {
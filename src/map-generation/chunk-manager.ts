@@ -1,6 +1,8 @@
 import { IntGrid } from './data-structures';
 import { HeIsComingGenerator } from './level-generator';
 import { OuterTileMarker } from './outer-tile-marker';
+import { createSeededRandom, deriveBorderSeed, deriveChunkSeed, randomSeed } from './random';
+import { ChunkRecord, ChunkStore } from './chunk-store';
 
 /**
  * ChunkCoordinate
@@ -89,31 +91,130 @@ export class Chunk {
     getKey(): string {
         return `${this.chunkX},${this.chunkY}`;
     }
+
+    /**
+     * Serialize for a ChunkStore
+     */
+    toRecord(): ChunkRecord {
+        return {
+            chunkX: this.chunkX,
+            chunkY: this.chunkY,
+            grid: this.grid.toJSON(),
+            connectionPoints: this.connectionPoints.map(cp => ({ ...cp })),
+            connectedChunks: Array.from(this.connectedChunks.values()).map(coord => ({ ...coord }))
+        };
+    }
+
+    /**
+     * Rebuild a chunk exactly as it was saved (connection state included)
+     */
+    static fromRecord(record: ChunkRecord): Chunk {
+        const chunk = new Chunk(IntGrid.fromJSON(record.grid), record.chunkX, record.chunkY);
+        chunk.connectionPoints = record.connectionPoints.map(cp => ({ ...cp }));
+        for (const coord of record.connectedChunks) {
+            chunk.connectedChunks.set(`${coord.chunkX},${coord.chunkY}`, { chunkX: coord.chunkX, chunkY: coord.chunkY });
+        }
+        return chunk;
+    }
+
+    /**
+     * Rough heap size of the chunk, for the memory budget
+     */
+    estimateBytes(): number {
+        // number[][] columns: 8 bytes per tile plus array overhead per column
+        const gridBytes = this.grid.width * (this.grid.height * 8 + 32);
+        return gridBytes + this.connectionPoints.length * 80 + this.connectedChunks.size * 96;
+    }
 }
 
 /**
  * ChunkManager
  * ------------
  * Manages multiple chunks, handles chunk generation, connections, and coordinate transformations
+ *
+ * Every chunk is generated from its own seed, derived from the world seed and the chunk
+ * coordinates, so the same world seed always produces the same chunk at the same place.
+ * Chunks are stitched to their neighbours: each border between two chunks has its own
+ * seed (deriveBorderSeed) that places the corridor openings on it, and both chunks
+ * carve their corridors to those openings. The rest of every border is solid, so
+ * corridors run on across chunk borders whichever of the two chunks came first.
+ *
+ * Loaded chunks are kept within a memory budget: when it is exceeded, the least
+ * recently used chunks outside keepRadius of the focus chunk (the player's) are
+ * evicted. With a ChunkStore set, chunks are saved when generated or connected and
+ * evicted ones are brought back from the store (loadChunk / prefetchAround), so a
+ * revisited area is identical, connection state included. A chunk that is generated
+ * while the store already has it (getChunk() before its prefetch landed, or a chunk
+ * saved in an earlier session) never overwrites the stored copy: once the store has
+ * been checked, the stored tiles and connections are merged into the loaded chunk.
+ * Without a store an evicted chunk is regenerated from its seed: same tiles, connections forgotten.
  */
 export class ChunkManager {
+    private static readonly DEFAULT_MEMORY_BUDGET_BYTES = 32 * 1024 * 1024;
+    private static readonly DEFAULT_KEEP_RADIUS = 1;
+    private static readonly MAX_BORDER_OPENINGS = 3;
+
+    // Loaded chunks in least-recently-used order (accessing a chunk moves it to the end)
     private chunks: Map<string, Chunk> = new Map();
     private generator: HeIsComingGenerator;
     private chunkSize: { width: number; height: number };
+    private worldSeed: number;
+    private store: ChunkStore | null = null;
+    private pendingSaves: Map<string, ChunkRecord> = new Map(); // saved but not yet confirmed by the store
+    private writes: Map<string, Promise<void>> = new Map(); // store writes in flight, chained per chunk
+    private loading: Map<string, Promise<Chunk | null>> = new Map(); // store reads in flight
+    private memoryBudgetBytes: number = ChunkManager.DEFAULT_MEMORY_BUDGET_BYTES;
+    private keepRadius: number = ChunkManager.DEFAULT_KEEP_RADIUS;
+    private focusChunk: ChunkCoordinate = { chunkX: 0, chunkY: 0 };
     private generationSettings: {
         regions: number;
         minDistance: number;
     };
 
-    constructor(chunkWidth: number = 50, chunkHeight: number = 50) {
+    constructor(chunkWidth: number = 50, chunkHeight: number = 50, worldSeed: number = randomSeed()) {
         this.generator = new HeIsComingGenerator();
         this.chunkSize = { width: chunkWidth, height: chunkHeight };
+        this.worldSeed = worldSeed >>> 0;
         this.generationSettings = {
             regions: Math.max(chunkWidth, chunkHeight) * 2,
             minDistance: 3
         };
     }
 
+    /**
+     * Override the region count and spacing used for new chunks (regions 0 = auto)
+     */
+    setGenerationSettings(regions: number, minDistance: number): void {
+        this.generationSettings = {
+            regions: regions === 0 ? Math.max(this.chunkSize.width, this.chunkSize.height) * 2 : regions,
+            minDistance
+        };
+    }
+
+    /**
+     * Persist chunks to a store and reload evicted chunks from it (null = no persistence)
+     */
+    setChunkStore(store: ChunkStore | null): void {
+        this.store = store;
+    }
+
+    /**
+     * Memory budget for loaded chunks; chunks within keepRadius of the focus chunk are never evicted (-1 = none)
+     */
+    setMemoryBudget(bytes: number, keepRadius: number = ChunkManager.DEFAULT_KEEP_RADIUS): void {
+        this.memoryBudgetBytes = bytes;
+        this.keepRadius = keepRadius;
+        this.evictChunks();
+    }
+
+    /**
+     * Identifies this world in a ChunkStore: chunks only match for the same seed and settings
+     */
+    getWorldId(): string {
+        return `${this.worldSeed}-${this.chunkSize.width}x${this.chunkSize.height}` +
+            `-r${this.generationSettings.regions}-d${this.generationSettings.minDistance}`;
+    }
+
     /**
      * Generate a new chunk at the specified chunk coordinates
      */
@@ -124,34 +225,297 @@ export class ChunkManager {
             return this.chunks.get(key)!;
         }
 
-        // Configure generator for this chunk
-        this.generator.levelSize = [this.chunkSize.width, this.chunkSize.height];
+        const { width, height } = this.chunkSize;
+        const openings = this.getBorderOpenings(chunkX, chunkY);
+
+        // Configure generator for this chunk: it lays out the inside, one tile in from the
+        // border, and has to reach the tile inside each border opening
+        this.generator.levelSize = [width - 2, height - 2];
         this.generator.regionCount = this.generationSettings.regions;
         this.generator.minRegionDistance = this.generationSettings.minDistance;
-
-        // Generate the grid
-        const grid = this.generator.generateLayout();
+        this.generator.random = createSeededRandom(this.getChunkSeed(chunkX, chunkY));
+        this.generator.requiredEndpoints = openings.map(([x, y]): [number, number] => [
+            Math.min(Math.max(x - 1, 0), width - 3),
+            Math.min(Math.max(y - 1, 0), height - 3)
+        ]);
+
+        // Generate the grid and frame it with the solid border and its openings
+        const inside = this.generator.generateLayout();
+        const grid = new IntGrid(width, height);
+        for (let x = 0; x < width; x++) {
+            for (let y = 0; y < height; y++) {
+                const isBorder = x === 0 || y === 0 || x === width - 1 || y === height - 1;
+                grid.setTile(x, y, isBorder ? this.generator.REGION_TILE : inside.getTile(x - 1, y - 1));
+            }
+        }
+        for (const [x, y] of openings) {
+            grid.setTile(x, y, this.generator.PATH_TILE);
+        }
         
         // Create chunk
         const chunk = new Chunk(grid, chunkX, chunkY);
-        this.chunks.set(key, chunk);
+        this.addChunk(chunk);
+        this.saveChunk(chunk, true);
 
         return chunk;
     }
 
     /**
-     * Get a chunk by chunk coordinates, generating it if it doesn't exist
+     * Get a chunk by chunk coordinates, generating it if it doesn't exist.
+     * Synchronous, so a chunk that is only in the store (not prefetched) is generated
+     * again from its seed and gets the stored tiles and connections once the store has
+     * been checked; use loadChunk() / prefetchAround() to get the stored one right away.
      */
     getChunk(chunkX: number, chunkY: number): Chunk {
         const key = `${chunkX},${chunkY}`;
         
         if (this.chunks.has(key)) {
-            return this.chunks.get(key)!;
+            return this.touchChunk(key);
+        }
+
+        const pending = this.pendingSaves.get(key);
+        if (pending) {
+            return this.addChunk(Chunk.fromRecord(pending));
         }
 
         return this.generateChunk(chunkX, chunkY);
     }
 
+    /**
+     * Get a chunk, preferring the stored copy over regenerating it
+     */
+    loadChunk(chunkX: number, chunkY: number): Promise<Chunk> {
+        const key = `${chunkX},${chunkY}`;
+
+        if (this.chunks.has(key) || this.pendingSaves.has(key) || !this.store) {
+            return Promise.resolve(this.getChunk(chunkX, chunkY));
+        }
+
+        return this.readStoredChunk(chunkX, chunkY).then(chunk => chunk || this.getChunk(chunkX, chunkY));
+    }
+
+    /**
+     * Load chunks read from a file (rle-format.ts decodedToChunks) in place of generated
+     * ones. They replace stored copies, and imported neighbours are connected. Chunks
+     * the file doesn't have are generated from the seed as usual.
+     */
+    importChunks(chunks: Chunk[]): void {
+        for (const chunk of chunks) {
+            this.chunks.set(chunk.getKey(), chunk);
+            this.saveChunk(chunk);
+        }
+        for (const chunk of chunks) {
+            if (this.chunks.has(`${chunk.chunkX + 1},${chunk.chunkY}`)) {
+                this.connectChunks(chunk.chunkX, chunk.chunkY, chunk.chunkX + 1, chunk.chunkY);
+            }
+            if (this.chunks.has(`${chunk.chunkX},${chunk.chunkY + 1}`)) {
+                this.connectChunks(chunk.chunkX, chunk.chunkY, chunk.chunkX, chunk.chunkY + 1);
+            }
+        }
+        this.evictChunks();
+    }
+
+    /**
+     * Load stored chunks within `radius` of a chunk ahead of need (nothing is generated).
+     * Resolves with the number of chunks brought back.
+     */
+    async prefetchAround(centerChunkX: number, centerChunkY: number, radius: number = this.keepRadius): Promise<number> {
+        if (!this.store) return 0;
+
+        const reads: Promise<Chunk | null>[] = [];
+        for (let x = centerChunkX - radius; x <= centerChunkX + radius; x++) {
+            for (let y = centerChunkY - radius; y <= centerChunkY + radius; y++) {
+                if (!this.chunks.has(`${x},${y}`)) {
+                    reads.push(this.readStoredChunk(x, y));
+                }
+            }
+        }
+
+        const chunks = await Promise.all(reads);
+        return chunks.filter(chunk => chunk !== null).length;
+    }
+
+    /**
+     * Tell the manager where the player is: evicts what is now out of budget and
+     * prefetches stored chunks around the new focus. Resolves like prefetchAround().
+     */
+    setFocusChunk(chunkX: number, chunkY: number): Promise<number> {
+        this.focusChunk = { chunkX, chunkY };
+        this.evictChunks();
+        return this.prefetchAround(chunkX, chunkY);
+    }
+
+    /**
+     * Rough heap size of all loaded chunks
+     */
+    getLoadedBytes(): number {
+        let total = 0;
+        this.chunks.forEach(chunk => total += chunk.estimateBytes());
+        return total;
+    }
+
+    /**
+     * Border tiles of a chunk where corridors cross into its neighbours, on all four
+     * sides. Each border's openings come from its own seed, so the chunks on either
+     * side pick the same ones.
+     */
+    private getBorderOpenings(chunkX: number, chunkY: number): [number, number][] {
+        const { width, height } = this.chunkSize;
+        const openings: [number, number][] = [];
+
+        for (const i of this.getBorderOpeningOffsets(chunkX, chunkY, 'x', height)) openings.push([width - 1, i]);
+        for (const i of this.getBorderOpeningOffsets(chunkX - 1, chunkY, 'x', height)) openings.push([0, i]);
+        for (const i of this.getBorderOpeningOffsets(chunkX, chunkY, 'y', width)) openings.push([i, height - 1]);
+        for (const i of this.getBorderOpeningOffsets(chunkX, chunkY - 1, 'y', width)) openings.push([i, 0]);
+
+        return openings;
+    }
+
+    /**
+     * Offsets of the openings along the border between a chunk and its neighbour on
+     * `axis`: one to MAX_BORDER_OPENINGS of them, never adjacent (no 2x2 block across the
+     * border) and at least two tiles from the corners (none next to another side's).
+     */
+    private getBorderOpeningOffsets(chunkX: number, chunkY: number, axis: 'x' | 'y', length: number): number[] {
+        const random = createSeededRandom(deriveBorderSeed(this.worldSeed, chunkX, chunkY, axis));
+        const first = 2;
+        const span = length - 4;
+        const count = 1 + Math.floor(random() * ChunkManager.MAX_BORDER_OPENINGS);
+        const offsets: number[] = [];
+
+        for (let attempt = 0; attempt < count * 10 && offsets.length < count; attempt++) {
+            const offset = first + Math.floor(random() * span);
+            if (offsets.every(other => Math.abs(other - offset) > 1)) {
+                offsets.push(offset);
+            }
+        }
+
+        return offsets.sort((a, b) => a - b);
+    }
+
+    /**
+     * Read one chunk from the store into memory; null if the store doesn't have it.
+     * A chunk that got generated or loaded meanwhile, or has a newer unconfirmed save,
+     * wins over the stored copy.
+     */
+    private readStoredChunk(chunkX: number, chunkY: number): Promise<Chunk | null> {
+        const key = `${chunkX},${chunkY}`;
+        const store = this.store;
+        if (!store) return Promise.resolve(null);
+
+        let loading = this.loading.get(key);
+        if (!loading) {
+            loading = store.load(this.getWorldId(), chunkX, chunkY)
+                .then(record => {
+                    if (this.chunks.has(key)) return this.touchChunk(key);
+                    const pending = this.pendingSaves.get(key);
+                    if (pending) return this.addChunk(Chunk.fromRecord(pending));
+                    return record ? this.addChunk(Chunk.fromRecord(record)) : null;
+                })
+                .catch(error => {
+                    console.error(`Failed to load chunk (${chunkX}, ${chunkY}) from storage:`, error);
+                    return null;
+                })
+                .finally(() => this.loading.delete(key));
+            this.loading.set(key, loading);
+        }
+        return loading;
+    }
+
+    /**
+     * Write a chunk to the store (if any). Writes of one chunk run in order and each
+     * writes the chunk as it is by then. Until the store confirms, the record is kept
+     * so an evicted chunk can be restored synchronously.
+     * A `generated` chunk is only written if the store doesn't have it yet; a stored
+     * copy is merged into it instead of being overwritten.
+     */
+    private saveChunk(chunk: Chunk, generated: boolean = false): void {
+        const store = this.store;
+        if (!store) return;
+
+        const key = chunk.getKey();
+        const worldId = this.getWorldId();
+        this.pendingSaves.set(key, chunk.toRecord());
+
+        const write = (this.writes.get(key) || Promise.resolve())
+            .then(() => generated ? store.load(worldId, chunk.chunkX, chunk.chunkY) : null)
+            .then(stored => {
+                // The loaded chunk, else the latest unconfirmed copy (it may have been evicted meanwhile)
+                const current = this.chunks.get(key) || Chunk.fromRecord(this.pendingSaves.get(key)!);
+
+                if (stored) {
+                    this.mergeStoredRecord(current, stored);
+                    this.pendingSaves.set(key, current.toRecord());
+                    return;
+                }
+
+                const record = current.toRecord();
+                this.pendingSaves.set(key, record);
+                return store.save(worldId, record);
+            })
+            .catch(error => console.error(`Failed to save chunk (${chunk.chunkX}, ${chunk.chunkY}):`, error))
+            .then(() => {
+                if (this.writes.get(key) === write) {
+                    this.writes.delete(key);
+                    this.pendingSaves.delete(key);
+                }
+            });
+        this.writes.set(key, write);
+    }
+
+    /**
+     * Bring a chunk that was generated again back to its stored copy: the stored tiles
+     * and connection points win, connections made since it was generated are kept.
+     */
+    private mergeStoredRecord(chunk: Chunk, record: ChunkRecord): void {
+        const stored = Chunk.fromRecord(record);
+        chunk.connectedChunks.forEach((coord, key) => stored.connectedChunks.set(key, coord));
+
+        chunk.grid = stored.grid;
+        chunk.connectionPoints = stored.connectionPoints;
+        chunk.connectedChunks = stored.connectedChunks;
+        chunk.connectedChunks.forEach(coord => this.markConnectionPointsAsConnected(
+            chunk,
+            this.getConnectionDirection(chunk.chunkX, chunk.chunkY, coord.chunkX, coord.chunkY)
+        ));
+    }
+
+    private addChunk(chunk: Chunk): Chunk {
+        this.chunks.set(chunk.getKey(), chunk);
+        this.evictChunks(chunk.getKey());
+        return chunk;
+    }
+
+    // Mark as most recently used
+    private touchChunk(key: string): Chunk {
+        const chunk = this.chunks.get(key)!;
+        this.chunks.delete(key);
+        this.chunks.set(key, chunk);
+        return chunk;
+    }
+
+    /**
+     * Evict least recently used chunks until the loaded ones fit the memory budget.
+     * Chunks near the focus chunk and `keepKey` (the chunk being handed out) stay.
+     */
+    private evictChunks(keepKey?: string): void {
+        let loadedBytes = this.getLoadedBytes();
+        if (loadedBytes <= this.memoryBudgetBytes) return;
+
+        for (const [key, chunk] of Array.from(this.chunks.entries())) {
+            if (loadedBytes <= this.memoryBudgetBytes) break;
+
+            const distance = Math.max(
+                Math.abs(chunk.chunkX - this.focusChunk.chunkX),
+                Math.abs(chunk.chunkY - this.focusChunk.chunkY)
+            );
+            if (key === keepKey || distance <= this.keepRadius) continue;
+
+            this.chunks.delete(key);
+            loadedBytes -= chunk.estimateBytes();
+        }
+    }
+
     /**
      * Get all loaded chunks
      */
@@ -299,6 +663,9 @@ export class ChunkManager {
         // Mark relevant connection points as connected
         this.markConnectionPointsAsConnected(chunk1, direction1to2);
         this.markConnectionPointsAsConnected(chunk2, direction2to1);
+
+        this.saveChunk(chunk1);
+        this.saveChunk(chunk2);
     }
 
     /**
@@ -374,6 +741,20 @@ export class ChunkManager {
         return chunksInRange;
     }
 
+    /**
+     * Get the seed the whole world is generated from
+     */
+    getWorldSeed(): number {
+        return this.worldSeed;
+    }
+
+    /**
+     * Get the seed of the chunk at the specified chunk coordinates
+     */
+    getChunkSeed(chunkX: number, chunkY: number): number {
+        return deriveChunkSeed(this.worldSeed, chunkX, chunkY);
+    }
+
     /**
      * Get chunk size
      */
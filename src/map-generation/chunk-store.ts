@@ -0,0 +1,33 @@
+import { IntGridData } from './data-structures';
+import { ChunkCoordinate, ConnectionPoint } from './chunk-manager';
+
+/**
+ * ChunkRecord
+ * -----------
+ * Serialized Chunk: everything needed to bring it back exactly as it was,
+ * including which connection points were used and which chunks it is joined to.
+ */
+export interface ChunkRecord {
+    chunkX: number;
+    chunkY: number;
+    grid: IntGridData;
+    connectionPoints: ConnectionPoint[];
+    connectedChunks: ChunkCoordinate[];
+}
+
+/**
+ * ChunkStore
+ * ----------
+ * Persistent storage for chunks, used by ChunkManager to save chunks and to bring
+ * evicted ones back. worldId (ChunkManager.getWorldId()) separates worlds with
+ * different seeds or generation settings.
+ *
+ * Implementations: IndexedDbChunkStore (browser), FileChunkStore (src/server).
+ */
+export interface ChunkStore {
+    /** Stored chunk, or null if it was never saved. */
+    load(worldId: string, chunkX: number, chunkY: number): Promise<ChunkRecord | null>;
+
+    /** Save (or overwrite) a chunk. */
+    save(worldId: string, record: ChunkRecord): Promise<void>;
+}
@@ -48,6 +48,8 @@ export class PathNode {
     - Stores tiles in column-major style: grid[x][y] for readability with (x,y) access.
     - Bounds checks in setTile/getTile silently ignore out-of-range sets and return 0 for reads.
     - display() prints a textual map (simple debugging helper).
+    - toJSON()/fromJSON() convert to and from plain data (same column-major layout),
+        e.g. for chunks served by the map generation service.
 
   Tile legend (by convention in generator / GameScene):
     0 : Uninitialized / outside (treated as empty when read out-of-bounds).
@@ -98,4 +100,31 @@ export class IntGrid {
             console.log(row);
         }
     }
+
+    /** Plain-data form: tiles[x][y], like the internal grid. Used by JSON.stringify. */
+    toJSON(): IntGridData {
+        return {
+            width: this.width,
+            height: this.height,
+            tiles: this.grid.map(column => column.slice())
+        };
+    }
+
+    /** Rebuild a grid from toJSON() output. */
+    static fromJSON(data: IntGridData): IntGrid {
+        const grid = new IntGrid(data.width, data.height);
+        for (let x = 0; x < data.width; x++) {
+            for (let y = 0; y < data.height; y++) {
+                grid.setTile(x, y, data.tiles[x][y]);
+            }
+        }
+        return grid;
+    }
+}
+
+/** Serialized IntGrid (see IntGrid.toJSON). */
+export interface IntGridData {
+    width: number;
+    height: number;
+    tiles: number[][];
 }
\ No newline at end of file
@@ -1,4 +1,5 @@
 import { IntGrid } from './data-structures';
+import { RandomSource } from './random';
 
 /*
   Dead-end Analyzer (moved from level-generator.ts)
@@ -20,6 +21,10 @@ import { IntGrid } from './data-structures';
       • AnalyzerContext: tile IDs, bounds/utilities, and a double-wide guard.
       • findPathSegment: your A* function that returns a list of [x,y] or null.
       • fixDoubleWide: your clean-up pass that removes any 2x2 blocks if they slip in.
+
+  Required endpoints (ctx.isRequiredEndpoint) are border tiles where a corridor must
+  continue into a neighbouring chunk. They are never treated as dead ends, pruned or
+  scrubbed; one that ends up cut off from the network is force-connected in Tier 3.
 */
 
 /** Grid coordinate tuple [x, y]. */
@@ -34,6 +39,8 @@ export type Pos = [number, number];
  * inBounds: returns true if position lies inside the grid bounds
  * getNeighbors: returns 4-connected neighbors in any order
  * wouldCreateDoubleWideAt: returns true if placing PATH at pos would form a 2x2 block
+ * random: the generator's random source (branch chances and lengths), so seeded layouts stay reproducible
+ * isRequiredEndpoint: true for PATH tiles that must stay (chunk border openings)
  */
 export interface AnalyzerContext {
   PATH_TILE: number;
@@ -42,6 +49,8 @@ export interface AnalyzerContext {
   inBounds(pos: Pos): boolean;
   getNeighbors(pos: Pos): Pos[];
   wouldCreateDoubleWideAt(pos: Pos, intGrid: IntGrid): boolean;
+  random: RandomSource;
+  isRequiredEndpoint(pos: Pos): boolean;
 }
 
 // ------------------------------------------------------------------
@@ -116,12 +125,16 @@ function countPathConnections(pos: Pos, intGrid: IntGrid, ctx: AnalyzerContext,
   return count;
 }
 
-/** Collect PATH cells with exactly one PATH neighbor (degree == 1). */
+/**
+ * Collect PATH cells with exactly one PATH neighbor (degree == 1). Required
+ * endpoints are openings into the next chunk, not dead ends.
+ */
 function detectDeadEnds(intGrid: IntGrid, ctx: AnalyzerContext): Pos[] {
   const tips: Pos[] = [];
   for (let x = 0; x < ctx.levelSize[0]; x++) {
     for (let y = 0; y < ctx.levelSize[1]; y++) {
       if (intGrid.getTile(x, y) !== ctx.PATH_TILE) continue;
+      if (ctx.isRequiredEndpoint([x, y])) continue;
       if (countPathConnections([x, y], intGrid, ctx) === 1) {
         tips.push([x, y]);
       }
@@ -130,6 +143,20 @@ function detectDeadEnds(intGrid: IntGrid, ctx: AnalyzerContext): Pos[] {
   return tips;
 }
 
+/** Required endpoints with no PATH neighbor (cut off by earlier passes). */
+function detectDetachedEndpoints(intGrid: IntGrid, ctx: AnalyzerContext): Pos[] {
+  const detached: Pos[] = [];
+  for (let x = 0; x < ctx.levelSize[0]; x++) {
+    for (let y = 0; y < ctx.levelSize[1]; y++) {
+      if (intGrid.getTile(x, y) !== ctx.PATH_TILE) continue;
+      if (ctx.isRequiredEndpoint([x, y]) && countPathConnections([x, y], intGrid, ctx) === 0) {
+        detached.push([x, y]);
+      }
+    }
+  }
+  return detached;
+}
+
 /**
  * For a dead-end tip, return the outward direction vector away from its only
  * path neighbor, or null if not a true dead end.
@@ -149,7 +176,7 @@ function getDeadEndDirection(tip: Pos, intGrid: IntGrid, ctx: AnalyzerContext):
  */
 function tryBranchFrom(origin: Pos, forwardDir: Pos, intGrid: IntGrid, ctx: AnalyzerContext, maxSteps: number): boolean {
   const perps: Pos[] = (forwardDir[0] !== 0) ? [[0,1],[0,-1]] : [[1,0],[-1,0]];
-  if (Math.random() < 0.5) perps.reverse();
+  if (ctx.random() < 0.5) perps.reverse();
 
   for (const dir of perps) {
     let curr: Pos = [origin[0] + dir[0], origin[1] + dir[1]];
@@ -203,13 +230,13 @@ function tryExtendCorridor(tip: Pos, intGrid: IntGrid, ctx: AnalyzerContext): bo
 
     pathToPlace.push([current[0], current[1]]);
 
-    if (!connected && Math.random() < BRANCH_PROBABILITY) {
+    if (!connected && ctx.random() < BRANCH_PROBABILITY) {
       const branched = tryBranchFrom(
         current,
         dir,
         intGrid,
         ctx,
-        BRANCH_STEPS_BASE + Math.floor(Math.random() * BRANCH_STEPS_VARIATION)
+        BRANCH_STEPS_BASE + Math.floor(ctx.random() * BRANCH_STEPS_VARIATION)
       );
       if (branched) {
         connected = true;
@@ -247,6 +274,7 @@ function pruneShortDeadEnd(tip: Pos, intGrid: IntGrid, ctx: AnalyzerContext, min
       break;
     }
     // Still in a 2-degree corridor segment, include curr and advance.
+    if (ctx.isRequiredEndpoint(curr)) return false; // spur leads to a chunk opening, keep it
     spur.push(curr);
     const next = (nbs[0][0] === prev[0] && nbs[0][1] === prev[1]) ? nbs[1] : nbs[0];
     prev = curr;
@@ -265,6 +293,7 @@ function pruneShortDeadEnd(tip: Pos, intGrid: IntGrid, ctx: AnalyzerContext, min
  * Tier 3: Last resort. Raycast in directions (except back towards corridor) to
  * find the nearest PATH target; fallback to scanning whole grid for closest PATH.
  * Then use A* (findPathSegment) to connect while respecting 2x2 guard during placement.
+ * Also used for detached required endpoints (no neighbor, every direction searched).
  */
 function forceConnectDeadEnd(tip: Pos, intGrid: IntGrid, ctx: AnalyzerContext, findPathSegment: (start: Pos, end: Pos, grid: IntGrid) => Pos[] | null): boolean {
   const neighbors: Pos[] = [];
@@ -272,10 +301,10 @@ function forceConnectDeadEnd(tip: Pos, intGrid: IntGrid, ctx: AnalyzerContext, f
     if (!ctx.inBounds(n)) continue;
     if (intGrid.getTile(n[0], n[1]) === ctx.PATH_TILE) neighbors.push(n);
   }
-  if (neighbors.length !== 1) return false;
-  const backDir: Pos = [neighbors[0][0] - tip[0], neighbors[0][1] - tip[1]];
+  if (neighbors.length > 1 || (neighbors.length === 0 && !ctx.isRequiredEndpoint(tip))) return false;
+  const backDir: Pos | null = neighbors.length === 1 ? [neighbors[0][0] - tip[0], neighbors[0][1] - tip[1]] : null;
 
-  const dirs = ([[1,0],[-1,0],[0,1],[0,-1]] as Pos[]).filter(d => !(d[0] === backDir[0] && d[1] === backDir[1]));
+  const dirs = ([[1,0],[-1,0],[0,1],[0,-1]] as Pos[]).filter(d => !backDir || !(d[0] === backDir[0] && d[1] === backDir[1]));
 
   let bestTarget: Pos | null = null;
   let bestDist = Number.MAX_SAFE_INTEGER;
@@ -366,6 +395,7 @@ function removeIsolatedPaths(intGrid: IntGrid, ctx: AnalyzerContext): boolean {
   for (let x = 0; x < ctx.levelSize[0]; x++) {
     for (let y = 0; y < ctx.levelSize[1]; y++) {
       if (intGrid.getTile(x, y) !== ctx.PATH_TILE) continue;
+      if (ctx.isRequiredEndpoint([x, y])) continue;
       if (countPathConnections([x, y], intGrid, ctx) === 0) {
         intGrid.setTile(x, y, ctx.REGION_TILE);
         changed = true;
@@ -388,13 +418,13 @@ export function analyzeAndFixDeadEnds(intGrid: IntGrid, ctx: AnalyzerContext, fi
   // 4) fixDoubleWide (defensive)
   // 5) Tier 2 pruning (remove tiny spurs; junction preserved)
   // 6) fixDoubleWide (defensive)
-  // 7) Tier 3 forced connections via A* (last resort)
+  // 7) Tier 3 forced connections via A* (last resort), also for detached required endpoints
   // 8) fixDoubleWide and terminate pass if nothing changed
   for (let pass = 0; pass < maxPasses; pass++) {
     let changed = false;
 
     const deadEnds = detectDeadEnds(intGrid, ctx);
-    if (deadEnds.length === 0) break;
+    if (deadEnds.length === 0 && detectDetachedEndpoints(intGrid, ctx).length === 0) break;
 
     for (const tip of deadEnds) {
       if (tryExtendCorridor(tip, intGrid, ctx)) {
@@ -420,7 +450,7 @@ export function analyzeAndFixDeadEnds(intGrid: IntGrid, ctx: AnalyzerContext, fi
 
     fixDoubleWide(intGrid);
 
-    const deadEndsAfterT2 = detectDeadEnds(intGrid, ctx);
+    const deadEndsAfterT2 = [...detectDeadEnds(intGrid, ctx), ...detectDetachedEndpoints(intGrid, ctx)];
     for (const tip of deadEndsAfterT2) {
       if (forceConnectDeadEnd(tip, intGrid, ctx, findPathSegment)) {
         changed = true;
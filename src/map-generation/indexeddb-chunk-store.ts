@@ -0,0 +1,70 @@
+import { ChunkRecord, ChunkStore } from './chunk-store';
+
+/**
+ * IndexedDbChunkStore
+ * -------------------
+ * Browser ChunkStore: keeps chunks in IndexedDB, so explored areas survive a page
+ * reload (same ?seed= and settings = same worldId). One object store, keyed by
+ * "worldId|x,y", with a worldId index.
+ */
+export class IndexedDbChunkStore implements ChunkStore {
+    private static readonly DB_NAME = 'procgen-chunks';
+    private static readonly DB_VERSION = 1;
+    private static readonly STORE_NAME = 'chunks';
+
+    private db: Promise<IDBDatabase> | null = null;
+
+    static isAvailable(): boolean {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async load(worldId: string, chunkX: number, chunkY: number): Promise<ChunkRecord | null> {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = db
+                .transaction(IndexedDbChunkStore.STORE_NAME, 'readonly')
+                .objectStore(IndexedDbChunkStore.STORE_NAME)
+                .get(`${worldId}|${chunkX},${chunkY}`);
+
+            request.onsuccess = () => resolve(request.result ? request.result.record : null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async save(worldId: string, record: ChunkRecord): Promise<void> {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(IndexedDbChunkStore.STORE_NAME, 'readwrite');
+            transaction.objectStore(IndexedDbChunkStore.STORE_NAME).put({
+                id: `${worldId}|${record.chunkX},${record.chunkY}`,
+                worldId,
+                record
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    private open(): Promise<IDBDatabase> {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(IndexedDbChunkStore.DB_NAME, IndexedDbChunkStore.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(IndexedDbChunkStore.STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('worldId', 'worldId');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Let a later call try again (e.g. after the user allowed storage)
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+}
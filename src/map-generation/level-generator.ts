@@ -2,6 +2,7 @@ import Delaunator from 'delaunator';
 import { Point, Edge, PathNode, IntGrid } from './data-structures';
 // Dead-end analysis moved to its own module
 import { analyzeAndFixDeadEnds as runDeadEndAnalyzer, AnalyzerContext } from './deadend-analyzer';
+import { RandomSource } from './random';
 
 /*
     HeIsComingGenerator
@@ -9,7 +10,7 @@ import { analyzeAndFixDeadEnds as runDeadEndAnalyzer, AnalyzerContext } from './
     Orchestrates procedural layout generation on a discrete IntGrid.
 
     End-to-end pipeline (generateLayout):
-        1. generateRegionPoints()  -> Random region seeds with minimum spacing.
+        1. generateRegionPoints()  -> Required endpoints plus random region seeds with minimum spacing.
         2. Delaunay triangulation  -> Connectivity structure of region graph.
         3. getDelaunayEdges()      -> Unique edges extracted from triangulation triangles.
         4. sort edges by length    -> Shorter edges encourage local connectivity first.
@@ -28,6 +29,11 @@ import { analyzeAndFixDeadEnds as runDeadEndAnalyzer, AnalyzerContext } from './
     Important public tweak points (currently simple public fields):
         levelSize, regionCount, minRegionDistance control macro shape/density.
         The A* weighting (tileCost + direction change cost) affects corridor sinuosity.
+        random supplies every random choice (region seeds, waypoint style/jitter, L-shape
+        axis, analyzer branching); set a seeded source (random.ts) to reproduce a layout.
+        requiredEndpoints lists tiles (next to chunk border openings, see ChunkManager) that must end
+        up as PATH connected to the network. They join the triangulation as region points and
+        are never removed by fixDoubleWidePaths() or the analyzer.
 */
 
 export class HeIsComingGenerator {
@@ -58,6 +64,10 @@ export class HeIsComingGenerator {
     public regionCount: number = 15;
     // Minimum Euclidean distance (approx via squared) between region points.
     public minRegionDistance: number = 4;
+    // Source of all randomness; Math.random unless a seeded source is injected.
+    public random: RandomSource = Math.random;
+    // Tiles that must be connected PATH in the result (e.g. where corridors leave a chunk).
+    public requiredEndpoints: [number, number][] = [];
 
     // Tile types
     // Tile type constants (mirrored by IntGrid interpretation in draw logic).
@@ -68,6 +78,9 @@ export class HeIsComingGenerator {
     // Captured unique edges from triangulation (useful for stats / debug UI).
     public edges: Edge[] = [];
 
+    // "x,y" keys of requiredEndpoints for the layout being generated.
+    private requiredKeys: Set<string> = new Set();
+
     /**
      * Primary entry: build and post-process a grid layout.
      * Returns populated IntGrid (no side-effects outside updating this.edges).
@@ -75,6 +88,13 @@ export class HeIsComingGenerator {
     generateLayout(): IntGrid {
         this.edges = [];
 
+        for (const [x, y] of this.requiredEndpoints) {
+            if (!this.inBounds([x, y])) {
+                throw new Error(`Required endpoint (${x}, ${y}) is outside the ${this.levelSize[0]}x${this.levelSize[1]} level`);
+            }
+        }
+        this.requiredKeys = new Set(this.requiredEndpoints.map(([x, y]) => `${x},${y}`));
+
     // 1) Region seeds with spacing guard.
         const points = this.generateRegionPoints();
 
@@ -124,6 +144,11 @@ export class HeIsComingGenerator {
             }
         }
 
+        // Required endpoints are PATH even if they coincided with another point (duplicates are skipped by delaunator).
+        for (const [x, y] of this.requiredEndpoints) {
+            intGrid.setTile(x, y, this.PATH_TILE);
+        }
+
     // 8) Enforce structural invariant (no 2x2 PATH squares) pre dead-end passes.
         this.fixDoubleWidePaths(intGrid);
 
@@ -137,6 +162,8 @@ export class HeIsComingGenerator {
             inBounds: (pos) => this.inBounds(pos),
             getNeighbors: (pos) => this.getNeighbors(pos),
             wouldCreateDoubleWideAt: (pos, grid) => this.wouldCreateDoubleWideAt(pos, grid),
+            random: this.random,
+            isRequiredEndpoint: (pos) => this.isRequiredEndpoint(pos),
         };
         runDeadEndAnalyzer(
             intGrid,
@@ -151,15 +178,18 @@ export class HeIsComingGenerator {
     /**
      * Randomly sample region seed points subject to a minimum pairwise distance.
      * Simple rejection sampling capped by attempts. Returns unique list.
+     * Required endpoints come first and are kept regardless of spacing; random
+     * points keep their distance to them too.
      */
     private generateRegionPoints(): Point[] {
-        const points: Point[] = [];
+        const points: Point[] = this.requiredEndpoints.map(([x, y]) => new Point(x, y));
+        const targetCount = points.length + this.regionCount;
         let attempts = 0;
 
-    while (points.length < this.regionCount && attempts < this.MAX_REGION_POINT_ATTEMPTS) {
+    while (points.length < targetCount && attempts < this.MAX_REGION_POINT_ATTEMPTS) {
             attempts++;
-            const centerX = Math.floor(Math.random() * this.levelSize[0]);
-            const centerY = Math.floor(Math.random() * this.levelSize[1]);
+            const centerX = Math.floor(this.random() * this.levelSize[0]);
+            const centerY = Math.floor(this.random() * this.levelSize[1]);
             const newPoint = new Point(centerX, centerY);
 
             // Check minimum distance constraint
@@ -264,11 +294,11 @@ export class HeIsComingGenerator {
 
         // Decide on path style randomly
         const pathStyles = ['L_shape', 'step', 'zigzag'];
-        const pathStyle = pathStyles[Math.floor(Math.random() * pathStyles.length)];
+        const pathStyle = pathStyles[Math.floor(this.random() * pathStyles.length)];
 
         if (pathStyle === 'L_shape') {
             // Create L-shaped path
-            if (Math.random() < this.L_SHAPE_FIRST_AXIS_PROB) {
+            if (this.random() < this.L_SHAPE_FIRST_AXIS_PROB) {
                 // Horizontal first, then vertical
                 waypoints.push([end[0], start[1]]);
             } else {
@@ -281,8 +311,8 @@ export class HeIsComingGenerator {
             let midY = start[1] + Math.floor(dy / 2);
 
             // Add some randomness to the midpoint
-            const offsetX = Math.floor(Math.random() * (this.STEP_MIDPOINT_JITTER * 2 + 1)) - this.STEP_MIDPOINT_JITTER;
-            const offsetY = Math.floor(Math.random() * (this.STEP_MIDPOINT_JITTER * 2 + 1)) - this.STEP_MIDPOINT_JITTER;
+            const offsetX = Math.floor(this.random() * (this.STEP_MIDPOINT_JITTER * 2 + 1)) - this.STEP_MIDPOINT_JITTER;
+            const offsetY = Math.floor(this.random() * (this.STEP_MIDPOINT_JITTER * 2 + 1)) - this.STEP_MIDPOINT_JITTER;
 
             midX = Math.max(0, Math.min(this.levelSize[0] - 1, midX + offsetX));
             midY = Math.max(0, Math.min(this.levelSize[1] - 1, midY + offsetY));
@@ -464,8 +494,11 @@ export class HeIsComingGenerator {
         // Sort by connection count (remove tile with fewest external connections)
         connectionCounts.sort((a, b) => a.connections - b.connections);
 
+        // Required endpoints stay; a block always has a tile that isn't one (they sit on the border)
+        const removable = connectionCounts.filter(({ pos }) => !this.isRequiredEndpoint(pos));
+
         // Find the best tile to remove
-        for (const { pos, connections } of connectionCounts) {
+        for (const { pos, connections } of removable) {
             // Don't remove if it would disconnect the network
             if (this.wouldDisconnectNetwork(pos, intGrid, block)) {
                 continue;
@@ -477,8 +510,8 @@ export class HeIsComingGenerator {
         }
 
         // If we can't safely remove any tile, remove the one with least connections anyway
-        if (connectionCounts.length > 0) {
-            const posToRemove = connectionCounts[0].pos;
+        if (removable.length > 0) {
+            const posToRemove = removable[0].pos;
             intGrid.setTile(posToRemove[0], posToRemove[1], this.REGION_TILE);
             return true;
         }
@@ -592,6 +625,11 @@ export class HeIsComingGenerator {
         );
     }
 
+    /** True for tiles listed in requiredEndpoints. */
+    private isRequiredEndpoint(pos: [number, number]): boolean {
+        return this.requiredKeys.has(`${pos[0]},${pos[1]}`);
+    }
+
     /**
      * Test if turning (pos) into PATH would complete any 2x2 square of PATH tiles.
      * Checks four candidate 2x2 windows that could include this position.
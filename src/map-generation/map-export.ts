@@ -0,0 +1,260 @@
+import { IntGrid } from './data-structures';
+import { Chunk } from './chunk-manager';
+import { OuterTileMarker } from './outer-tile-marker';
+import { Deflate, encodeIndexedPng } from './png-encoder';
+
+/*
+  Map Export
+  ----------
+  Turns a generated layout (one IntGrid from generateLayout(), or the chunks of a
+  ChunkManager) into files other tools can open:
+    - exportTiledMap(): Tiled map (TMJ / JSON) with region, path and outer-tile layers
+        and the chunk connection points as point objects.
+    - renderMapPng(): PNG raster, `scale` pixels per tile, colored like GameScene.
+    - renderTilesetPng(): the tileset image the TMJ refers to.
+  The compact binary format lives in rle-format.ts.
+
+  collectMap() first lays all chunks out on one grid covering their bounding box
+  (chunks that were never generated stay 0 = empty). World y points up (north =
+  chunkY + 1, like GameScene draws it); PNG and Tiled count rows from the top, so
+  rows are flipped on the way out.
+*/
+
+// Tile values written by HeIsComingGenerator
+export const TILE_EMPTY = 0;
+export const TILE_PATH = 1;
+export const TILE_REGION = 2;
+export const TILE_REGION_CENTER = 3;
+// Export-only: PATH tile on a chunk border that GameScene draws darker (OuterTileMarker)
+export const TILE_OUTER_PATH = 4;
+
+// Same colors as GameScene, indexed by tile value above
+const TILE_COLORS = [0xF0F0F0, 0x90EE90, 0x8B4513, 0xFF0000, 0x228B22];
+const TILE_NAMES = ['empty', 'path', 'region', 'region-center', 'outer-path'];
+
+export const DEFAULT_TILESET_IMAGE = 'procgen-tiles.png';
+
+export interface ExportConnectionPoint {
+    x: number; // map tile coordinates (y up)
+    y: number;
+    direction: 'north' | 'south' | 'east' | 'west';
+    chunkX: number;
+    chunkY: number;
+    isConnected: boolean;
+}
+
+/**
+ * Everything the exporters need, with all chunks merged into one grid.
+ * Map tile (0, 0) is the bottom-left tile of chunk (originChunkX, originChunkY).
+ */
+export interface ExportMap {
+    grid: IntGrid;                      // tile values as generated
+    outerTiles: IntGrid;                // 1 where a PATH tile is an outer tile (drawn darker)
+    chunkWidth: number;
+    chunkHeight: number;
+    originChunkX: number;
+    originChunkY: number;
+    seed: number | null;
+    connectionPoints: ExportConnectionPoint[];
+}
+
+/**
+ * Merge a layout or a set of chunks into one ExportMap.
+ * A bare IntGrid is treated as chunk (0, 0).
+ */
+export function collectMap(source: IntGrid | Chunk[], seed: number | null = null): ExportMap {
+    const chunks = source instanceof IntGrid ? [new Chunk(source, 0, 0)] : source;
+    if (chunks.length === 0) {
+        throw new Error('Nothing to export: no chunks have been generated');
+    }
+
+    const chunkWidth = chunks[0].grid.width;
+    const chunkHeight = chunks[0].grid.height;
+    const minChunkX = Math.min(...chunks.map(chunk => chunk.chunkX));
+    const minChunkY = Math.min(...chunks.map(chunk => chunk.chunkY));
+    const maxChunkX = Math.max(...chunks.map(chunk => chunk.chunkX));
+    const maxChunkY = Math.max(...chunks.map(chunk => chunk.chunkY));
+
+    const grid = new IntGrid((maxChunkX - minChunkX + 1) * chunkWidth, (maxChunkY - minChunkY + 1) * chunkHeight);
+    const outerTiles = new IntGrid(grid.width, grid.height);
+    const connectionPoints: ExportConnectionPoint[] = [];
+
+    for (const chunk of chunks) {
+        const offsetX = (chunk.chunkX - minChunkX) * chunkWidth;
+        const offsetY = (chunk.chunkY - minChunkY) * chunkHeight;
+
+        for (let x = 0; x < chunkWidth; x++) {
+            for (let y = 0; y < chunkHeight; y++) {
+                grid.setTile(offsetX + x, offsetY + y, chunk.grid.getTile(x, y));
+                if (OuterTileMarker.isOutsideIntersectionOrCorner(x, y, chunk.grid, TILE_PATH)) {
+                    outerTiles.setTile(offsetX + x, offsetY + y, 1);
+                }
+            }
+        }
+
+        for (const point of chunk.connectionPoints) {
+            connectionPoints.push({
+                x: offsetX + point.localX,
+                y: offsetY + point.localY,
+                direction: point.direction,
+                chunkX: chunk.chunkX,
+                chunkY: chunk.chunkY,
+                isConnected: point.isConnected
+            });
+        }
+    }
+
+    return { grid, outerTiles, chunkWidth, chunkHeight, originChunkX: minChunkX, originChunkY: minChunkY, seed, connectionPoints };
+}
+
+/** Tile as exported: generator value, or TILE_OUTER_PATH for outer tiles. */
+function exportTile(map: ExportMap, x: number, y: number): number {
+    return map.outerTiles.getTile(x, y) ? TILE_OUTER_PATH : map.grid.getTile(x, y);
+}
+
+/**
+ * Tiled map (TMJ). Layers: "regions", "paths", "outer-tiles" (tile layers, one
+ * tileset with the tiles in TILE_* order) and "connection-points" (point objects
+ * with direction / chunk / connected properties).
+ */
+export function exportTiledMap(map: ExportMap, tileSize: number = 16, tilesetImage: string = DEFAULT_TILESET_IMAGE): object {
+    const { width, height } = map.grid;
+
+    // Tiled counts rows from the top
+    const layerData = (accepts: (tile: number) => boolean): number[] => {
+        const data: number[] = [];
+        for (let row = 0; row < height; row++) {
+            const y = height - 1 - row;
+            for (let x = 0; x < width; x++) {
+                const tile = exportTile(map, x, y);
+                data.push(accepts(tile) ? tile : 0); // gid = tile value (firstgid 1)
+            }
+        }
+        return data;
+    };
+
+    const tileLayer = (id: number, name: string, accepts: (tile: number) => boolean) => ({
+        id,
+        name,
+        type: 'tilelayer',
+        width,
+        height,
+        x: 0,
+        y: 0,
+        opacity: 1,
+        visible: true,
+        data: layerData(accepts)
+    });
+
+    const objects = map.connectionPoints.map((point, index) => ({
+        id: index + 1,
+        name: '',
+        type: 'connection-point',
+        point: true,
+        x: (point.x + 0.5) * tileSize,
+        y: (height - 1 - point.y + 0.5) * tileSize,
+        width: 0,
+        height: 0,
+        rotation: 0,
+        visible: true,
+        properties: [
+            { name: 'direction', type: 'string', value: point.direction },
+            { name: 'chunkX', type: 'int', value: point.chunkX },
+            { name: 'chunkY', type: 'int', value: point.chunkY },
+            { name: 'connected', type: 'bool', value: point.isConnected }
+        ]
+    }));
+
+    const tileCount = TILE_COLORS.length - 1;
+    const properties: object[] = [
+        { name: 'chunkWidth', type: 'int', value: map.chunkWidth },
+        { name: 'chunkHeight', type: 'int', value: map.chunkHeight },
+        { name: 'originChunkX', type: 'int', value: map.originChunkX },
+        { name: 'originChunkY', type: 'int', value: map.originChunkY }
+    ];
+    if (map.seed !== null) {
+        // Seeds are unsigned 32-bit, beyond Tiled's int range
+        properties.push({ name: 'seed', type: 'string', value: String(map.seed) });
+    }
+
+    return {
+        type: 'map',
+        version: '1.10',
+        tiledversion: '1.10.2',
+        orientation: 'orthogonal',
+        renderorder: 'right-down',
+        infinite: false,
+        compressionlevel: -1,
+        width,
+        height,
+        tilewidth: tileSize,
+        tileheight: tileSize,
+        nextlayerid: 5,
+        nextobjectid: objects.length + 1,
+        properties,
+        layers: [
+            tileLayer(1, 'regions', tile => tile === TILE_REGION || tile === TILE_REGION_CENTER),
+            tileLayer(2, 'paths', tile => tile === TILE_PATH),
+            tileLayer(3, 'outer-tiles', tile => tile === TILE_OUTER_PATH),
+            {
+                id: 4,
+                name: 'connection-points',
+                type: 'objectgroup',
+                draworder: 'topdown',
+                x: 0,
+                y: 0,
+                opacity: 1,
+                visible: true,
+                objects
+            }
+        ],
+        tilesets: [{
+            firstgid: 1,
+            name: 'procgen',
+            image: tilesetImage,
+            imagewidth: tileCount * tileSize,
+            imageheight: tileSize,
+            tilewidth: tileSize,
+            tileheight: tileSize,
+            tilecount: tileCount,
+            columns: tileCount,
+            margin: 0,
+            spacing: 0,
+            tiles: TILE_NAMES.slice(1).map((name, id) => ({ id, type: name }))
+        }]
+    };
+}
+
+/** PNG of the whole map, `scale` pixels per tile. */
+export function renderMapPng(map: ExportMap, scale: number = 1, deflate?: Deflate): Uint8Array {
+    const { width, height } = map.grid;
+    const pixelWidth = width * scale;
+    const pixels = new Uint8Array(pixelWidth * height * scale);
+
+    for (let row = 0; row < height; row++) {
+        const y = height - 1 - row;
+        const line = new Uint8Array(pixelWidth);
+        for (let x = 0; x < width; x++) {
+            line.fill(exportTile(map, x, y), x * scale, (x + 1) * scale);
+        }
+        for (let i = 0; i < scale; i++) {
+            pixels.set(line, (row * scale + i) * pixelWidth);
+        }
+    }
+
+    return encodeIndexedPng(pixelWidth, height * scale, TILE_COLORS, pixels, deflate);
+}
+
+/** Tileset image of exportTiledMap(): one square per tile, in TILE_* order without empty. */
+export function renderTilesetPng(tileSize: number = 16, deflate?: Deflate): Uint8Array {
+    const tileCount = TILE_COLORS.length - 1;
+    const pixels = new Uint8Array(tileCount * tileSize * tileSize);
+
+    for (let y = 0; y < tileSize; y++) {
+        for (let tile = 0; tile < tileCount; tile++) {
+            pixels.fill(tile + 1, (y * tileCount + tile) * tileSize, (y * tileCount + tile + 1) * tileSize);
+        }
+    }
+
+    return encodeIndexedPng(tileCount * tileSize, tileSize, TILE_COLORS, pixels, deflate);
+}
@@ -0,0 +1,144 @@
+/*
+  PNG Encoder
+  -----------
+  Minimal encoder for 8-bit palette (indexed color) PNGs, enough to rasterize
+  tile maps without a canvas. Works in the browser and on Node.
+
+  Pixel data has to be zlib-compressed. Pass a deflate function (Node: zlib.deflateSync)
+  for small files; without one the data is written as stored (uncompressed) deflate
+  blocks, which every PNG reader accepts but which is about one byte per pixel.
+*/
+
+export type Deflate = (data: Uint8Array) => Uint8Array;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const MAX_STORED_BLOCK = 0xFFFF;
+
+let crcTable: Uint32Array | null = null;
+
+function crc32(bytes: Uint8Array): number {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function adler32(bytes: Uint8Array): number {
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/** zlib stream made of stored (uncompressed) deflate blocks. */
+function storeDeflate(data: Uint8Array): Uint8Array {
+    const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+    const out = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+    const view = new DataView(out.buffer);
+
+    out[0] = 0x78; // deflate, 32K window
+    out[1] = 0x01; // no preset dictionary, fastest
+
+    let offset = 2;
+    for (let block = 0; block < blockCount; block++) {
+        const start = block * MAX_STORED_BLOCK;
+        const length = Math.min(MAX_STORED_BLOCK, data.length - start);
+
+        out[offset] = block === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE=00 (stored)
+        view.setUint16(offset + 1, length, true);
+        view.setUint16(offset + 3, ~length & 0xFFFF, true);
+        out.set(data.subarray(start, start + length), offset + 5);
+        offset += 5 + length;
+    }
+
+    view.setUint32(offset, adler32(data));
+    return out;
+}
+
+function chunk(type: string, data: Uint8Array): Uint8Array {
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+        out[4 + i] = type.charCodeAt(i);
+    }
+    out.set(data, 8);
+    view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+    return out;
+}
+
+/**
+ * Encode an indexed-color image.
+ * @param width Image width in pixels
+ * @param height Image height in pixels
+ * @param palette RGB colors (0xRRGGBB), at most 256
+ * @param pixels Palette index per pixel, row by row from the top
+ * @param deflate zlib compressor; stored blocks when omitted
+ */
+export function encodeIndexedPng(
+    width: number,
+    height: number,
+    palette: number[],
+    pixels: Uint8Array,
+    deflate: Deflate = storeDeflate
+): Uint8Array {
+    if (palette.length === 0 || palette.length > 256) {
+        throw new Error('PNG palette must have 1 to 256 colors');
+    }
+    if (pixels.length !== width * height) {
+        throw new Error(`Expected ${width * height} pixels, got ${pixels.length}`);
+    }
+
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // bit depth
+    header[9] = 3; // color type: palette
+    // compression, filter and interlace methods stay 0
+
+    const plte = new Uint8Array(palette.length * 3);
+    palette.forEach((color, i) => {
+        plte[i * 3] = (color >> 16) & 0xFF;
+        plte[i * 3 + 1] = (color >> 8) & 0xFF;
+        plte[i * 3 + 2] = color & 0xFF;
+    });
+
+    // Every scanline starts with its filter type (0 = none)
+    const raw = new Uint8Array((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+    }
+
+    const parts = [
+        new Uint8Array(PNG_SIGNATURE),
+        chunk('IHDR', header),
+        chunk('PLTE', plte),
+        chunk('IDAT', deflate(raw)),
+        chunk('IEND', new Uint8Array(0))
+    ];
+
+    const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
@@ -0,0 +1,81 @@
+/*
+  Seeded randomness
+  -----------------
+  Everything random in level generation draws from a RandomSource instead of
+  Math.random(), so the same seed always produces the same layout.
+
+  Seeds are unsigned 32-bit integers. Each chunk gets its own seed derived from
+  the world seed and its chunk coordinates, and so does each border between two
+  chunks (where corridors cross it), so a chunk comes out the same no matter in
+  which order the world is explored (or on which server it is generated).
+*/
+
+/** Returns a float in [0, 1), like Math.random(). */
+export type RandomSource = () => number;
+
+const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Mulberry32: small, fast 32-bit PRNG. Plenty for map generation (not for anything secret).
+ */
+export function createSeededRandom(seed: number): RandomSource {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** Fresh seed for a new world. */
+export function randomSeed(): number {
+    return Math.floor(Math.random() * MAX_SEED) >>> 0;
+}
+
+/**
+ * Seed from user input (URL parameter, text field). Whole numbers in range are
+ * used as-is; any other text is hashed, so "?seed=castle" works too.
+ * Returns null for empty input.
+ */
+export function parseSeed(text: string | null | undefined): number | null {
+    const trimmed = (text || '').trim();
+    if (trimmed === '') return null;
+
+    if (/^\d+$/.test(trimmed) && Number(trimmed) <= MAX_SEED) {
+        return Number(trimmed);
+    }
+
+    // FNV-1a
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < trimmed.length; i++) {
+        hash ^= trimmed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Seed of the chunk at (chunkX, chunkY) in the world with worldSeed.
+ * Neighbouring coordinates give unrelated seeds (murmur3 finalizer over the mixed inputs).
+ */
+export function deriveChunkSeed(worldSeed: number, chunkX: number, chunkY: number): number {
+    let h = worldSeed >>> 0;
+    h ^= Math.imul(chunkX | 0, 0x9E3779B1);
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h ^= Math.imul(chunkY | 0, 0xC2B2AE35);
+    h = Math.imul(h ^ (h >>> 13), 0x27D4EB2F);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Seed of the border between the chunk at (chunkX, chunkY) and its neighbour on
+ * `axis` ('x' = the chunk at chunkX + 1, 'y' = the chunk at chunkY + 1). Both chunks
+ * derive it from the lower coordinate, so they agree on the border without seeing each other.
+ */
+export function deriveBorderSeed(worldSeed: number, chunkX: number, chunkY: number, axis: 'x' | 'y'): number {
+    const salt = axis === 'x' ? 0x68E31DA4 : 0xB5297A4D;
+    return deriveChunkSeed(deriveChunkSeed(worldSeed, chunkX, chunkY) ^ salt, chunkX, chunkY);
+}
@@ -0,0 +1,179 @@
+import { IntGrid } from './data-structures';
+import { Chunk } from './chunk-manager';
+import { ExportMap } from './map-export';
+
+/*
+  Run-Length Encoded Map Format (.pgrl)
+  -------------------------------------
+  Compact binary form of an ExportMap that can be read back (decodeRle) into the
+  same chunks. All numbers are little-endian.
+
+    offset  size  field
+    0       4     magic "PGRL"
+    4       1     format version (1)
+    5       1     flags: bit 0 = seed present
+    6       2     chunk width  (tiles)
+    8       2     chunk height (tiles)
+    10      4     origin chunk x (signed)
+    14      4     origin chunk y (signed)
+    18      4     map width  (tiles, multiple of chunk width)
+    22      4     map height (tiles, multiple of chunk height)
+    26      4     world seed (0 when absent)
+    30      ...   runs: run length (unsigned LEB128 varint), tile value (1 byte)
+
+  Tiles are run-length encoded column by column (x outer, y inner), the same order
+  IntGrid stores them in. Outer-tile marks and connection points are not stored;
+  Chunk recomputes them from the tiles.
+*/
+
+const MAGIC = 'PGRL';
+const VERSION = 1;
+const HEADER_SIZE = 30;
+const FLAG_SEED = 1;
+
+/** Result of decodeRle(): the merged grid plus the chunk layout it came from. */
+export interface DecodedMap {
+    grid: IntGrid;
+    chunkWidth: number;
+    chunkHeight: number;
+    originChunkX: number;
+    originChunkY: number;
+    seed: number | null;
+}
+
+export function encodeRle(map: ExportMap): Uint8Array {
+    const { grid } = map;
+    const bytes: number[] = [];
+
+    const writeRun = (length: number, tile: number) => {
+        while (length >= 0x80) {
+            bytes.push((length & 0x7F) | 0x80);
+            length = Math.floor(length / 0x80);
+        }
+        bytes.push(length, tile);
+    };
+
+    let runTile = grid.getTile(0, 0);
+    let runLength = 0;
+    for (let x = 0; x < grid.width; x++) {
+        for (let y = 0; y < grid.height; y++) {
+            const tile = grid.getTile(x, y);
+            if (tile > 0xFF) {
+                throw new Error(`Tile value ${tile} at (${x}, ${y}) does not fit the RLE format`);
+            }
+            if (tile !== runTile) {
+                writeRun(runLength, runTile);
+                runTile = tile;
+                runLength = 0;
+            }
+            runLength++;
+        }
+    }
+    writeRun(runLength, runTile);
+
+    const out = new Uint8Array(HEADER_SIZE + bytes.length);
+    const view = new DataView(out.buffer);
+    for (let i = 0; i < MAGIC.length; i++) {
+        out[i] = MAGIC.charCodeAt(i);
+    }
+    out[4] = VERSION;
+    out[5] = map.seed !== null ? FLAG_SEED : 0;
+    view.setUint16(6, map.chunkWidth, true);
+    view.setUint16(8, map.chunkHeight, true);
+    view.setInt32(10, map.originChunkX, true);
+    view.setInt32(14, map.originChunkY, true);
+    view.setUint32(18, grid.width, true);
+    view.setUint32(22, grid.height, true);
+    view.setUint32(26, map.seed !== null ? map.seed : 0, true);
+    out.set(bytes, HEADER_SIZE);
+
+    return out;
+}
+
+/**
+ * Read a .pgrl file. Throws on anything that isn't a complete version 1 file.
+ */
+export function decodeRle(data: Uint8Array): DecodedMap {
+    if (data.length < HEADER_SIZE || String.fromCharCode(data[0], data[1], data[2], data[3]) !== MAGIC) {
+        throw new Error('Not a PGRL map file');
+    }
+    if (data[4] !== VERSION) {
+        throw new Error(`Unsupported PGRL version ${data[4]}`);
+    }
+
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const chunkWidth = view.getUint16(6, true);
+    const chunkHeight = view.getUint16(8, true);
+    const width = view.getUint32(18, true);
+    const height = view.getUint32(22, true);
+    if (chunkWidth === 0 || chunkHeight === 0 || width % chunkWidth !== 0 || height % chunkHeight !== 0) {
+        throw new Error('PGRL map size is not a whole number of chunks');
+    }
+
+    const grid = new IntGrid(width, height);
+    const total = width * height;
+    let cell = 0;
+    let offset = HEADER_SIZE;
+
+    while (offset < data.length) {
+        let length = 0;
+        let shift = 1;
+        let byte: number;
+        do {
+            if (offset >= data.length) throw new Error('PGRL data ends inside a run');
+            byte = data[offset++];
+            length += (byte & 0x7F) * shift;
+            shift *= 0x80;
+        } while (byte & 0x80);
+
+        if (offset >= data.length) throw new Error('PGRL data ends inside a run');
+        const tile = data[offset++];
+        if (cell + length > total) throw new Error('PGRL runs cover more tiles than the map has');
+
+        for (let end = cell + length; cell < end; cell++) {
+            grid.setTile(Math.floor(cell / height), cell % height, tile);
+        }
+    }
+
+    if (cell !== total) {
+        throw new Error(`PGRL runs cover ${cell} of ${total} tiles`);
+    }
+
+    return {
+        grid,
+        chunkWidth,
+        chunkHeight,
+        originChunkX: view.getInt32(10, true),
+        originChunkY: view.getInt32(14, true),
+        seed: data[5] & FLAG_SEED ? view.getUint32(26, true) : null
+    };
+}
+
+/**
+ * Split a decoded map back into chunks. Chunk slots that are entirely empty
+ * (never generated when exported) are skipped.
+ */
+export function decodedToChunks(map: DecodedMap): Chunk[] {
+    const chunks: Chunk[] = [];
+
+    for (let slotX = 0; slotX < map.grid.width / map.chunkWidth; slotX++) {
+        for (let slotY = 0; slotY < map.grid.height / map.chunkHeight; slotY++) {
+            const grid = new IntGrid(map.chunkWidth, map.chunkHeight);
+            let empty = true;
+
+            for (let x = 0; x < map.chunkWidth; x++) {
+                for (let y = 0; y < map.chunkHeight; y++) {
+                    const tile = map.grid.getTile(slotX * map.chunkWidth + x, slotY * map.chunkHeight + y);
+                    grid.setTile(x, y, tile);
+                    if (tile !== 0) empty = false;
+                }
+            }
+
+            if (!empty) {
+                chunks.push(new Chunk(grid, map.originChunkX + slotX, map.originChunkY + slotY));
+            }
+        }
+    }
+
+    return chunks;
+}
@@ -0,0 +1,53 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { ChunkRecord, ChunkStore } from '../map-generation/chunk-store';
+
+/*
+    FileChunkStore
+    --------------
+    Server-side ChunkStore: one JSON file per chunk, <dir>/<worldId>/<x>_<y>.json.
+    Files are written to a temporary name and renamed, so a crash never leaves a
+    half-written chunk behind. Writes of the same chunk run one after another.
+*/
+export class FileChunkStore implements ChunkStore {
+    private writes: Map<string, Promise<void>> = new Map(); // file -> last queued write
+
+    constructor(private dir: string) {}
+
+    async load(worldId: string, chunkX: number, chunkY: number): Promise<ChunkRecord | null> {
+        try {
+            const raw = await fs.promises.readFile(this.filePath(worldId, chunkX, chunkY), 'utf8');
+            return JSON.parse(raw) as ChunkRecord;
+        } catch (error) {
+            if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    save(worldId: string, record: ChunkRecord): Promise<void> {
+        const file = this.filePath(worldId, record.chunkX, record.chunkY);
+        const temp = `${file}.${process.pid}.tmp`;
+        const json = JSON.stringify(record);
+
+        const previous = this.writes.get(file) || Promise.resolve();
+        const write = previous
+            .catch(() => undefined) // an earlier failed write doesn't block this one
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.writeFile(temp, json))
+            .then(() => fs.promises.rename(temp, file));
+
+        this.writes.set(file, write);
+        write.then(
+            () => { if (this.writes.get(file) === write) this.writes.delete(file); },
+            () => { if (this.writes.get(file) === write) this.writes.delete(file); }
+        );
+        return write;
+    }
+
+    private filePath(worldId: string, chunkX: number, chunkY: number): string {
+        // worldId only holds digits, letters and '-' (ChunkManager.getWorldId), safe as a directory name
+        return path.join(this.dir, worldId, `${chunkX}_${chunkY}.json`);
+    }
+}
@@ -0,0 +1,19 @@
+import * as http from 'http';
+import { MapService } from './map-service';
+
+/*
+    Entry point of the headless map generation service (see map-service.ts).
+    Listens on MAP_SERVICE_PORT (default 3012); nginx in the game container
+    forwards /api/map/ here.
+*/
+
+const PORT = parseInt(process.env.MAP_SERVICE_PORT || '') || 3012;
+
+const service = new MapService();
+const server = http.createServer((req, res) => service.handle(req, res));
+
+server.listen(PORT, () => {
+    console.log(`Map generation service listening on port ${PORT}`);
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
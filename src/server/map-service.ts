@@ -0,0 +1,268 @@
+import * as http from 'http';
+import * as zlib from 'zlib';
+import { IntGrid } from '../map-generation/data-structures';
+import { HeIsComingGenerator } from '../map-generation/level-generator';
+import { ChunkManager } from '../map-generation/chunk-manager';
+import { createSeededRandom, parseSeed, randomSeed } from '../map-generation/random';
+import { collectMap, exportTiledMap, renderMapPng, renderTilesetPng, ExportMap } from '../map-generation/map-export';
+import { encodeRle } from '../map-generation/rle-format';
+import { ChunkStore } from '../map-generation/chunk-store';
+import { FileChunkStore } from './file-chunk-store';
+
+/*
+    Map Generation Service (map-service.ts)
+    ---------------------------------------
+    Headless HTTP API around HeIsComingGenerator / ChunkManager, so layouts can be
+    requested without a browser (autoscaler, tools, or the client asking its own
+    dedicated server). No Phaser here: only the map-generation modules are bundled
+    (webpack.server.config.js -> dist-server/map-server.js; map-server.ts starts it).
+
+    Runs next to nginx in the game container; nginx forwards /api/map/ to it, so
+    through the load balancer it is reachable at /gameserver/api/map/...
+
+    Endpoints (all GET, JSON):
+        /api/map/health
+        /api/map/chunks/:x/:y   chunk (x, y) of the world with the given seed
+        /api/map/layout         one standalone layout (no chunk seed derivation)
+        /api/map/tileset.png    tileset image referenced by Tiled exports
+
+    Query parameters (chunks and layout):
+        seed        world seed, number or any text (see parseSeed); random when omitted
+        width       chunk/layout width in tiles  (default 50)
+        height      chunk/layout height in tiles (default 50)
+        regions     region count, 0 = auto       (default 0)
+        minDistance minimum region spacing       (default 3)
+        format      json (default), tmj (Tiled map), png or pgrl (binary, rle-format.ts)
+        scale       png pixels per tile          (default 4)
+        tileSize    tmj / tileset.png tile size  (default 16)
+
+    The same seed and settings always give the same grid as the browser generates,
+    whichever chunks were requested before (ChunkManager stitches chunks by seed).
+    Grids are IntGrid.toJSON() output: { width, height, tiles } with tiles[x][y].
+    Other formats are sent as downloads (map-export.ts / rle-format.ts).
+
+    Generation runs on the request thread, so sizes are capped (MAP_MAX_SIZE, default
+    200, and at most 1000 regions): a maximal layout takes well under a second and
+    doesn't hold up other requests, /api/map/health included, for long.
+
+    With MAP_CHUNK_DIR set, generated chunks are saved there (FileChunkStore) and
+    read back instead of regenerated, also after a restart. Each world keeps at most
+    MAP_CHUNK_MEMORY_MB of chunks loaded (default 32); the rest is evicted. As many
+    worlds are cached as fit in MAP_MEMORY_MB (default 256) at that size.
+    Errors: 400 (bad parameters), 404, 405 and 500 with { success: false, error }.
+*/
+
+interface GenerationParams {
+    seed: number;
+    width: number;
+    height: number;
+    regions: number;
+    minDistance: number;
+}
+
+class BadRequestError extends Error {}
+
+const MAX_SIZE = parseInt(process.env.MAP_MAX_SIZE || '') || 200;
+const CHUNK_DIR = process.env.MAP_CHUNK_DIR || null;
+const CHUNK_MEMORY_BYTES = (parseInt(process.env.MAP_CHUNK_MEMORY_MB || '') || 32) * 1024 * 1024;
+const TOTAL_MEMORY_BYTES = (parseInt(process.env.MAP_MEMORY_MB || '') || 256) * 1024 * 1024;
+const MAX_CACHED_WORLDS = Math.max(1, Math.floor(TOTAL_MEMORY_BYTES / CHUNK_MEMORY_BYTES));
+
+const MIN_SIZE = 10;
+const MAX_REGIONS = 1000;
+const MAX_MIN_DISTANCE = 10;
+
+const EXPORT_FORMATS = ['json', 'tmj', 'png', 'pgrl'];
+const CONTENT_TYPES: { [format: string]: string } = {
+    tmj: 'application/json',
+    png: 'image/png',
+    pgrl: 'application/octet-stream'
+};
+
+export class MapService {
+    // One ChunkManager per seed + settings, so chunks of a world are generated once.
+    // Least recently used worlds are dropped first (Map keeps insertion order).
+    private worlds: Map<string, ChunkManager> = new Map();
+    private store: ChunkStore | null;
+
+    constructor(private maxCachedWorlds: number = MAX_CACHED_WORLDS, chunkDir: string | null = CHUNK_DIR) {
+        this.store = chunkDir ? new FileChunkStore(chunkDir) : null;
+    }
+
+    async handle(req: http.IncomingMessage, res: http.ServerResponse): Promise<void> {
+        const url = new URL(req.url || '/', 'http://localhost');
+        const parts = url.pathname.split('/').filter(Boolean);
+
+        if (req.method !== 'GET') {
+            return this.send(res, 405, { success: false, error: 'Only GET is supported' });
+        }
+        if (parts[0] !== 'api' || parts[1] !== 'map') {
+            return this.send(res, 404, { success: false, error: 'Not found' });
+        }
+
+        try {
+            const route = parts.slice(2);
+
+            if (route.length === 1 && route[0] === 'health') {
+                return this.send(res, 200, { status: 'healthy', service: 'map-generation', cachedWorlds: this.worlds.size });
+            }
+
+            if (route.length === 3 && route[0] === 'chunks') {
+                const chunkX = parseCoordinate(route[1], 'x');
+                const chunkY = parseCoordinate(route[2], 'y');
+                const params = parseParams(url.searchParams);
+                const format = parseFormat(url.searchParams);
+
+                if (format === 'json') {
+                    return this.send(res, 200, await this.generateChunk(chunkX, chunkY, params));
+                }
+                const chunk = await this.getWorld(params).loadChunk(chunkX, chunkY);
+                return this.sendExport(res, format, collectMap([chunk], params.seed), `procgen-${params.seed}_${chunkX}_${chunkY}`, url.searchParams);
+            }
+
+            if (route.length === 1 && route[0] === 'layout') {
+                const params = parseParams(url.searchParams);
+                const format = parseFormat(url.searchParams);
+
+                if (format === 'json') {
+                    return this.send(res, 200, { success: true, ...params, grid: this.buildLayout(params) });
+                }
+                return this.sendExport(res, format, collectMap(this.buildLayout(params), params.seed), `procgen-${params.seed}`, url.searchParams);
+            }
+
+            if (route.length === 1 && route[0] === 'tileset.png') {
+                const tileSize = parseIntParam(url.searchParams, 'tileSize', 16, 1, 128);
+                return this.sendFile(res, renderTilesetPng(tileSize, zlib.deflateSync), 'image/png');
+            }
+
+            this.send(res, 404, { success: false, error: 'Not found' });
+        } catch (error) {
+            if (error instanceof BadRequestError) {
+                return this.send(res, 400, { success: false, error: error.message });
+            }
+            console.error('Map generation failed:', error);
+            this.send(res, 500, { success: false, error: 'Map generation failed' });
+        }
+    }
+
+    async generateChunk(chunkX: number, chunkY: number, params: GenerationParams) {
+        const manager = this.getWorld(params);
+        const chunk = await manager.loadChunk(chunkX, chunkY);
+
+        return {
+            success: true,
+            ...params,
+            chunkX,
+            chunkY,
+            chunkSeed: manager.getChunkSeed(chunkX, chunkY),
+            grid: chunk.grid,
+            connectionPoints: chunk.connectionPoints
+        };
+    }
+
+    buildLayout(params: GenerationParams): IntGrid {
+        const generator = new HeIsComingGenerator();
+        generator.levelSize = [params.width, params.height];
+        generator.regionCount = params.regions === 0 ? Math.max(params.width, params.height) * 2 : params.regions;
+        generator.minRegionDistance = params.minDistance;
+        generator.random = createSeededRandom(params.seed);
+
+        return generator.generateLayout();
+    }
+
+    private getWorld(params: GenerationParams): ChunkManager {
+        const key = `${params.seed}:${params.width}x${params.height}:${params.regions}:${params.minDistance}`;
+
+        let manager = this.worlds.get(key);
+        if (manager) {
+            this.worlds.delete(key);
+        } else {
+            manager = new ChunkManager(params.width, params.height, params.seed);
+            manager.setGenerationSettings(params.regions, params.minDistance);
+            manager.setChunkStore(this.store);
+            // No player here: nothing is pinned, least recently requested chunks go first
+            manager.setMemoryBudget(CHUNK_MEMORY_BYTES, -1);
+        }
+        this.worlds.set(key, manager);
+
+        while (this.worlds.size > this.maxCachedWorlds) {
+            const oldest = this.worlds.keys().next().value as string;
+            this.worlds.delete(oldest);
+        }
+
+        return manager;
+    }
+
+    private sendExport(res: http.ServerResponse, format: string, map: ExportMap, baseName: string, query: URLSearchParams): void {
+        let body: string | Uint8Array;
+        if (format === 'tmj') {
+            body = JSON.stringify(exportTiledMap(map, parseIntParam(query, 'tileSize', 16, 1, 128)));
+        } else if (format === 'png') {
+            body = renderMapPng(map, parseIntParam(query, 'scale', 4, 1, 16), zlib.deflateSync);
+        } else {
+            body = encodeRle(map);
+        }
+
+        this.sendFile(res, body, CONTENT_TYPES[format], `${baseName}.${format}`);
+    }
+
+    private sendFile(res: http.ServerResponse, body: string | Uint8Array, contentType: string, filename?: string): void {
+        const headers: http.OutgoingHttpHeaders = {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(body)
+        };
+        if (filename) {
+            headers['Content-Disposition'] = `attachment; filename="${filename}"`;
+        }
+
+        res.writeHead(200, headers);
+        res.end(body);
+    }
+
+    private send(res: http.ServerResponse, status: number, body: unknown): void {
+        const json = JSON.stringify(body);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(json)
+        });
+        res.end(json);
+    }
+}
+
+function parseParams(query: URLSearchParams): GenerationParams {
+    const seed = parseSeed(query.get('seed'));
+
+    return {
+        seed: seed === null ? randomSeed() : seed,
+        width: parseIntParam(query, 'width', 50, MIN_SIZE, MAX_SIZE),
+        height: parseIntParam(query, 'height', 50, MIN_SIZE, MAX_SIZE),
+        regions: parseIntParam(query, 'regions', 0, 0, MAX_REGIONS),
+        minDistance: parseIntParam(query, 'minDistance', 3, 1, MAX_MIN_DISTANCE)
+    };
+}
+
+function parseFormat(query: URLSearchParams): string {
+    const format = query.get('format') || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+        throw new BadRequestError(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+function parseIntParam(query: URLSearchParams, name: string, fallback: number, min: number, max: number): number {
+    const raw = query.get(name);
+    if (raw === null || raw === '') return fallback;
+
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new BadRequestError(`${name} must be a whole number from ${min} to ${max}`);
+    }
+    return value;
+}
+
+function parseCoordinate(raw: string, name: string): number {
+    if (!/^-?\d+$/.test(raw)) {
+        throw new BadRequestError(`Chunk ${name} must be a whole number`);
+    }
+    return Number(raw);
+}
@@ -6,11 +6,15 @@ echo 🧪 Testing Single Entry Point Player-Dedicated Servers
 echo ========================================================
 
 set LOAD_BALANCER_URL=http://localhost
+if "%ADMIN_API_KEY%"=="" (
+    echo ❌ Set ADMIN_API_KEY to one of the keys in ADMIN_API_KEYS
+    exit /b 1
+)
 
 echo.
 echo 🔍 Initial status check...
 echo 📊 Current Server Status:
-curl -s "%LOAD_BALANCER_URL%/api/servers"
+curl -s -H "X-API-Key: %ADMIN_API_KEY%" "%LOAD_BALANCER_URL%/api/servers"
 echo.
 echo 📈 Player Capacity Status:
 curl -s "%LOAD_BALANCER_URL%/api/capacity"
@@ -44,7 +48,7 @@ echo ⏰ Waiting 5 seconds...
 timeout /t 5 >nul
 
 echo 📊 Checking servers after player assignment:
-curl -s "%LOAD_BALANCER_URL%/api/servers"
+curl -s -H "X-API-Key: %ADMIN_API_KEY%" "%LOAD_BALANCER_URL%/api/servers"
 echo.
 
 echo 📝 Test Scenario 4: Testing auto-cleanup
@@ -52,14 +56,14 @@ echo ⏰ Waiting 15 seconds for server shutdown...
 timeout /t 15 >nul
 
 echo 📊 Checking servers after inactivity period:
-curl -s "%LOAD_BALANCER_URL%/api/servers"
+curl -s -H "X-API-Key: %ADMIN_API_KEY%" "%LOAD_BALANCER_URL%/api/servers"
 echo.
 
 echo ⏰ Waiting 35 more seconds for container cleanup...
 timeout /t 35 >nul
 
 echo 📊 Final server status:
-curl -s "%LOAD_BALANCER_URL%/api/servers"
+curl -s -H "X-API-Key: %ADMIN_API_KEY%" "%LOAD_BALANCER_URL%/api/servers"
 echo.
 
 echo 📈 Final capacity status:
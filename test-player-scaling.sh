@@ -7,6 +7,12 @@ echo "🧪 Testing Player-Dedicated Server Auto-Scaling"
 echo "================================================"
 
 LOAD_BALANCER_URL="http://localhost"
+ADMIN_API_KEY="${ADMIN_API_KEY:-}"  # Needed for /api/servers (one of the keys in ADMIN_API_KEYS)
+
+if [[ -z "${ADMIN_API_KEY}" ]]; then
+    echo "❌ Set ADMIN_API_KEY to one of the keys in ADMIN_API_KEYS"
+    exit 1
+fi
 
 # Function to simulate a player joining
 simulate_player() {
@@ -20,17 +26,19 @@ simulate_player() {
     
     if [[ $? -eq 0 ]]; then
         session_id=$(echo "$response" | grep -o '"sessionId":"[^"]*"' | cut -d'"' -f4)
+        session_token=$(echo "$response" | grep -o '"sessionToken":"[^"]*"' | cut -d'"' -f4)
         server_id=$(echo "$response" | grep -o '"serverId":"[^"]*"' | cut -d'"' -f4)
         
         if [[ -n "$session_id" && -n "$server_id" ]]; then
             echo "✅ Player $player_id assigned to server $server_id (session: ${session_id:0:8}...)"
             
-            # Send a few heartbeats
+            # Send a few heartbeats (each one returns a rotated token)
             for i in {1..3}; do
                 sleep 2
-                curl -s -X POST "${LOAD_BALANCER_URL}/api/player/heartbeat" \
+                heartbeat=$(curl -s -X POST "${LOAD_BALANCER_URL}/api/player/heartbeat" \
                     -H "Content-Type: application/json" \
-                    -d "{\"sessionId\": \"${session_id}\"}" > /dev/null
+                    -d "{\"sessionToken\": \"${session_token}\"}")
+                session_token=$(echo "$heartbeat" | grep -o '"sessionToken":"[^"]*"' | cut -d'"' -f4)
                 echo "💓 Heartbeat $i sent for player $player_id"
             done
             
@@ -39,7 +47,7 @@ simulate_player() {
                 echo "👋 Player $player_id leaving..."
                 curl -s -X POST "${LOAD_BALANCER_URL}/api/player/leave" \
                     -H "Content-Type: application/json" \
-                    -d "{\"sessionId\": \"${session_id}\"}" > /dev/null
+                    -d "{\"sessionToken\": \"${session_token}\"}" > /dev/null
                 echo "✅ Player $player_id left successfully"
             else
                 echo "⏰ Player $player_id going inactive (will trigger auto-cleanup in 10s)"
@@ -56,7 +64,7 @@ simulate_player() {
 check_servers() {
     echo ""
     echo "📊 Current Server Status:"
-    response=$(curl -s "${LOAD_BALANCER_URL}/api/servers")
+    response=$(curl -s -H "X-API-Key: ${ADMIN_API_KEY}" "${LOAD_BALANCER_URL}/api/servers")
     if [[ $? -eq 0 ]]; then
         echo "$response" | python3 -m json.tool 2>/dev/null || echo "$response"
     else
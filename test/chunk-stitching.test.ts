@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { ChunkManager, Chunk } from '../src/map-generation/chunk-manager';
+import { TILE_PATH } from '../src/map-generation/map-export';
+
+/*
+    Border stitching: every chunk comes out the same whichever order the world is
+    explored in, and corridors cross each border at the same tiles on both sides.
+*/
+
+const SIZE = 20;
+const SEED = 1234;
+
+// 4 x 4 chunks around the origin
+const COORDINATES: [number, number][] = [];
+for (let x = -2; x < 2; x++) {
+    for (let y = -2; y < 2; y++) {
+        COORDINATES.push([x, y]);
+    }
+}
+
+function generate(order: [number, number][]): Map<string, Chunk> {
+    const manager = new ChunkManager(SIZE, SIZE, SEED);
+    for (const [x, y] of order) {
+        manager.getChunk(x, y);
+    }
+    return new Map(manager.getAllChunks().map(chunk => [chunk.getKey(), chunk]));
+}
+
+/** Offsets along a border column/row where the tile is a path. */
+function openings(chunk: Chunk, side: 'east' | 'west' | 'north' | 'south'): number[] {
+    const offsets: number[] = [];
+    for (let i = 0; i < SIZE; i++) {
+        const [x, y] = side === 'east' ? [SIZE - 1, i] : side === 'west' ? [0, i] : side === 'north' ? [i, SIZE - 1] : [i, 0];
+        if (chunk.grid.getTile(x, y) === TILE_PATH) offsets.push(i);
+    }
+    return offsets;
+}
+
+test('chunks are the same in any generation order', () => {
+    const rowByRow = generate(COORDINATES);
+    const reversed = generate([...COORDINATES].reverse());
+    // Far corners first, then inwards
+    const outsideIn = generate([...COORDINATES].sort(([ax, ay], [bx, by]) =>
+        Math.max(Math.abs(bx + 0.5), Math.abs(by + 0.5)) - Math.max(Math.abs(ax + 0.5), Math.abs(ay + 0.5))));
+
+    for (const [key, chunk] of rowByRow) {
+        assert.deepEqual(reversed.get(key)!.grid.toJSON(), chunk.grid.toJSON(), `chunk ${key} (reversed)`);
+        assert.deepEqual(outsideIn.get(key)!.grid.toJSON(), chunk.grid.toJSON(), `chunk ${key} (outside in)`);
+    }
+});
+
+test('corridors cross every border at the same tiles on both sides', () => {
+    const chunks = generate(COORDINATES);
+    let seams = 0;
+
+    for (const [x, y] of COORDINATES) {
+        const chunk = chunks.get(`${x},${y}`)!;
+        const east = chunks.get(`${x + 1},${y}`);
+        const north = chunks.get(`${x},${y + 1}`);
+
+        if (east) {
+            const crossing = openings(chunk, 'east');
+            assert.ok(crossing.length > 0, `no opening between ${x},${y} and its east neighbour`);
+            assert.deepEqual(openings(east, 'west'), crossing);
+            seams++;
+        }
+        if (north) {
+            const crossing = openings(chunk, 'north');
+            assert.ok(crossing.length > 0, `no opening between ${x},${y} and its north neighbour`);
+            assert.deepEqual(openings(north, 'south'), crossing);
+            seams++;
+        }
+    }
+
+    assert.equal(seams, 24);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import * as zlib from 'zlib';
+import { IntGrid } from '../src/map-generation/data-structures';
+import { ChunkManager } from '../src/map-generation/chunk-manager';
+import { collectMap, exportTiledMap, renderMapPng, TILE_PATH, TILE_REGION, TILE_OUTER_PATH } from '../src/map-generation/map-export';
+
+/*
+    Map export: chunks merged onto one grid, the Tiled layers (rows from the top)
+    and the PNG raster.
+*/
+
+interface TiledLayer {
+    name: string;
+    data?: number[];
+    objects?: object[];
+}
+
+// 3 x 2 grid, y up: a path along the bottom row, a region tile at the top right
+function smallGrid(): IntGrid {
+    const grid = new IntGrid(3, 2);
+    grid.setTile(0, 0, TILE_PATH);
+    grid.setTile(1, 0, TILE_PATH);
+    grid.setTile(2, 0, TILE_PATH);
+    grid.setTile(2, 1, TILE_REGION);
+    return grid;
+}
+
+/** PNG chunks by type, IDAT data concatenated. */
+function readPng(png: Uint8Array): { width: number; height: number; rows: Buffer } {
+    const buffer = Buffer.from(png);
+    assert.deepEqual([...buffer.subarray(0, 8)], [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+    let width = 0;
+    let height = 0;
+    const idat: Buffer[] = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+        } else if (type === 'IDAT') {
+            idat.push(data);
+        }
+        offset += 12 + length;
+    }
+
+    return { width, height, rows: zlib.inflateSync(Buffer.concat(idat)) };
+}
+
+test('chunks are laid out on one grid from the lowest chunk up', () => {
+    const manager = new ChunkManager(20, 20, 42);
+    const chunks = [manager.getChunk(0, 0), manager.getChunk(-1, 1)];
+
+    const map = collectMap(chunks, 42);
+
+    assert.equal(map.originChunkX, -1);
+    assert.equal(map.originChunkY, 0);
+    assert.equal(map.grid.width, 40);
+    assert.equal(map.grid.height, 40);
+    assert.equal(map.grid.getTile(20 + 5, 7), chunks[0].grid.getTile(5, 7));
+    assert.equal(map.grid.getTile(5, 20 + 7), chunks[1].grid.getTile(5, 7));
+    // The slot of a chunk that was never generated stays empty
+    assert.equal(map.grid.getTile(25, 27), 0);
+});
+
+test('Tiled layers split the tiles and count rows from the top', () => {
+    const tiled = exportTiledMap(collectMap(smallGrid(), 7), 16) as {
+        width: number; height: number; layers: TiledLayer[]; properties: { name: string; value: unknown }[];
+    };
+    const layer = (name: string) => tiled.layers.find(l => l.name === name)!;
+
+    assert.equal(tiled.width, 3);
+    assert.equal(tiled.height, 2);
+    assert.deepEqual(layer('regions').data, [0, 0, TILE_REGION, 0, 0, 0]);
+    // Path tiles (the bottom row) are on the paths layer, or on outer-tiles where GameScene draws them darker
+    const paths = layer('paths').data!;
+    const outer = layer('outer-tiles').data!;
+    for (let i = 0; i < 6; i++) {
+        assert.ok(paths[i] === 0 || outer[i] === 0, `tile ${i} is on both layers`);
+        assert.equal(paths[i] === TILE_PATH || outer[i] === TILE_OUTER_PATH, i >= 3, `tile ${i}`);
+    }
+    assert.deepEqual(tiled.properties.find(p => p.name === 'seed'), { name: 'seed', type: 'string', value: '7' });
+});
+
+test('the PNG has scale pixels per tile, top row first', () => {
+    const map = collectMap(smallGrid());
+    const { width, height, rows } = readPng(renderMapPng(map, 2, zlib.deflateSync));
+
+    assert.equal(width, 6);
+    assert.equal(height, 4);
+    // Each row: filter byte, then one palette index per pixel
+    const pixel = (x: number, y: number) => rows[y * (width + 1) + 1 + x];
+    assert.equal(pixel(4, 0), TILE_REGION);
+    assert.equal(pixel(5, 1), TILE_REGION);
+    assert.equal(pixel(0, 0), 0);
+    assert.notEqual(pixel(0, 3), 0);
+});
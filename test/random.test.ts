@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { HeIsComingGenerator } from '../src/map-generation/level-generator';
+import { ChunkManager } from '../src/map-generation/chunk-manager';
+import { createSeededRandom, parseSeed, deriveChunkSeed } from '../src/map-generation/random';
+
+/*
+    Seeded generation: a seed reproduces the same layout and the same chunks,
+    and text seeds map to fixed numbers.
+*/
+
+function layout(seed: number) {
+    const generator = new HeIsComingGenerator();
+    generator.levelSize = [40, 30];
+    generator.regionCount = 60;
+    generator.minRegionDistance = 3;
+    generator.random = createSeededRandom(seed);
+    return generator.generateLayout().toJSON();
+}
+
+test('the same seed gives the same layout', () => {
+    assert.deepEqual(layout(99), layout(99));
+    assert.notDeepEqual(layout(99), layout(100));
+});
+
+test('the same world seed gives the same chunks in a new ChunkManager', () => {
+    const first = new ChunkManager(20, 20, 5);
+    const second = new ChunkManager(20, 20, 5);
+
+    assert.deepEqual(second.getChunk(3, -2).grid.toJSON(), first.getChunk(3, -2).grid.toJSON());
+    assert.equal(second.getChunkSeed(3, -2), first.getChunkSeed(3, -2));
+});
+
+test('neighbouring chunks get different seeds', () => {
+    const seeds = new Set<number>();
+    for (let x = -5; x <= 5; x++) {
+        for (let y = -5; y <= 5; y++) {
+            seeds.add(deriveChunkSeed(7, x, y));
+        }
+    }
+
+    assert.equal(seeds.size, 121);
+});
+
+test('seeds from text', () => {
+    assert.equal(parseSeed('12345'), 12345);
+    assert.equal(parseSeed('  42 '), 42);
+    assert.equal(parseSeed(''), null);
+    assert.equal(parseSeed(null), null);
+    assert.equal(parseSeed('castle'), parseSeed('castle'));
+    assert.notEqual(parseSeed('castle'), parseSeed('castles'));
+    // Beyond 32 bits is hashed like text
+    assert.ok(parseSeed('99999999999')! <= 0xFFFFFFFF);
+});
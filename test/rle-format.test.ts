@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import * as assert from 'node:assert/strict';
+import { IntGrid } from '../src/map-generation/data-structures';
+import { ChunkManager, Chunk } from '../src/map-generation/chunk-manager';
+import { collectMap } from '../src/map-generation/map-export';
+import { encodeRle, decodeRle, decodedToChunks } from '../src/map-generation/rle-format';
+
+/*
+    .pgrl round trip: chunks written by encodeRle() come back from decodeRle() +
+    decodedToChunks() with the same coordinates, tiles and connection points, and
+    ChunkManager.importChunks() loads them as the world.
+*/
+
+function generateChunks(coordinates: [number, number][]): Chunk[] {
+    const manager = new ChunkManager(20, 20, 42);
+    return coordinates.map(([x, y]) => manager.getChunk(x, y));
+}
+
+function byKey(chunks: Chunk[]): Map<string, Chunk> {
+    return new Map(chunks.map(chunk => [chunk.getKey(), chunk]));
+}
+
+test('encode -> decode gives the same chunks', () => {
+    const chunks = generateChunks([[0, 0], [1, 0], [0, 1], [-1, 0]]);
+
+    const decoded = decodeRle(encodeRle(collectMap(chunks, 42)));
+    const imported = byKey(decodedToChunks(decoded));
+
+    assert.equal(decoded.seed, 42);
+    assert.equal(decoded.chunkWidth, 20);
+    assert.equal(decoded.chunkHeight, 20);
+    assert.equal(imported.size, chunks.length);
+    for (const chunk of chunks) {
+        const copy = imported.get(chunk.getKey());
+        assert.ok(copy, `chunk ${chunk.getKey()} missing`);
+        assert.deepEqual(copy.grid.toJSON(), chunk.grid.toJSON());
+        assert.deepEqual(copy.connectionPoints, chunk.connectionPoints);
+    }
+});
+
+test('chunks missing from a sparse map stay missing', () => {
+    const chunks = generateChunks([[0, 0], [2, 1]]);
+
+    const imported = decodedToChunks(decodeRle(encodeRle(collectMap(chunks, null))));
+
+    assert.deepEqual(imported.map(chunk => chunk.getKey()).sort(), ['0,0', '2,1']);
+});
+
+test('long runs survive the varint encoding', () => {
+    const grid = new IntGrid(200, 200);
+    grid.setTile(199, 199, 3);
+
+    const decoded = decodeRle(encodeRle(collectMap(grid)));
+
+    assert.equal(decoded.seed, null);
+    assert.deepEqual(decoded.grid.toJSON(), grid.toJSON());
+});
+
+test('damaged files are refused', () => {
+    const data = encodeRle(collectMap(generateChunks([[0, 0]]), 7));
+
+    assert.throws(() => decodeRle(data.subarray(0, 10)), /Not a PGRL map file/);
+    assert.throws(() => decodeRle(data.subarray(0, data.length - 1)), /PGRL/);
+
+    const wrongVersion = data.slice();
+    wrongVersion[4] = 9;
+    assert.throws(() => decodeRle(wrongVersion), /Unsupported PGRL version 9/);
+});
+
+test('imported chunks become the world, neighbours connected', () => {
+    const chunks = generateChunks([[0, 0], [1, 0]]);
+    const decoded = decodeRle(encodeRle(collectMap(chunks, 42)));
+
+    const manager = new ChunkManager(decoded.chunkWidth, decoded.chunkHeight, decoded.seed!);
+    manager.importChunks(decodedToChunks(decoded));
+
+    const loaded = byKey(manager.getAllChunks());
+    for (const chunk of chunks) {
+        assert.deepEqual(loaded.get(chunk.getKey())!.grid.toJSON(), chunk.grid.toJSON());
+    }
+    assert.ok(loaded.get('0,0')!.connectedChunks.has('1,0'));
+});
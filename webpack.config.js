@@ -40,6 +40,10 @@ module.exports = (env, argv) => {
       compress: true,
       port: 3011, // Change this to your desired port
       hot: true,
+      // Map generation service from `npm run start:server`
+      proxy: {
+        '/api/map': 'http://localhost:3012',
+      },
     },
     devtool: isDevelopment ? 'eval-source-map' : 'source-map',
   };
@@ -0,0 +1,30 @@
+const path = require('path');
+
+// Headless map generation service (src/server/map-server.ts) for Node.
+// Bundled so the ESM-only delaunator and the TypeScript sources run on plain node.
+module.exports = (env, argv) => {
+  return {
+    target: 'node',
+    entry: './src/server/map-server.ts',
+    output: {
+      path: path.resolve(__dirname, 'dist-server'),
+      filename: 'map-server.js',
+      clean: true,
+    },
+    resolve: {
+      extensions: ['.ts', '.js'],
+    },
+    module: {
+      rules: [
+        {
+          test: /\.ts$/,
+          loader: 'ts-loader',
+          // The browser build owns dist/; don't write declarations there
+          options: { compilerOptions: { declaration: false } },
+          exclude: /node_modules/,
+        },
+      ],
+    },
+    devtool: argv.mode === 'development' ? 'eval-source-map' : 'source-map',
+  };
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tests of the map-generation modules (test/*.test.ts), bundled for `node --test`
+// like the map service, so the ESM-only delaunator and the TypeScript sources run on plain node.
+module.exports = () => {
+  const testDir = path.resolve(__dirname, 'test');
+  const entry = {};
+  for (const file of fs.readdirSync(testDir).filter(name => name.endsWith('.test.ts'))) {
+    entry[file.replace(/\.ts$/, '')] = path.join(testDir, file);
+  }
+
+  return {
+    target: 'node',
+    mode: 'development',
+    entry,
+    output: {
+      path: path.resolve(__dirname, 'dist-test'),
+      filename: '[name].js',
+      clean: true,
+    },
+    resolve: {
+      extensions: ['.ts', '.js'],
+    },
+    module: {
+      rules: [
+        {
+          test: /\.ts$/,
+          loader: 'ts-loader',
+          options: { compilerOptions: { declaration: false } },
+          exclude: /node_modules/,
+        },
+      ],
+    },
+    devtool: 'source-map',
+  };
+};